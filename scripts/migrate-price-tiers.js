@@ -0,0 +1,49 @@
+// Moves price100Pcs/price200Pcs/price500Pcs into the priceTiers array.
+// Safe to run more than once; products that already have priceTiers keep them.
+//
+//   npm run migrate:price-tiers                 apply
+//   npm run migrate:price-tiers -- --dry-run    report only
+require('dotenv').config();
+const { connectDB, getCollection } = require('../src/config/database');
+const PricingService = require('../src/services/pricing.service');
+const logger = require('../src/utils/logger');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await connectDB();
+  const products = getCollection('products');
+  const legacyFields = PricingService.getLegacyFields();
+
+  const cursor = products.find(
+    { $or: legacyFields.map(field => ({ [field]: { $exists: true } })) },
+    { projection: { productCode: 1, priceTiers: 1, ...Object.fromEntries(legacyFields.map(f => [f, 1])) } }
+  );
+
+  const unset = Object.fromEntries(legacyFields.map(field => [field, '']));
+  let migrated = 0;
+
+  for await (const product of cursor) {
+    const update = { $unset: unset };
+
+    if (!Array.isArray(product.priceTiers)) {
+      update.$set = { priceTiers: PricingService.fromLegacyFields(product), updatedAt: new Date() };
+    }
+
+    logger.info(`${dryRun ? '[dry-run] ' : ''}${product.productCode}: ${JSON.stringify(update.$set?.priceTiers || product.priceTiers)}`);
+
+    if (!dryRun) {
+      await products.updateOne({ _id: product._id }, update);
+    }
+    migrated++;
+  }
+
+  logger.info(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} product(s)`);
+};
+
+migrate()
+  .then(() => process.exit(0))
+  .catch(error => {
+    logger.error('Price tier migration failed:', error);
+    process.exit(1);
+  });
@@ -5,6 +5,10 @@ const app = require('./src/app');
 const { connectDB } = require('./src/config/database');
 const { initializeSocket } = require('./src/config/socket');
 const { createUploadDirs } = require('./src/utils/fileUpload');
+const { startReservationExpiryJob } = require('./src/jobs/reservation-expiry.job');
+const { startStockAlertJob } = require('./src/jobs/stock-alert.job');
+const { startProductPurgeJob } = require('./src/jobs/product-purge.job');
+const { startProductScheduleJob } = require('./src/jobs/product-schedule.job');
 const { cache, redisClient } = require('./src/middleware/cache');
 const logger = require('./src/utils/logger');
 
@@ -39,6 +43,18 @@ if (cluster.isPrimary && process.env.NODE_ENV === 'production') {
       await connectDB();
       logger.info('✅ Database connected successfully');
 
+      // Release stock held by orders that were not confirmed in time
+      startReservationExpiryJob();
+
+      // Low-stock alerts and automatic out-of-stock status
+      startStockAlertJob();
+
+      // Permanently remove products that have been in the trash past the retention period
+      startProductPurgeJob();
+
+      // Apply scheduled product status changes (stored in Mongo, so they survive restarts)
+      startProductScheduleJob();
+
       // Start Server
       const server = app.listen(PORT, () => {
         logger.info(`
@@ -10,7 +10,9 @@ const hpp = require('hpp');
 
 
 // Performance optimizations
-const { cacheMiddleware, clearCacheByPattern } = require('./middleware/cache');
+const { cacheMiddleware, clearCacheByPattern, clearAllCache } = require('./middleware/cache');
+const { authenticateToken, authorizeRoles, requireStepUp } = require('./middleware/auth');
+const { ROLES } = require('./config/constants');
 const logger = require('./utils/logger');
 
 // Route Imports
@@ -26,6 +28,12 @@ const brandRoutes = require('./routes/brand.routes');
 const sustainabilityRoutes = require('./routes/sustainability.routes');
 const sizeRoutes = require('./routes/size.routes');
 const certificationRoutes = require('./routes/certification.routes');
+const roleRoutes = require('./routes/role.routes');
+const orderRoutes = require('./routes/order.routes');
+const quoteRoutes = require('./routes/quote.routes');
+const sampleRequestRoutes = require('./routes/sample-request.routes');
+const inventoryRoutes = require('./routes/inventory.routes');
+const warehouseRoutes = require('./routes/warehouse.routes');
 
 // Middleware
 const { generalLimiter } = require('./middleware/rateLimit');
@@ -99,7 +107,7 @@ const corsOptions = {
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-2FA-Code']
 };
 
 app.use(cors(corsOptions));
@@ -137,6 +145,12 @@ app.use('/api/v1/brands', brandRoutes);
 app.use('/api/v1/sub-categories', subCategoryRoutes);
 app.use('/api/v1/sustainability', sustainabilityRoutes);
 app.use('/api/v1/certifications', certificationRoutes);
+app.use('/api/v1/roles', roleRoutes);
+app.use('/api/v1/orders', orderRoutes);
+app.use('/api/v1/quotes', quoteRoutes);
+app.use('/api/v1/samples', sampleRequestRoutes);
+app.use('/api/v1/inventory', inventoryRoutes);
+app.use('/api/v1/warehouses', warehouseRoutes);
 
 // Performance monitoring route
 app.get('/api/performance', cacheMiddleware(30, false), (req, res) => {
@@ -153,14 +167,13 @@ app.get('/api/performance', cacheMiddleware(30, false), (req, res) => {
 });
 
 // Cache management routes (admin only)
-app.delete('/api/cache/clear', async (req, res) => {
+app.delete('/api/cache/clear', authenticateToken, authorizeRoles(ROLES.ADMIN), requireStepUp, async (req, res) => {
   try {
     const { pattern } = req.query;
     if (pattern) {
       await clearCacheByPattern(pattern);
       res.json({ success: true, message: `Cache cleared for pattern: ${pattern}` });
     } else {
-      const { clearAllCache } = require('./src/middleware/cache');
       await clearAllCache();
       res.json({ success: true, message: 'All cache cleared' });
     }
@@ -216,6 +229,10 @@ app.get('/api/docs', cacheMiddleware(3600, true), (req, res) => {
       products: '/api/v1/products',
       users: '/api/v1/users',
       orders: '/api/v1/orders',
+      quotes: '/api/v1/quotes',
+      samples: '/api/v1/samples',
+      inventory: '/api/v1/inventory',
+      warehouses: '/api/v1/warehouses',
       blogs: '/api/v1/blogs',
       chat: '/api/v1/chat',
       colors: '/api/v1/colors'
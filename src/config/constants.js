@@ -23,12 +23,53 @@ module.exports = {
     ADMIN: ['all']
   },
 
+  // Every permission a role or user can be granted
+  PERMISSION_LIST: [
+    'read_products', 'create_order', 'read_own_orders', 'update_profile',
+    'manage_own_products', 'view_sales', 'manage_own_inventory',
+    'manage_products', 'manage_taxonomy', 'manage_orders', 'manage_blogs',
+    'view_analytics', 'manage_comments',
+    'manage_users', 'delete_users', 'manage_roles'
+  ],
+
   PRODUCT_STATUS: {
     ACTIVE: 'active',
     INACTIVE: 'inactive',
     FEATURED: 'featured',
     NEW_ARRIVAL: 'new_arrival',
-    TRENDING: 'trending'
+    TRENDING: 'trending',
+    OUT_OF_STOCK: 'out-of-stock' // set and cleared by the stock alert job (autoStockStatus)
+  },
+
+  // Review state of a listing, separate from productStatus. Products without
+  // a moderationStatus predate moderation and are treated as approved.
+  MODERATION_STATUS: {
+    DRAFT: 'draft',
+    PENDING_REVIEW: 'pending_review',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    CHANGES_REQUESTED: 'changes_requested'
+  },
+
+  // Sellers submit drafts and revisions; moderators decide on pending listings.
+  // A seller edit to an approved listing sends it back to review.
+  MODERATION_STATUS_TRANSITIONS: {
+    draft: ['pending_review'],
+    pending_review: ['approved', 'rejected', 'changes_requested'],
+    changes_requested: ['pending_review'],
+    rejected: ['pending_review'],
+    approved: ['pending_review']
+  },
+
+  // What produced a product revision snapshot; baseline is the state of a product
+  // that existed before revisions were recorded
+  PRODUCT_REVISION_ACTIONS: {
+    BASELINE: 'baseline',
+    CREATE: 'create',
+    UPDATE: 'update',
+    BULK_UPDATE: 'bulk_update',
+    STATUS_CHANGE: 'status_change',
+    RESTORE: 'restore'
   },
 
   ORDER_STATUS: {
@@ -40,6 +81,144 @@ module.exports = {
     CANCELLED: 'cancelled'
   },
 
+  // Allowed next states for each order status; delivered and cancelled are final
+  ORDER_STATUS_TRANSITIONS: {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+  },
+
+  QUOTE_STATUS: {
+    REQUESTED: 'requested',
+    QUOTED: 'quoted',
+    ACCEPTED: 'accepted',
+    REJECTED: 'rejected',
+    EXPIRED: 'expired',
+    CANCELLED: 'cancelled'
+  },
+
+  // A quoted RFQ can be re-quoted until the buyer accepts or rejects it
+  QUOTE_STATUS_TRANSITIONS: {
+    requested: ['quoted', 'cancelled'],
+    quoted: ['quoted', 'accepted', 'rejected', 'expired', 'cancelled'],
+    accepted: [],
+    rejected: [],
+    expired: [],
+    cancelled: []
+  },
+
+  SAMPLE_TYPES: ['proto', 'fit', 'pp'],
+
+  SAMPLE_STATUS: {
+    REQUESTED: 'requested',
+    IN_DEVELOPMENT: 'in_development',
+    DISPATCHED: 'dispatched',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled'
+  },
+
+  // A rejected sample can go back into development for another round
+  SAMPLE_STATUS_TRANSITIONS: {
+    requested: ['in_development', 'cancelled'],
+    in_development: ['dispatched', 'cancelled'],
+    dispatched: ['approved', 'rejected'],
+    rejected: ['in_development', 'cancelled'],
+    approved: [],
+    cancelled: []
+  },
+
+  // Append-only stock ledger. Each movement changes on-hand and/or reserved stock:
+  //   receipt +onHand, adjustment +/-onHand, reservation +reserved,
+  //   release -reserved, shipment -onHand -reserved,
+  //   transfer -onHand at one warehouse and +onHand at another (two movements)
+  STOCK_MOVEMENT_TYPES: {
+    RECEIPT: 'receipt',
+    ADJUSTMENT: 'adjustment',
+    RESERVATION: 'reservation',
+    RELEASE: 'release',
+    SHIPMENT: 'shipment',
+    TRANSFER: 'transfer'
+  },
+
+  STOCK_REASON_CODES: [
+    'opening_balance', 'purchase_order', 'production', 'customer_return',
+    'count_correction', 'damaged', 'lost', 'found', 'product_edit',
+    'order_placed', 'order_confirmed', 'order_cancelled', 'order_shipped',
+    'reservation_expired', 'order_failed', 'order_deleted', 'warehouse_transfer'
+  ],
+
+  RESERVATION_STATUS: {
+    ACTIVE: 'active', // holds stock until expiresAt
+    CONFIRMED: 'confirmed', // order confirmed - held until shipped or cancelled
+    RELEASED: 'released',
+    SHIPPED: 'shipped'
+  },
+
+  WAREHOUSE_TYPES: ['factory', 'warehouse', 'showroom'],
+
+  INVENTORY: {
+    RESERVATION_TTL_MINUTES: parseInt(process.env.RESERVATION_TTL_MINUTES) || 60,
+    EXPIRY_SCHEDULE: '*/5 * * * *', // node-cron: every 5 minutes
+    STOCK_ALERT_SCHEDULE: '*/15 * * * *' // node-cron: every 15 minutes
+  },
+
+  PRODUCT_SCHEDULE_STATUS: {
+    SCHEDULED: 'scheduled',
+    PROCESSING: 'processing', // claimed by a worker; reclaimed if the lock runs out
+    APPLIED: 'applied',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed'
+  },
+
+  // Scheduled product status changes are stored in Mongo and applied by a job on every worker
+  PRODUCT_SCHEDULE: {
+    RUN_SCHEDULE: '* * * * *', // node-cron: every minute
+    LOCK_MINUTES: 5
+  },
+
+  // Deleted products stay in the trash (hidden everywhere but the trash listing)
+  // until the purge job removes them and their images
+  PRODUCT_TRASH: {
+    RETENTION_DAYS: parseInt(process.env.PRODUCT_TRASH_RETENTION_DAYS) || 30,
+    PURGE_SCHEDULE: '0 3 * * *' // node-cron: daily at 03:00
+  },
+
+  PRODUCT_IMPORT_STATUS: {
+    QUEUED: 'queued',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+  },
+
+  // CSV product imports; files above SYNC_ROW_LIMIT rows run in the background with progress
+  PRODUCT_IMPORT: {
+    MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
+    MAX_ROWS: 10000,
+    SYNC_ROW_LIMIT: 100,
+    BATCH_SIZE: 100, // rows per progress update
+    MAX_STORED_ERRORS: 1000,
+    STALE_MINUTES: 10 // a processing import without progress for this long was interrupted
+  },
+
+  // Product images delivered as a ZIP, named <productCode>[_front|_main|_<n>|_sizechart|_<view>].<ext>
+  PRODUCT_IMAGE_ZIP: {
+    MAX_FILE_SIZE: 200 * 1024 * 1024, // 200MB
+    MAX_ENTRIES: 2000,
+    IMAGE_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.webp']
+  },
+
+  // Catalog export; feed links point at the storefront
+  PRODUCT_EXPORT: {
+    STORE_URL: process.env.CLIENT_URL || 'http://localhost:3000',
+    STORE_NAME: 'Aaryan Sourcing',
+    CURRENCY: process.env.STORE_CURRENCY || 'USD',
+    MAX_ADDITIONAL_IMAGES: 10 // Google Merchant Center limit
+  },
+
   PAGINATION: {
     DEFAULT_PAGE: 1,
     DEFAULT_LIMIT: 10,
@@ -56,5 +235,22 @@ module.exports = {
     SHORT: 300, // 5 minutes
     MEDIUM: 1800, // 30 minutes
     LONG: 3600 // 1 hour
+  },
+
+  AUTH: {
+    BCRYPT_ROUNDS: 12,
+    PASSWORD_MIN_LENGTH: 8,
+    MAX_LOGIN_ATTEMPTS: 5, // failed attempts before the account is locked
+    LOCK_TIME: 15 * 60 * 1000, // 15 minutes
+    OTP_LENGTH: 6,
+    OTP_EXPIRY: 10 * 60 * 1000, // 10 minutes
+    OTP_MAX_ATTEMPTS: 5,
+    ACCESS_TOKEN_TTL: 15 * 60, // seconds
+    REFRESH_TOKEN_TTL: 30 * 24 * 60 * 60 * 1000, // 30 days
+    EMAIL_VERIFICATION_EXPIRY: '24h',
+    PASSWORD_RESET_EXPIRY: '1h',
+    TWO_FACTOR_CHALLENGE_EXPIRY: '5m',
+    TWO_FACTOR_ROLES: ['admin', 'moderator'], // roles whose tokens must carry a second factor
+    RECOVERY_CODE_COUNT: 10
   }
 };
\ No newline at end of file
@@ -23,7 +23,16 @@ const connectDB = async () => {
     collections.users = db.collection('All-Users');
    // In collections initialization section
 collections.products = db.collection('products');
+    collections.productRevisions = db.collection('product-revisions');
+    collections.productSchedules = db.collection('product-schedules');
+    collections.productImports = db.collection('product-imports');
     collections.orders = db.collection('orders');
+    collections.quotes = db.collection('quotes');
+    collections.sampleRequests = db.collection('sample-requests');
+    collections.stockMovements = db.collection('stock-movements');
+    collections.stockReservations = db.collection('stock-reservations');
+    collections.stockLevels = db.collection('stock-levels');
+    collections.warehouses = db.collection('warehouses');
     collections.blogs = db.collection('blogs');
     collections.banners = db.collection('banners');
     collections.categories = db.collection('categories');
@@ -34,6 +43,9 @@ collections.products = db.collection('products');
     collections.productAttributes = db.collection('Product-Attributes');
     collections.productReviews = db.collection('Product-Reviews');
     collections.addresses = db.collection('address');
+    collections.sessions = db.collection('sessions');
+    collections.roles = db.collection('roles');
+    collections.auditLogs = db.collection('audit-logs');
     
     // Brand & Category Collections
     collections.brands = db.collection('brands');
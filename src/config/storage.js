@@ -0,0 +1,26 @@
+// Where uploaded images and documents are kept. STORAGE_DRIVER picks cloudinary, local
+// (uploads/, served under /uploads; needs no network) or s3 (any S3-compatible endpoint);
+// without it Cloudinary is used when it is configured and the local disk otherwise.
+// Switching drivers does not move files that are already stored.
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local'),
+
+  local: {
+    root: 'uploads',
+    // Absolute URL (e.g. http://localhost:5000/uploads) when the client runs on another origin
+    baseUrl: process.env.STORAGE_LOCAL_BASE_URL || '/uploads'
+  },
+
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    // CDN or public bucket URL the stored keys are served under
+    publicUrl: process.env.S3_PUBLIC_URL
+  }
+};
+
+module.exports = { storageConfig };
@@ -0,0 +1,525 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserModel = require('../models/user.model');
+const SessionModel = require('../models/session.model');
+const SessionService = require('../services/session.service');
+const VerificationService = require('../services/verification.service');
+const totp = require('../utils/totp');
+const EmailService = require('../utils/email');
+const { ApiResponse } = require('../utils/apiResponse');
+const { AUTH } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class AuthController {
+  static getSessionMeta(req) {
+    return {
+      deviceName: req.body.deviceName,
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    };
+  }
+
+  // Open a session for the device and return its token pair
+  static async buildAuthPayload(user, req, { mfa = false } = {}) {
+    const session = await SessionService.createSession(user, {
+      ...AuthController.getSessionMeta(req),
+      mfa
+    });
+
+    return {
+      token: session.accessToken,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      sessionId: session.sessionId,
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        photoURL: user.photoURL
+      }
+    };
+  }
+
+  // Finish a first-factor login: accounts with 2FA get a challenge instead of tokens.
+  // Failed attempts are only reset once the login is complete, so a correct password
+  // cannot clear the failures of the two-factor step.
+  static async completeLogin(user, req, res) {
+    if (user.twoFactor && user.twoFactor.enabled) {
+      const challengeToken = VerificationService.createToken(
+        user,
+        VerificationService.PURPOSES.TWO_FACTOR_CHALLENGE
+      );
+      return ApiResponse.success(res, { twoFactorRequired: true, challengeToken }, 'Two-factor code required');
+    }
+
+    await UserModel.registerSuccessfulLogin(user._id);
+    return ApiResponse.success(res, await AuthController.buildAuthPayload(user, req), 'Login successful');
+  }
+
+  static generateOtp() {
+    const max = 10 ** AUTH.OTP_LENGTH;
+    return crypto.randomInt(0, max).toString().padStart(AUTH.OTP_LENGTH, '0');
+  }
+
+  static lockedResponse(res, user) {
+    const retryAfter = Math.ceil((new Date(user.lockUntil) - Date.now()) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return ApiResponse.error(res, 'Account temporarily locked due to repeated failed logins', 423);
+  }
+
+  // Password login
+  static async login(req, res) {
+    try {
+      const { email, password } = req.body;
+
+      const user = await UserModel.findByEmail(email);
+      if (!user || !user.isActive) {
+        return ApiResponse.error(res, 'Invalid email or password', 401);
+      }
+
+      if (UserModel.isLocked(user)) {
+        return AuthController.lockedResponse(res, user);
+      }
+
+      const isValid = await UserModel.verifyPassword(user, password);
+      if (!isValid) {
+        const { lockUntil } = await UserModel.registerFailedLogin(user);
+        logger.warn(`Failed password login for ${user.email}`);
+
+        if (lockUntil) {
+          return AuthController.lockedResponse(res, { lockUntil });
+        }
+        return ApiResponse.error(res, 'Invalid email or password', 401);
+      }
+
+      return await AuthController.completeLogin(user, req, res);
+    } catch (error) {
+      logger.error('Login error:', error);
+      return ApiResponse.error(res, 'Failed to log in');
+    }
+  }
+
+  // Email a one-time login code
+  static async requestLoginCode(req, res) {
+    try {
+      const { email } = req.body;
+      const user = await UserModel.findByEmail(email);
+
+      // Respond the same way whether or not the account exists
+      if (user && user.isActive && !UserModel.isLocked(user)) {
+        const code = AuthController.generateOtp();
+        await UserModel.setLoginOtp(user._id, code);
+        await EmailService.sendLoginCode(user.email, user.name, code);
+      }
+
+      return ApiResponse.success(res, null, 'If the account exists, a login code has been sent');
+    } catch (error) {
+      logger.error('Request login code error:', error);
+      return ApiResponse.error(res, 'Failed to send login code');
+    }
+  }
+
+  // Exchange a one-time login code for a token
+  static async loginWithCode(req, res) {
+    try {
+      const { email, code } = req.body;
+
+      const user = await UserModel.findByEmail(email);
+      if (!user || !user.isActive) {
+        return ApiResponse.error(res, 'Invalid or expired code', 401);
+      }
+
+      if (UserModel.isLocked(user)) {
+        return AuthController.lockedResponse(res, user);
+      }
+
+      const isValid = await UserModel.verifyLoginOtp(user, code);
+      if (!isValid) {
+        const { lockUntil } = await UserModel.registerFailedLogin(user);
+        logger.warn(`Failed code login for ${user.email}`);
+
+        if (lockUntil) {
+          return AuthController.lockedResponse(res, { lockUntil });
+        }
+        return ApiResponse.error(res, 'Invalid or expired code', 401);
+      }
+
+      return await AuthController.completeLogin(user, req, res);
+    } catch (error) {
+      logger.error('Code login error:', error);
+      return ApiResponse.error(res, 'Failed to log in');
+    }
+  }
+
+  // Change password for the authenticated user
+  static async changePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const user = req.user;
+
+      // Accounts created before password login have no password yet
+      if (user.password) {
+        const isValid = await UserModel.verifyPassword(user, currentPassword);
+        if (!isValid) {
+          return ApiResponse.error(res, 'Current password is incorrect', 401);
+        }
+      }
+
+      await UserModel.setPassword(user._id, newPassword);
+
+      // Keep the current device signed in, end every other session
+      await SessionService.revokeAllForUser(user._id, 'password_changed', req.sessionId);
+
+      return ApiResponse.success(res, null, 'Password updated successfully');
+    } catch (error) {
+      logger.error('Change password error:', error);
+      return ApiResponse.error(res, 'Failed to update password');
+    }
+  }
+
+  // Second login step: exchange a challenge token and TOTP or recovery code for tokens
+  static async verifyTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      const user = await VerificationService.resolveToken(
+        challengeToken,
+        VerificationService.PURPOSES.TWO_FACTOR_CHALLENGE
+      );
+      if (!user) {
+        return ApiResponse.error(res, 'Invalid or expired challenge', 401);
+      }
+
+      if (UserModel.isLocked(user)) {
+        return AuthController.lockedResponse(res, user);
+      }
+
+      const isValid = await UserModel.consumeTwoFactorCode(user, { code, recoveryCode });
+      if (!isValid) {
+        const { lockUntil } = await UserModel.registerFailedLogin(user);
+        logger.warn(`Failed two-factor login for ${user.email}`);
+
+        if (lockUntil) {
+          return AuthController.lockedResponse(res, { lockUntil });
+        }
+        return ApiResponse.error(res, 'Invalid two-factor code', 401);
+      }
+
+      await UserModel.registerSuccessfulLogin(user._id);
+      const payload = await AuthController.buildAuthPayload(user, req, { mfa: true });
+
+      return ApiResponse.success(res, payload, 'Login successful');
+    } catch (error) {
+      logger.error('Two-factor login error:', error);
+      return ApiResponse.error(res, 'Failed to log in');
+    }
+  }
+
+  // Start TOTP enrollment and return the provisioning URI for a QR code
+  static async setupTwoFactor(req, res) {
+    try {
+      const user = req.user;
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return ApiResponse.error(res, 'Two-factor authentication is already enabled', 409);
+      }
+
+      const secret = totp.generateSecret();
+      await UserModel.setPendingTwoFactorSecret(user._id, secret);
+
+      return ApiResponse.success(res, {
+        secret,
+        otpauthUri: totp.buildOtpAuthUri(secret, user.email)
+      }, 'Scan the QR code and confirm with a code to enable two-factor authentication');
+    } catch (error) {
+      logger.error('Setup two-factor error:', error);
+      return ApiResponse.error(res, 'Failed to start two-factor setup');
+    }
+  }
+
+  // Confirm enrollment, hand out recovery codes and upgrade the current session
+  static async enableTwoFactor(req, res) {
+    try {
+      const user = req.user;
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        return ApiResponse.error(res, 'Two-factor authentication is already enabled', 409);
+      }
+
+      if (!UserModel.verifyPendingTwoFactorCode(user, req.body.code)) {
+        return ApiResponse.error(res, 'Invalid two-factor code', 400);
+      }
+
+      const recoveryCodes = totp.generateRecoveryCodes(AUTH.RECOVERY_CODE_COUNT);
+      await UserModel.enableTwoFactor(user, recoveryCodes);
+
+      const session = await SessionService.upgradeSessionMfa(user, req.sessionId);
+
+      return ApiResponse.success(res, {
+        recoveryCodes,
+        token: session.accessToken,
+        expiresIn: session.expiresIn
+      }, 'Two-factor authentication enabled. Store the recovery codes somewhere safe.');
+    } catch (error) {
+      logger.error('Enable two-factor error:', error);
+      return ApiResponse.error(res, 'Failed to enable two-factor authentication');
+    }
+  }
+
+  // Turn off 2FA after confirming a code; every session is signed out
+  static async disableTwoFactor(req, res) {
+    try {
+      const { code, recoveryCode } = req.body;
+
+      const isValid = await UserModel.consumeTwoFactorCode(req.user, { code, recoveryCode });
+      if (!isValid) {
+        return ApiResponse.error(res, 'Invalid two-factor code', 400);
+      }
+
+      await UserModel.disableTwoFactor(req.user._id);
+      await SessionService.revokeAllForUser(req.user._id, 'two_factor_disabled');
+
+      return ApiResponse.success(res, null, 'Two-factor authentication disabled');
+    } catch (error) {
+      logger.error('Disable two-factor error:', error);
+      return ApiResponse.error(res, 'Failed to disable two-factor authentication');
+    }
+  }
+
+  // Replace all recovery codes after confirming a TOTP code
+  static async regenerateRecoveryCodes(req, res) {
+    try {
+      const isValid = await UserModel.consumeTwoFactorCode(req.user, { code: req.body.code });
+      if (!isValid) {
+        return ApiResponse.error(res, 'Invalid two-factor code', 400);
+      }
+
+      const recoveryCodes = totp.generateRecoveryCodes(AUTH.RECOVERY_CODE_COUNT);
+      await UserModel.replaceRecoveryCodes(req.user._id, recoveryCodes);
+
+      return ApiResponse.success(res, { recoveryCodes }, 'Recovery codes regenerated');
+    } catch (error) {
+      logger.error('Regenerate recovery codes error:', error);
+      return ApiResponse.error(res, 'Failed to regenerate recovery codes');
+    }
+  }
+
+  // Send a fresh verification link to the authenticated user
+  static async requestEmailVerification(req, res) {
+    try {
+      if (req.user.emailVerified) {
+        return ApiResponse.error(res, 'Email is already verified', 409);
+      }
+
+      await VerificationService.sendVerificationEmail(req.user);
+
+      return ApiResponse.success(res, null, 'Verification email sent');
+    } catch (error) {
+      logger.error('Request email verification error:', error);
+      return ApiResponse.error(res, 'Failed to send verification email');
+    }
+  }
+
+  // Confirm an email address from a verification token
+  static async verifyEmail(req, res) {
+    try {
+      const { token } = req.body;
+
+      const user = await VerificationService.resolveToken(
+        token,
+        VerificationService.PURPOSES.EMAIL_VERIFICATION
+      );
+      if (!user) {
+        return ApiResponse.error(res, 'Invalid or expired verification token', 400);
+      }
+
+      if (!user.emailVerified) {
+        await UserModel.markEmailVerified(user._id);
+      }
+
+      return ApiResponse.success(res, null, 'Email verified successfully');
+    } catch (error) {
+      logger.error('Verify email error:', error);
+      return ApiResponse.error(res, 'Failed to verify email');
+    }
+  }
+
+  // Email a password reset link
+  static async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      const user = await UserModel.findByEmail(email);
+
+      // Respond the same way whether or not the account exists
+      if (user && user.isActive) {
+        await VerificationService.sendPasswordResetEmail(user);
+      }
+
+      return ApiResponse.success(res, null, 'If the account exists, a reset link has been sent');
+    } catch (error) {
+      logger.error('Forgot password error:', error);
+      return ApiResponse.error(res, 'Failed to send password reset email');
+    }
+  }
+
+  // Set a new password from a reset token and sign out every session
+  static async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+
+      const user = await VerificationService.resolveToken(
+        token,
+        VerificationService.PURPOSES.PASSWORD_RESET
+      );
+      if (!user) {
+        return ApiResponse.error(res, 'Invalid or expired reset token', 400);
+      }
+
+      await UserModel.setPassword(user._id, newPassword);
+      await SessionService.revokeAllForUser(user._id, 'password_reset');
+
+      // Receiving the reset email proves ownership of the address
+      if (!user.emailVerified) {
+        await UserModel.markEmailVerified(user._id);
+      }
+
+      return ApiResponse.success(res, null, 'Password reset successfully');
+    } catch (error) {
+      logger.error('Reset password error:', error);
+      return ApiResponse.error(res, 'Failed to reset password');
+    }
+  }
+
+  // Exchange a refresh token for a new token pair
+  static async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      const found = await SessionService.findRefreshableSession(refreshToken);
+      if (!found) {
+        return ApiResponse.error(res, 'Invalid or expired refresh token', 401);
+      }
+
+      const user = await UserModel.findById(found.session.userId);
+      if (!user || !user.isActive) {
+        await SessionService.revokeSession(found.session._id, 'account_deactivated');
+        return ApiResponse.error(res, 'Invalid or expired refresh token', 401);
+      }
+
+      const tokens = await SessionService.rotateSession(user, found.session, found.hash);
+      if (!tokens) {
+        return ApiResponse.error(res, 'Invalid or expired refresh token', 401);
+      }
+
+      return ApiResponse.success(res, {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        sessionId: tokens.sessionId
+      }, 'Token refreshed successfully');
+    } catch (error) {
+      logger.error('Refresh token error:', error);
+      return ApiResponse.error(res, 'Failed to refresh token');
+    }
+  }
+
+  // End the current session
+  static async logout(req, res) {
+    try {
+      await SessionService.revokeSession(req.sessionId, 'logout');
+
+      return ApiResponse.success(res, null, 'Logged out successfully');
+    } catch (error) {
+      logger.error('Logout error:', error);
+      return ApiResponse.error(res, 'Failed to log out');
+    }
+  }
+
+  // List active sessions for the authenticated user
+  static async getSessions(req, res) {
+    try {
+      const sessions = await SessionModel.findActiveByUser(req.user._id);
+
+      const data = sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === req.sessionId
+      }));
+
+      return ApiResponse.success(res, data);
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      return ApiResponse.error(res, 'Failed to fetch sessions');
+    }
+  }
+
+  // Revoke one of the authenticated user's sessions
+  static async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      const session = await SessionModel.findById(id);
+      if (!session || session.userId.toString() !== req.user._id.toString()) {
+        return ApiResponse.error(res, 'Session not found', 404);
+      }
+
+      await SessionService.revokeSession(id, 'revoked_by_user');
+
+      return ApiResponse.success(res, null, 'Session revoked successfully');
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      return ApiResponse.error(res, 'Failed to revoke session');
+    }
+  }
+
+  // Revoke every session except the current one
+  static async revokeOtherSessions(req, res) {
+    try {
+      const revoked = await SessionService.revokeAllForUser(req.user._id, 'revoked_by_user', req.sessionId);
+
+      return ApiResponse.success(res, { revoked }, 'Other sessions revoked successfully');
+    } catch (error) {
+      logger.error('Revoke sessions error:', error);
+      return ApiResponse.error(res, 'Failed to revoke sessions');
+    }
+  }
+
+  // Verify token and return fresh user data
+  static async verifyToken(req, res) {
+    try {
+      const { token } = req.body;
+
+      if (!token) {
+        return ApiResponse.error(res, 'Token is required', 400);
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (!decoded.sid || await SessionService.isSessionRevoked(decoded.sid)) {
+        return ApiResponse.error(res, 'Invalid token', 401);
+      }
+
+      // Get fresh user data
+      const user = await UserModel.findById(decoded.userId);
+      if (!user) {
+        return ApiResponse.error(res, 'User not found', 404);
+      }
+
+      return ApiResponse.success(res, {
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          photoURL: user.photoURL,
+          permissions: user.permissions
+        },
+        valid: true
+      }, 'Token is valid');
+    } catch (error) {
+      return ApiResponse.error(res, 'Invalid token', 401);
+    }
+  }
+}
+
+module.exports = AuthController;
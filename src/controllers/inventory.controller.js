@@ -0,0 +1,151 @@
+const InventoryService = require('../services/inventory.service');
+const StockAlertService = require('../services/stock-alert.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { STOCK_MOVEMENT_TYPES, RESERVATION_STATUS } = require('../config/constants');
+
+class InventoryController {
+  static sendError(res, error, context) {
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // Ledger-derived stock per SKU compared with the cached counters
+  static async getProductStock(req, res) {
+    try {
+      await InventoryService.getManagedProduct(req.params.id, req.user);
+      const report = await InventoryService.getStockReport(req.params.id);
+
+      return ApiResponse.success(res, report);
+    } catch (error) {
+      return InventoryController.sendError(res, error, 'Get product stock');
+    }
+  }
+
+  // Receipt or adjustment with a reason code
+  static async recordMovement(req, res) {
+    try {
+      await InventoryService.getManagedProduct(req.params.id, req.user);
+      const report = await InventoryService.recordStockChange(req.params.id, req.body, req.user);
+
+      clearCacheByPattern('admin_products:').catch(err => logger.error('Cache clear error:', err));
+
+      return ApiResponse.success(res, report, 'Stock movement recorded', 201);
+    } catch (error) {
+      return InventoryController.sendError(res, error, 'Record stock movement');
+    }
+  }
+
+  // Move on-hand stock between warehouses
+  static async transferStock(req, res) {
+    try {
+      await InventoryService.getManagedProduct(req.params.id, req.user);
+      const transfer = await InventoryService.transferStock(req.params.id, req.body, req.user);
+
+      clearCacheByPattern('admin_products:').catch(err => logger.error('Cache clear error:', err));
+
+      return ApiResponse.success(res, transfer, 'Stock transferred', 201);
+    } catch (error) {
+      return InventoryController.sendError(res, error, 'Transfer stock');
+    }
+  }
+
+  // Compare (and with apply=true, repair) the cached counters against the ledger
+  static async reconcileProduct(req, res) {
+    try {
+      await InventoryService.getManagedProduct(req.params.id, req.user);
+      const report = await InventoryService.reconcile(req.params.id, {
+        apply: req.body.apply === true || req.body.apply === 'true',
+        actor: req.user
+      });
+
+      return ApiResponse.success(res, report, report.applied ? 'Stock counters reconciled' : 'Stock reconciliation report');
+    } catch (error) {
+      return InventoryController.sendError(res, error, 'Reconcile stock');
+    }
+  }
+
+  // Ledger entries, newest first
+  static async getMovements(req, res) {
+    try {
+      const { page = 1, limit = 20, productId, sku, type, reason, orderId, warehouseId } = req.query;
+
+      const query = {};
+      if (productId) query.productId = productId;
+      if (sku) query.sku = sku;
+      if (warehouseId) query.warehouseId = warehouseId;
+      if (type && Object.values(STOCK_MOVEMENT_TYPES).includes(type)) query.type = type;
+      if (reason) query.reason = reason;
+      if (orderId) query.orderId = orderId;
+
+      // Sellers only see the ledger of their own products
+      if (!Helpers.checkPermission(req.user, 'manage_products')) {
+        if (!productId) {
+          return ApiResponse.error(res, 'productId is required', 400);
+        }
+        await InventoryService.getManagedProduct(productId, req.user);
+      }
+
+      const result = await InventoryService.getMovements(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      return InventoryController.sendError(res, error, 'Get stock movements');
+    }
+  }
+
+  // Products currently flagged low or out of stock (sellers see their own)
+  static async getStockAlerts(req, res) {
+    try {
+      const sellerId = Helpers.checkPermission(req.user, 'manage_products') ? null : req.user._id.toString();
+      const products = await StockAlertService.getFlaggedProducts(sellerId);
+
+      return ApiResponse.success(res, products);
+    } catch (error) {
+      return InventoryController.sendError(res, error, 'Get stock alerts');
+    }
+  }
+
+  // Run the stock alert scan now instead of waiting for the schedule
+  static async runStockAlerts(req, res) {
+    try {
+      const result = await StockAlertService.scan();
+
+      return ApiResponse.success(res, result, 'Stock alert scan completed');
+    } catch (error) {
+      return InventoryController.sendError(res, error, 'Run stock alerts');
+    }
+  }
+
+  // Stock holds placed by orders
+  static async getReservations(req, res) {
+    try {
+      const { page = 1, limit = 20, orderId, productId, sku, status } = req.query;
+
+      const query = {};
+      if (orderId) query.orderId = orderId;
+      if (productId) query.productId = productId;
+      if (sku) query.sku = sku;
+      if (status && Object.values(RESERVATION_STATUS).includes(status)) query.status = status;
+
+      const result = await InventoryService.getReservations(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get reservations error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+}
+
+module.exports = InventoryController;
@@ -0,0 +1,196 @@
+const OrderService = require('../services/order.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { ORDER_STATUS } = require('../config/constants');
+
+// sortBy values the order list accepts, and the fields they sort on
+const ORDER_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  orderNumber: 'orderNumber',
+  status: 'status',
+  total: 'totals.total'
+};
+
+class OrderController {
+  // Create Order - totals are priced server-side from the catalog
+  static async createOrder(req, res) {
+    try {
+      const order = await OrderService.placeOrder(req.user, req.body);
+
+      return ApiResponse.success(res, order, 'Order placed successfully', 201);
+    } catch (error) {
+      logger.error('Create order error:', error);
+      return ApiResponse.error(res, error.message, error.status || 500, error.errors);
+    }
+  }
+
+  // Get All Orders (manage_orders)
+  static async getOrders(req, res) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        status,
+        email,
+        userId,
+        search,
+        dateFrom,
+        dateTo,
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+      } = req.query;
+
+      if (!ORDER_SORT_FIELDS[sortBy]) {
+        return ApiResponse.error(res, `sortBy must be one of: ${Object.keys(ORDER_SORT_FIELDS).join(', ')}`, 400);
+      }
+
+      const query = {};
+
+      if (status && Object.values(ORDER_STATUS).includes(status)) {
+        query.status = status;
+      }
+      if (email) query.email = email.toLowerCase();
+      if (userId) query.userId = userId;
+
+      if (search) {
+        const pattern = new RegExp(Helpers.escapeRegex(search), 'i');
+        query.$or = [
+          { orderNumber: pattern },
+          { name: pattern },
+          { company: pattern },
+          { 'products.productCode': pattern }
+        ];
+      }
+
+      if (dateFrom || dateTo) {
+        query.createdAt = {};
+        if (dateFrom) query.createdAt.$gte = new Date(dateFrom);
+        if (dateTo) query.createdAt.$lte = new Date(dateTo);
+      }
+
+      const result = await OrderService.getAllOrders(query, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sort: { [ORDER_SORT_FIELDS[sortBy]]: sortOrder === 'desc' ? -1 : 1 }
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get orders error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get the current user's orders
+  static async getMyOrders(req, res) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+
+      const query = { userId: req.user._id.toString() };
+      if (status && Object.values(ORDER_STATUS).includes(status)) {
+        query.status = status;
+      }
+
+      const result = await OrderService.getAllOrders(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get my orders error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get Order Stats
+  static async getOrderStats(req, res) {
+    try {
+      const stats = await OrderService.getOrderStats();
+
+      return ApiResponse.success(res, stats);
+    } catch (error) {
+      logger.error('Get order stats error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get Order by ID - buyers only see their own orders
+  static async getOrderById(req, res) {
+    try {
+      const order = await OrderService.getOrderById(req.params.id);
+
+      if (!order || !Helpers.canViewOrder(req.user, order)) {
+        return ApiResponse.error(res, 'Order not found', 404);
+      }
+
+      return ApiResponse.success(res, order);
+    } catch (error) {
+      logger.error('Get order error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Update Order Status - only transitions allowed by ORDER_STATUS_TRANSITIONS
+  static async updateOrderStatus(req, res) {
+    try {
+      const { status, note } = req.body;
+
+      const order = await OrderService.updateOrderStatus(req.params.id, status, {
+        actor: req.user,
+        note
+      });
+
+      return ApiResponse.success(res, order, `Order status updated to ${status}`);
+    } catch (error) {
+      if (error.status === 409) {
+        return ApiResponse.error(res, error.message, 409, {
+          currentStatus: error.currentStatus,
+          allowedStatuses: error.allowedStatuses
+        });
+      }
+      logger.error('Update order status error:', error);
+      return ApiResponse.error(res, error.message, error.status || 500);
+    }
+  }
+
+  // Get the status history of an order
+  static async getOrderHistory(req, res) {
+    try {
+      const order = await OrderService.getOrderById(req.params.id);
+
+      if (!order || !Helpers.canViewOrder(req.user, order)) {
+        return ApiResponse.error(res, 'Order not found', 404);
+      }
+
+      return ApiResponse.success(res, {
+        status: order.status,
+        allowedStatuses: OrderService.getAllowedTransitions(order.status),
+        history: order.statusHistory || []
+      });
+    } catch (error) {
+      logger.error('Get order history error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Delete Order
+  static async deleteOrder(req, res) {
+    try {
+      const result = await OrderService.deleteOrder(req.params.id, req.user);
+
+      if (result.deletedCount === 0) {
+        return ApiResponse.error(res, 'Order not found', 404);
+      }
+
+      return ApiResponse.success(res, null, 'Order deleted successfully');
+    } catch (error) {
+      logger.error('Delete order error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+}
+
+module.exports = OrderController;
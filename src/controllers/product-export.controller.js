@@ -0,0 +1,46 @@
+const ProductController = require('./product.controller');
+const ProductExportService = require('../services/product-export.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+
+class ProductExportController {
+  // Streams the catalog (?format=csv|jsonl|google-xml|google-tsv) with the admin listing filters
+  static async exportProducts(req, res) {
+    let format;
+    try {
+      format = ProductExportService.getFormat(req.query.format || 'csv');
+    } catch (error) {
+      return ApiResponse.error(res, error.message, error.status);
+    }
+
+    const {
+      search, category, subCategory, brand, status, minPrice, maxPrice,
+      sortBy = 'createdAt', sortOrder = 'desc'
+    } = req.query;
+
+    try {
+      const query = ProductController.buildAdminQuery({
+        search, category, subCategory, brand, status, minPrice, maxPrice
+      });
+
+      res.setHeader('Content-Type', format.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${ProductExportService.getFileName(format)}"`);
+
+      const count = await ProductExportService.stream(res, query, {
+        format,
+        sort: { [sortBy]: sortOrder === 'desc' ? -1 : 1 }
+      });
+
+      logger.info(`Exported ${count} products as ${format.name}`);
+      return res.end();
+    } catch (error) {
+      logger.error('Export products error:', error);
+
+      // Once streaming has started the status is already sent; cut the download short
+      if (res.headersSent) return res.destroy(error);
+      return ApiResponse.error(res, error.message, error.status || 500);
+    }
+  }
+}
+
+module.exports = ProductExportController;
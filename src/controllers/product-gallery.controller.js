@@ -0,0 +1,91 @@
+const ProductGalleryService = require('../services/product-gallery.service');
+const StorageService = require('../services/storage.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+
+// The image a request points at: publicId, or url for images stored without one
+const getImageKey = (req) => ({
+  publicId: req.body.publicId || req.query.publicId || null,
+  url: req.body.url || req.query.url || null
+});
+
+class ProductGalleryController {
+  static sendError(res, error, context) {
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // Append uploaded images (altTexts / captions follow the upload order)
+  static async addImages(req, res) {
+    const uploads = (req.storedFiles || []).filter(file => file.fieldname === 'galleryImages');
+
+    try {
+      const images = ProductGalleryService.buildImages(uploads, {
+        altTexts: req.body.altTexts,
+        captions: req.body.captions
+      });
+      const product = await ProductGalleryService.addImages(req.params.id, images, req.user);
+
+      return ApiResponse.success(res, product, 'Gallery images added', 201);
+    } catch (error) {
+      // Uploads that never made it into the gallery are removed again; once the gallery
+      // was saved (error.saved) the product points at them and they stay
+      if (!error.saved) {
+        await Promise.allSettled(
+          uploads.map(file =>
+            StorageService.remove(file.key, file.mime)
+              .catch(err => logger.error('Failed to delete stored file:', err))
+          )
+        );
+      }
+      return ProductGalleryController.sendError(res, error, 'Add gallery images');
+    }
+  }
+
+  static async removeImage(req, res) {
+    try {
+      const product = await ProductGalleryService.removeImage(req.params.id, getImageKey(req), req.user);
+
+      return ApiResponse.success(res, product, 'Gallery image removed');
+    } catch (error) {
+      return ProductGalleryController.sendError(res, error, 'Remove gallery image');
+    }
+  }
+
+  static async reorderImages(req, res) {
+    try {
+      const product = await ProductGalleryService.reorder(req.params.id, req.body.order, req.user);
+
+      return ApiResponse.success(res, product, 'Gallery reordered');
+    } catch (error) {
+      return ProductGalleryController.sendError(res, error, 'Reorder gallery');
+    }
+  }
+
+  // Alt text and caption of one image
+  static async updateImage(req, res) {
+    try {
+      const { altText, caption } = req.body;
+      const product = await ProductGalleryService.updateImage(req.params.id, getImageKey(req), { altText, caption }, req.user);
+
+      return ApiResponse.success(res, product, 'Gallery image updated');
+    } catch (error) {
+      return ProductGalleryController.sendError(res, error, 'Update gallery image');
+    }
+  }
+
+  // Make a gallery image the main image (the old main image moves into the gallery)
+  static async promoteImage(req, res) {
+    try {
+      const product = await ProductGalleryService.promoteImage(req.params.id, getImageKey(req), req.user);
+
+      return ApiResponse.success(res, product, 'Gallery image set as main image');
+    } catch (error) {
+      return ProductGalleryController.sendError(res, error, 'Promote gallery image');
+    }
+  }
+}
+
+module.exports = ProductGalleryController;
@@ -0,0 +1,104 @@
+const ProductImportService = require('../services/product-import.service');
+const ProductImageImportService = require('../services/product-image-import.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+class ProductImportController {
+  static sendError(res, error, context) {
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // CSV import (?dryRun=true only validates and returns the per-row errors)
+  static async importProducts(req, res) {
+    try {
+      if (!req.file) {
+        return ApiResponse.error(res, 'CSV file is required', 400);
+      }
+
+      const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+      if (dryRun) {
+        const report = await ProductImportService.dryRun(req.file, req.user);
+        return ApiResponse.success(res, report, report.failed > 0 ? 'Import has rows with errors' : 'Import is valid');
+      }
+
+      const job = await ProductImportService.start(req.file, req.user);
+      if (job.background) {
+        return ApiResponse.success(res, job, 'Import started', 202);
+      }
+
+      return ApiResponse.success(res, job, job.failed > 0 ? 'Import finished with errors' : 'Import finished');
+    } catch (error) {
+      return ProductImportController.sendError(res, error, 'Import products');
+    }
+  }
+
+  // ZIP of images named <productCode>_front.jpg, _2.jpg, _sizechart.jpg ... (?dryRun=true only
+  // matches them; ?mode=replace overwrites existing images instead of adding to the gallery)
+  static async importImages(req, res) {
+    try {
+      if (!req.file) {
+        return ApiResponse.error(res, 'ZIP file is required', 400);
+      }
+
+      const report = await ProductImageImportService.importZip(req.file, req.user, {
+        dryRun: req.query.dryRun === 'true' || req.body.dryRun === 'true',
+        mode: req.query.mode || req.body.mode || 'merge'
+      });
+
+      const problems = report.unmatched.length + report.conflicts.length + report.failed.length;
+      return ApiResponse.success(res, report, problems > 0 ? 'Images processed with problems' : 'Images processed');
+    } catch (error) {
+      return ProductImportController.sendError(res, error, 'Import product images');
+    }
+  }
+
+  // Progress and row errors of one import
+  static async getImport(req, res) {
+    try {
+      const job = await ProductImportService.getJob(req.params.importId, req.user);
+
+      return ApiResponse.success(res, job);
+    } catch (error) {
+      return ProductImportController.sendError(res, error, 'Get product import');
+    }
+  }
+
+  // Recent imports (sellers see their own)
+  static async getImports(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const query = {};
+      if (!Helpers.checkPermission(req.user, 'manage_products')) {
+        query.createdBy = req.user._id.toString();
+      }
+      if (status) query.status = status;
+
+      const result = await ProductImportService.getJobs(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      return ProductImportController.sendError(res, error, 'Get product imports');
+    }
+  }
+
+  // CSV with every supported column and an example row
+  static async getTemplate(req, res) {
+    try {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="product-import-template.csv"');
+      return res.send(ProductImportService.getTemplate());
+    } catch (error) {
+      return ProductImportController.sendError(res, error, 'Get product import template');
+    }
+  }
+}
+
+module.exports = ProductImportController;
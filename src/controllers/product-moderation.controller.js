@@ -0,0 +1,96 @@
+const ProductModerationService = require('../services/product-moderation.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { MODERATION_STATUS } = require('../config/constants');
+
+class ProductModerationController {
+  // Status conflicts carry the current and allowed statuses
+  static sendError(res, error, context) {
+    if (error.status === 409 && error.allowedStatuses) {
+      return ApiResponse.error(res, error.message, 409, {
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // A decision changes what the storefront lists
+  static clearCaches(productId) {
+    Promise.all([
+      clearCacheByPattern('cache:/api/v1/products'),
+      clearCacheByPattern('products:'),
+      clearCacheByPattern(`product:${productId}`),
+      clearCacheByPattern('search:'),
+      clearCacheByPattern('popular_products:'),
+      clearCacheByPattern('related_products:'),
+      clearCacheByPattern('seller_products:'),
+      clearCacheByPattern('admin_products:')
+    ]).catch(err => logger.error('Cache clear error:', err));
+  }
+
+  // Moderation queue, oldest submission first (manage_products)
+  static async getQueue(req, res) {
+    try {
+      const { page = 1, limit = 20, status, sellerId, category } = req.query;
+
+      const query = {};
+      if (status && Object.values(MODERATION_STATUS).includes(status)) query.moderationStatus = status;
+      if (sellerId) query.sellerId = sellerId;
+      if (category) query.category = category;
+
+      const result = await ProductModerationService.getQueue(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get moderation queue error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  static async approve(req, res) {
+    return ProductModerationController.decide(req, res, MODERATION_STATUS.APPROVED, 'Product approved');
+  }
+
+  static async reject(req, res) {
+    return ProductModerationController.decide(req, res, MODERATION_STATUS.REJECTED, 'Product rejected');
+  }
+
+  static async requestChanges(req, res) {
+    return ProductModerationController.decide(req, res, MODERATION_STATUS.CHANGES_REQUESTED, 'Changes requested');
+  }
+
+  static async decide(req, res, status, message) {
+    try {
+      const product = await ProductModerationService.decide(req.params.id, req.user, status, req.body.comment);
+
+      ProductModerationController.clearCaches(req.params.id);
+
+      return ApiResponse.success(res, product, message);
+    } catch (error) {
+      return ProductModerationController.sendError(res, error, 'Moderate product');
+    }
+  }
+
+  // Seller submits a draft or revised listing for review
+  static async submit(req, res) {
+    try {
+      const product = await ProductModerationService.submit(req.params.id, req.user, req.body.comment);
+
+      ProductModerationController.clearCaches(req.params.id);
+
+      return ApiResponse.success(res, product, 'Product submitted for review');
+    } catch (error) {
+      return ProductModerationController.sendError(res, error, 'Submit product for review');
+    }
+  }
+}
+
+module.exports = ProductModerationController;
@@ -0,0 +1,59 @@
+const ProductRevisionService = require('../services/product-revision.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+
+class ProductRevisionController {
+  static sendError(res, error, context) {
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // Revision history with field-level changes, newest first
+  static async getRevisions(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      await ProductRevisionService.getManagedProduct(req.params.id, req.user);
+      const result = await ProductRevisionService.getRevisions(req.params.id, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      return ProductRevisionController.sendError(res, error, 'Get product revisions');
+    }
+  }
+
+  // Roll a product back to an earlier revision (recorded as a new revision)
+  static async restoreRevision(req, res) {
+    try {
+      const revision = parseInt(req.params.rev);
+      if (!Number.isInteger(revision) || revision < 0) {
+        return ApiResponse.error(res, 'Invalid revision number', 400);
+      }
+
+      const product = await ProductRevisionService.restore(req.params.id, revision, req.user);
+
+      Promise.all([
+        clearCacheByPattern('cache:/api/v1/products'),
+        clearCacheByPattern('products:'),
+        clearCacheByPattern(`product:${req.params.id}`),
+        clearCacheByPattern('search:'),
+        clearCacheByPattern('popular_products:'),
+        clearCacheByPattern('related_products:'),
+        clearCacheByPattern('seller_products:'),
+        clearCacheByPattern('admin_products:')
+      ]).catch(err => logger.error('Cache clear error:', err));
+
+      return ApiResponse.success(res, product, `Product restored to revision ${revision}`);
+    } catch (error) {
+      return ProductRevisionController.sendError(res, error, 'Restore product revision');
+    }
+  }
+}
+
+module.exports = ProductRevisionController;
@@ -0,0 +1,69 @@
+const ProductScheduleService = require('../services/product-schedule.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+
+class ProductScheduleController {
+  // Status conflicts carry the current and allowed statuses
+  static sendError(res, error, context) {
+    if (error.status === 409 && error.allowedStatuses) {
+      return ApiResponse.error(res, error.message, 409, {
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // Schedule a status change (and optionally the change back)
+  static async scheduleChange(req, res) {
+    try {
+      const schedules = await ProductScheduleService.schedule(req.params.id, req.user, req.body);
+
+      return ApiResponse.success(res, schedules, 'Status change scheduled', 201);
+    } catch (error) {
+      return ProductScheduleController.sendError(res, error, 'Schedule status change');
+    }
+  }
+
+  static async getProductSchedules(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const result = await ProductScheduleService.getForProduct(req.params.id, req.user, { status }, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      return ProductScheduleController.sendError(res, error, 'Get product schedules');
+    }
+  }
+
+  static async cancelSchedule(req, res) {
+    try {
+      const schedule = await ProductScheduleService.cancel(req.params.id, req.params.scheduleId, req.user);
+
+      return ApiResponse.success(res, schedule, 'Scheduled change cancelled');
+    } catch (error) {
+      return ProductScheduleController.sendError(res, error, 'Cancel scheduled change');
+    }
+  }
+
+  // Upcoming changes by day (?from=&to=, default the next 30 days)
+  static async getCalendar(req, res) {
+    try {
+      const { from, to, status, sellerId } = req.query;
+      const calendar = await ProductScheduleService.getCalendar({ from, to, status, sellerId });
+
+      return ApiResponse.success(res, calendar);
+    } catch (error) {
+      return ProductScheduleController.sendError(res, error, 'Get schedule calendar');
+    }
+  }
+}
+
+module.exports = ProductScheduleController;
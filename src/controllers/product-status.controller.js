@@ -1,14 +1,24 @@
 const { getCollection } = require('../config/database');
 const { ApiResponse } = require('../utils/apiResponse');
+const ProductScheduleService = require('../services/product-schedule.service');
+const ProductModerationService = require('../services/product-moderation.service');
+const ProductTrashService = require('../services/product-trash.service');
 
 const productsCollection = () => getCollection('products');
 
+// Storefront listings only show approved products that are not in the trash
+const publicStatusQuery = (productStatus) => ({
+  productStatus,
+  ...ProductModerationService.getPublicFilter(),
+  ...ProductTrashService.getLiveFilter()
+});
+
 class ProductStatusController {
   // Get featured products
   static async getFeaturedProducts(req, res) {
     try {
       const featuredProducts = await productsCollection()
-        .find({ productStatus: "featured" })
+        .find(publicStatusQuery("featured"))
         .toArray();
 
       return ApiResponse.success(res, featuredProducts);
@@ -21,7 +31,7 @@ class ProductStatusController {
   static async getNewArrivals(req, res) {
     try {
       const newArrivals = await productsCollection()
-        .find({ productStatus: "new_arrivals" })
+        .find(publicStatusQuery("new_arrivals"))
         .toArray();
 
       return ApiResponse.success(res, newArrivals);
@@ -34,7 +44,7 @@ class ProductStatusController {
   static async getTrendingProducts(req, res) {
     try {
       const trendingProducts = await productsCollection()
-        .find({ productStatus: "trending" })
+        .find(publicStatusQuery("trending"))
         .toArray();
 
       return ApiResponse.success(res, trendingProducts);
@@ -60,8 +70,14 @@ class ProductStatusController {
         return ApiResponse.error(res, "Invalid product status", 400);
       }
 
+      // With runAt the change is scheduled instead of applied now
+      if (req.body.runAt) {
+        const schedules = await ProductScheduleService.schedule(id, req.user, req.body);
+        return ApiResponse.success(res, schedules, "Status change scheduled", 201);
+      }
+
       const result = await productsCollection().updateOne(
-        { _id: new ObjectId(id) },
+        { _id: new ObjectId(id), deletedAt: null },
         { $set: { productStatus, updatedAt: new Date() } }
       );
 
@@ -71,7 +87,7 @@ class ProductStatusController {
 
       return ApiResponse.success(res, null, "Product status updated successfully");
     } catch (error) {
-      return ApiResponse.error(res, error.message);
+      return ApiResponse.error(res, error.message, error.status || 500);
     }
   }
 
@@ -86,15 +102,16 @@ class ProductStatusController {
       }
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
+      const query = publicStatusQuery(status);
       
       const [products, total] = await Promise.all([
         productsCollection()
-          .find({ productStatus: status })
+          .find(query)
           .sort({ createdAt: -1 })
           .skip(skip)
           .limit(parseInt(limit))
           .toArray(),
-        productsCollection().countDocuments({ productStatus: status })
+        productsCollection().countDocuments(query)
       ]);
 
       return ApiResponse.success(res, {
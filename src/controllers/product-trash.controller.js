@@ -0,0 +1,61 @@
+const ProductTrashService = require('../services/product-trash.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+
+class ProductTrashController {
+  static sendError(res, error, context) {
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // Trashed products with their purge date (sellers see their own)
+  static async getTrash(req, res) {
+    try {
+      const { page = 1, limit = 20, sellerId } = req.query;
+
+      const query = {};
+      if (!Helpers.checkPermission(req.user, 'manage_products')) {
+        query.sellerId = req.user._id.toString();
+      } else if (sellerId) {
+        query.sellerId = sellerId;
+      }
+
+      const result = await ProductTrashService.getTrash(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      return ProductTrashController.sendError(res, error, 'Get product trash');
+    }
+  }
+
+  // Take a product back out of the trash
+  static async restoreProduct(req, res) {
+    try {
+      const product = await ProductTrashService.restore(req.params.id, req.user);
+
+      Promise.all([
+        clearCacheByPattern('cache:/api/v1/products'),
+        clearCacheByPattern('products:'),
+        clearCacheByPattern(`product:${req.params.id}`),
+        clearCacheByPattern('search:'),
+        clearCacheByPattern('popular_products:'),
+        clearCacheByPattern('related_products:'),
+        clearCacheByPattern('seller_products:'),
+        clearCacheByPattern('admin_products:')
+      ]).catch(err => logger.error('Cache clear error:', err));
+
+      return ApiResponse.success(res, product, 'Product restored from trash');
+    } catch (error) {
+      return ProductTrashController.sendError(res, error, 'Restore product');
+    }
+  }
+}
+
+module.exports = ProductTrashController;
@@ -1,10 +1,21 @@
 const { getCollection } = require('../config/database');
 const { ApiResponse } = require('../utils/apiResponse');
-const { CloudinaryService } = require('../config/cloudinary');
-const { ROLES, PRODUCT_STATUS } = require('../config/constants');
+const { ROLES, PRODUCT_STATUS, PRODUCT_REVISION_ACTIONS } = require('../config/constants');
 const { ObjectId } = require('mongodb');
 const { cache, redisClient, setCache, getCache, clearCacheByPattern } = require('../middleware/cache');
 const logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const PricingService = require('../services/pricing.service');
+const OrderRulesService = require('../services/order-rules.service');
+const VariantService = require('../services/variant.service');
+const InventoryService = require('../services/inventory.service');
+const StockAlertService = require('../services/stock-alert.service');
+const ProductModerationService = require('../services/product-moderation.service');
+const ProductRevisionService = require('../services/product-revision.service');
+const ProductTrashService = require('../services/product-trash.service');
+const ProductScheduleService = require('../services/product-schedule.service');
+const ProductGalleryService = require('../services/product-gallery.service');
+const StorageService = require('../services/storage.service');
 const sharp = require('sharp');
 
 class ProductController {
@@ -18,6 +29,66 @@ class ProductController {
       .replace(/^-+|-+$/g, '');
   }
 
+  // Product PDF from its stored file, with the name it was uploaded under
+  static buildPdf(file) {
+    return {
+      url: file.url,
+      key: file.key,
+      size: file.size,
+      mime: file.mime,
+      name: file.originalName,
+      uploadedAt: new Date()
+    };
+  }
+
+  // Matches products whose unit price or any quantity tier falls in the range
+  static buildPriceConditions(minPrice, maxPrice) {
+    const priceFilter = {};
+    if (minPrice) priceFilter.$gte = parseFloat(minPrice);
+    if (maxPrice) priceFilter.$lte = parseFloat(maxPrice);
+
+    return [
+      { price: priceFilter },
+      { discountPrice: priceFilter },
+      { priceTiers: { $elemMatch: { price: priceFilter } } }
+    ];
+  }
+
+  // Filters of the admin product listing (also used by the catalog export)
+  static buildAdminQuery({ search, category, subCategory, brand, status, minPrice, maxPrice }) {
+    // Trashed products are listed by GET /products/trash
+    const query = ProductTrashService.getLiveFilter();
+
+    if (category) query.category = category;
+    if (subCategory) query.subCategory = subCategory;
+    if (brand) query.brand = brand;
+    if (status) query.productStatus = status;
+
+    // Price range filter
+    if (minPrice || maxPrice) {
+      query.$or = ProductController.buildPriceConditions(minPrice, maxPrice);
+    }
+
+    // Search optimization
+    if (search) {
+      const searchConditions = [
+        { title: new RegExp(search, 'i') },
+        { productCode: new RegExp(search, 'i') },
+        { shortDescription: new RegExp(search, 'i') }
+      ];
+
+      // Keep the price range $or when both filters are used
+      if (query.$or) {
+        query.$and = [{ $or: query.$or }, { $or: searchConditions }];
+        delete query.$or;
+      } else {
+        query.$or = searchConditions;
+      }
+    }
+
+    return query;
+  }
+
   // Optimized image processing with WebP conversion
   static async processImage(buffer, options = {}) {
     const {
@@ -148,6 +219,9 @@ class ProductController {
 
   // Create Product with optimized operations
   static async createProduct(req, res) {
+    // Set once the product is stored; from then on it points at the uploaded files
+    let insertedId = null;
+
     try {
       logger.info('Creating product...');
 
@@ -174,9 +248,8 @@ class ProductController {
         discountPrice,
         quantity,
         bulkQuantity,
-        price100Pcs,
-        price200Pcs,
-        price500Pcs,
+        priceTiers,
+        trackInventory,
         shortDescription,
         richDescription,
         printingEmbroidery,
@@ -197,43 +270,48 @@ class ProductController {
       // Generate slug from title
       const slug = ProductController.generateSlug(title);
 
-      // Handle file uploads from Cloudinary
+      // Handle stored file uploads
       let mainImageUrl = '';
       let mainImagePublicId = '';
       let sizeChartImageUrl = '';
       let sizeChartImagePublicId = '';
+      let mainPdf = null;
       const galleryImages = [];
 
       // Process main image
-      if (req.cloudinaryResults) {
-        const mainImageResult = req.cloudinaryResults.find(result => 
+      if (req.storedFiles) {
+        const mainImageResult = req.storedFiles.find(result => 
           result.fieldname === 'mainImage'
         );
         if (mainImageResult) {
-          mainImageUrl = mainImageResult.secure_url;
-          mainImagePublicId = mainImageResult.public_id;
+          mainImageUrl = mainImageResult.url;
+          mainImagePublicId = mainImageResult.key;
         }
 
-        // Process gallery images
-        const galleryResults = req.cloudinaryResults.filter(result => 
+        // Process gallery images (galleryAltTexts / galleryCaptions follow the upload order)
+        const galleryResults = req.storedFiles.filter(result => 
           result.fieldname === 'galleryImages'
         );
-        galleryResults.forEach(result => {
-          galleryImages.push({
-            url: result.secure_url,
-            publicId: result.public_id,
-            altText: '',
-            uploadedAt: new Date()
-          });
-        });
+        galleryImages.push(...ProductGalleryService.buildImages(galleryResults, {
+          altTexts: req.body.galleryAltTexts,
+          captions: req.body.galleryCaptions
+        }));
 
         // Process size chart image
-        const sizeChartResult = req.cloudinaryResults.find(result => 
+        const sizeChartResult = req.storedFiles.find(result => 
           result.fieldname === 'sizeChartImage'
         );
         if (sizeChartResult) {
-          sizeChartImageUrl = sizeChartResult.secure_url;
-          sizeChartImagePublicId = sizeChartResult.public_id;
+          sizeChartImageUrl = sizeChartResult.url;
+          sizeChartImagePublicId = sizeChartResult.key;
+        }
+
+        // Process PDF
+        const pdfResult = req.storedFiles.find(result => 
+          result.fieldname === 'mainPdf'
+        );
+        if (pdfResult) {
+          mainPdf = ProductController.buildPdf(pdfResult);
         }
       }
 
@@ -246,6 +324,32 @@ class ProductController {
         (Array.isArray(metaKeywords) ? metaKeywords : metaKeywords.split(',').map(k => k.trim())) 
         : [];
 
+      // Quantity price tiers; the legacy price100Pcs/200/500 fields are still accepted from older forms
+      const priceTiersArray = priceTiers !== undefined
+        ? PricingService.normalizeTiers(priceTiers)
+        : PricingService.fromLegacyFields(req.body);
+
+      // MOQ, case pack and lead-time bands
+      const orderRules = OrderRulesService.normalize(req.body);
+
+      // Reorder threshold and automatic out-of-stock status
+      const stockAlerts = StockAlertService.normalize(req.body);
+
+      // Size x color variants with their own SKU, barcode, stock and price override
+      let variants = VariantService.syncVariants({
+        productCode: productCode.trim(),
+        sizes: sizesArray,
+        colors: colorsArray
+      });
+      if (req.body.variants !== undefined) {
+        variants = VariantService.applyVariantInput(variants, req.body.variants);
+      }
+
+      const barcodeConflicts = await VariantService.findBarcodeConflicts(productsCollection, variants);
+      if (barcodeConflicts.length > 0) {
+        throw Object.assign(new Error(`Barcodes already in use: ${barcodeConflicts.join(', ')}`), { status: 409 });
+      }
+
       // Calculate discount percentage
       const discountPercentage = price && discountPrice && price > discountPrice 
         ? Math.round(((price - discountPrice) / price) * 100)
@@ -259,6 +363,8 @@ class ProductController {
         category: category,
         subCategory: subCategory,
         productStatus: productStatus || 'active',
+        // Seller listings go to the moderation queue (draft=true keeps them unsubmitted)
+        ...ProductModerationService.getInitialFields(req.user, { draft: req.body.draft }),
         sizes: sizesArray,
         colors: colorsArray,
         gender: genderArray,
@@ -268,11 +374,17 @@ class ProductController {
         price: price ? parseFloat(price) : 0,
         discountPrice: discountPrice ? parseFloat(discountPrice) : 0,
         discountPercentage: discountPercentage,
-        quantity: quantity ? parseInt(quantity) : 0,
+        quantity: variants.length > 0 ? VariantService.getTotalStock(variants) : (quantity ? parseInt(quantity) : 0),
         bulkQuantity: bulkQuantity ? parseInt(bulkQuantity) : 0,
-        price100Pcs: price100Pcs ? parseFloat(price100Pcs) : 0,
-        price200Pcs: price200Pcs ? parseFloat(price200Pcs) : 0,
-        price500Pcs: price500Pcs ? parseFloat(price500Pcs) : 0,
+        variants,
+        trackInventory: trackInventory !== false && trackInventory !== 'false',
+        reorderThreshold: stockAlerts.reorderThreshold ?? null,
+        autoStockStatus: stockAlerts.autoStockStatus || false,
+        priceTiers: priceTiersArray,
+        moq: orderRules.moq || 1,
+        colorMoqs: orderRules.colorMoqs || [],
+        casePack: orderRules.casePack || 1,
+        leadTimeBands: orderRules.leadTimeBands || [],
         shortDescription: shortDescription || '',
         richDescription: richDescription || '',
         printingEmbroidery: printingEmbroidery || '',
@@ -288,6 +400,7 @@ class ProductController {
         galleryImages: galleryImages,
         sizeChartImage: sizeChartImageUrl,
         sizeChartImagePublicId: sizeChartImagePublicId,
+        mainPdf: mainPdf,
         slug: slug,
         
         // Popularity and AI recommendation fields
@@ -298,11 +411,12 @@ class ProductController {
         aiRecommendationScore: 0,
         recentlyReviewedScore: 0,
         
-        sellerId: req.user?._id?.toString() || req.user?.userId || 'system',
+        sellerId: req.user?._id?.toString() || 'system',
+        revision: 1,
         createdAt: new Date(),
         updatedAt: new Date(),
-        createdBy: req.user?.userId || 'system',
-        updatedBy: req.user?.userId || 'system'
+        createdBy: req.user?._id?.toString() || 'system',
+        updatedBy: req.user?._id?.toString() || 'system'
       };
 
       // Insert into database
@@ -311,13 +425,19 @@ class ProductController {
       if (!result.insertedId) {
         throw new Error('Failed to create product');
       }
+      insertedId = result.insertedId;
+
+      // Stock counters and the opening balance in the stock ledger
+      await InventoryService.ensureInitialized({ _id: result.insertedId, ...productData }, req.user);
+      await ProductRevisionService.record({ _id: result.insertedId, ...productData }, PRODUCT_REVISION_ACTIONS.CREATE, req.user);
 
       // Fetch the created product with minimal fields for response
       const createdProduct = await productsCollection.findOne(
         { _id: result.insertedId },
         { projection: { 
           title: 1, productCode: 1, slug: 1, price: 1, 
-          discountPrice: 1, mainImage: 1, status: 1 
+          discountPrice: 1, mainImage: 1, status: 1,
+          moderationStatus: 1
         }}
       );
 
@@ -337,17 +457,19 @@ class ProductController {
       );
 
     } catch (error) {
-      // Clean up uploaded files if product creation fails
-      if (req.cloudinaryResults && req.cloudinaryResults.length > 0) {
+      // Clean up uploaded files if the product was not stored
+      if (insertedId) {
+        logger.error(`Product ${insertedId} was stored but its creation did not complete`);
+      } else if (req.storedFiles && req.storedFiles.length > 0) {
         await Promise.allSettled(
-          req.cloudinaryResults.map(result => 
-            CloudinaryService.deleteFile(result.public_id)
-              .catch(err => logger.error('Failed to delete Cloudinary file:', err))
+          req.storedFiles.map(file => 
+            StorageService.remove(file.key, file.mime)
+              .catch(err => logger.error('Failed to delete stored file:', err))
           )
         );
       }
       logger.error('Create product error:', error);
-      return ApiResponse.error(res, 'Failed to create product: ' + error.message);
+      return ApiResponse.error(res, 'Failed to create product: ' + error.message, error.status || 500);
     }
   }
 
@@ -381,7 +503,8 @@ class ProductController {
         return ApiResponse.success(res, cachedResult);
       }
 
-      let query = {};
+      // Only listings that passed moderation and are not in the trash
+      let query = { ...ProductModerationService.getPublicFilter(), ...ProductTrashService.getLiveFilter() };
       
       // Build optimized filter query
       if (category) query.category = category;
@@ -391,17 +514,7 @@ class ProductController {
 
       // Price range filter optimization
       if (minPrice || maxPrice) {
-        const priceFilter = {};
-        if (minPrice) priceFilter.$gte = parseFloat(minPrice);
-        if (maxPrice) priceFilter.$lte = parseFloat(maxPrice);
-        
-        query.$or = [
-          { price: priceFilter },
-          { discountPrice: priceFilter },
-          { price100Pcs: priceFilter },
-          { price200Pcs: priceFilter },
-          { price500Pcs: priceFilter }
-        ];
+        query.$or = ProductController.buildPriceConditions(minPrice, maxPrice);
       }
 
       // Array filters optimization
@@ -422,12 +535,20 @@ class ProductController {
 
       // Search optimization with text index support
       if (search) {
-        query.$or = [
+        const searchConditions = [
           { title: new RegExp(search, 'i') },
           { productCode: new RegExp(search, 'i') },
           { shortDescription: new RegExp(search, 'i') },
           { metaKeywords: { $in: [new RegExp(search, 'i')] } }
         ];
+
+        // Keep the price range $or when both filters are used
+        if (query.$or) {
+          query.$and = [{ $or: query.$or }, { $or: searchConditions }];
+          delete query.$or;
+        } else {
+          query.$or = searchConditions;
+        }
       }
 
       const productsCollection = getCollection('products');
@@ -452,9 +573,9 @@ class ProductController {
               discountPercentage: 1,
               quantity: 1,
               bulkQuantity: 1,
-              price100Pcs: 1,
-              price200Pcs: 1,
-              price500Pcs: 1,
+              priceTiers: 1,
+              moq: 1,
+              casePack: 1,
               mainImage: 1,
               galleryImages: 1,
               sizeChartImage: 1,
@@ -534,22 +655,22 @@ class ProductController {
         console.log('🔴 Invalid ObjectId format:', id);
         // Try to find by slug instead
         const productsCollection = getCollection('products');
-        const productBySlug = await productsCollection.findOne({ slug: id });
-        if (productBySlug) {
+        const productBySlug = await productsCollection.findOne({ slug: id, ...ProductTrashService.getLiveFilter() });
+        if (productBySlug && ProductController.canViewProduct(req.user, productBySlug)) {
           console.log('🟢 Found product by slug:', id);
-          return ApiResponse.success(res, productBySlug);
+          return ApiResponse.success(res, ProductController.withComputedFields(productBySlug, req.query.qty));
         }
         return ApiResponse.error(res, 'Invalid product ID format', 400);
       }
 
       const cacheKey = `product:${id}`;
       
-      // Try Redis cache first
+      // Try Redis cache first (it only holds approved listings)
       try {
         const cachedProduct = await getCache(cacheKey, true);
-        if (cachedProduct) {
+        if (cachedProduct && ProductModerationService.isPublic(cachedProduct)) {
           console.log('🟢 Returning cached product:', id);
-          return ApiResponse.success(res, cachedProduct);
+          return ApiResponse.success(res, ProductController.withComputedFields(cachedProduct, req.query.qty));
         }
       } catch (cacheError) {
         console.log('🟡 Cache error, fetching from DB:', cacheError.message);
@@ -564,30 +685,34 @@ class ProductController {
       console.log('🟡 Querying database for product:', id);
       
       const product = await productsCollection.findOne({ 
-        _id: new ObjectId(id) 
+        _id: new ObjectId(id),
+        ...ProductTrashService.getLiveFilter()
       });
 
       console.log('🟡 Database query result:', product ? 'Found' : 'Not found');
 
-      if (!product) {
+      if (!product || !ProductController.canViewProduct(req.user, product)) {
         console.log('🔴 Product not found in database:', id);
         return ApiResponse.error(res, 'Product not found', 404);
       }
 
       console.log('🟢 Product found:', product.title);
 
-      // Cache the product for 10 minutes in Redis
-      try {
-        await setCache(cacheKey, product, 600, true);
-      } catch (cacheError) {
-        console.log('🟡 Cache set error:', cacheError.message);
+      // Cache the product for 10 minutes in Redis; listings awaiting moderation are
+      // only shown to the people who manage them and are never cached
+      if (ProductModerationService.isPublic(product)) {
+        try {
+          await setCache(cacheKey, product, 600, true);
+        } catch (cacheError) {
+          console.log('🟡 Cache set error:', cacheError.message);
+        }
       }
 
       // Increment view count and update popularity score (non-blocking)
       this.updateProductViews(product._id.toString())
         .catch(err => console.error('Error updating product views:', err));
 
-      return ApiResponse.success(res, product);
+      return ApiResponse.success(res, ProductController.withComputedFields(product, req.query.qty));
       
     } catch (error) {
       console.error('🔴 Get product by ID error:', error);
@@ -605,6 +730,67 @@ class ProductController {
     }
   }
 
+  // Quote unit and line price for a quantity (and optional color/size)
+  static async getPriceQuote(req, res) {
+    try {
+      const { id } = req.params;
+      const { color, size } = req.query;
+      const quantity = Number(req.query.qty);
+
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return ApiResponse.error(res, 'qty must be a positive whole number', 400);
+      }
+
+      const product = await getCollection('products').findOne(
+        { _id: new ObjectId(id), ...ProductTrashService.getLiveFilter() },
+        {
+          projection: {
+            title: 1, productCode: 1, price: 1, discountPrice: 1, priceTiers: 1,
+            price100Pcs: 1, price200Pcs: 1, price500Pcs: 1, variants: 1
+          }
+        }
+      );
+
+      if (!product) {
+        return ApiResponse.error(res, 'Product not found', 404);
+      }
+
+      const quote = PricingService.quote(product, quantity, { color, size });
+
+      return ApiResponse.success(res, {
+        productId: product._id,
+        productCode: product.productCode,
+        ...quote
+      });
+    } catch (error) {
+      logger.error('Price quote error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Listings that are not approved yet are only visible to users who can manage them
+  static canViewProduct(user, product) {
+    return ProductModerationService.isPublic(product) || Helpers.canManageProduct(user, product);
+  }
+
+  // Delivery estimate is date dependent, so it is added after the cache rather than stored.
+  // Uses ?qty= when given, otherwise the product's MOQ.
+  static withComputedFields(product, qty) {
+    const requested = parseInt(qty);
+    const quantity = requested > 0 ? requested : (product.moq || 1);
+    const variants = product.variants || [];
+
+    return {
+      ...product,
+      variantStock: {
+        total: VariantService.getTotalStock(variants),
+        byColor: VariantService.sumStockBy(variants, 'color'),
+        bySize: VariantService.sumStockBy(variants, 'size')
+      },
+      deliveryEstimate: OrderRulesService.estimateDelivery(product, quantity)
+    };
+  }
+
   // Update product view count and popularity scores (optimized)
   static async updateProductViews(productId) {
     try {
@@ -658,69 +844,65 @@ class ProductController {
         return ApiResponse.error(res, 'Product not found', 404);
       }
 
-      // Seller can only update their own products
-      if (req.user.role === ROLES.SELLER && 
-          existingProduct.sellerId !== req.user._id.toString()) {
+      // Users without manage_products can only update their own products
+      if (!Helpers.canManageProduct(req.user, existingProduct)) {
         return ApiResponse.error(res, 'Access denied', 403);
       }
 
+      if (ProductTrashService.isTrashed(existingProduct)) {
+        return ApiResponse.error(res, 'Product is in the trash; restore it before editing', 409);
+      }
+
       // Generate new slug if title is updated
       if (updateData.title && updateData.title !== existingProduct.title) {
         updateData.slug = ProductController.generateSlug(updateData.title);
       }
 
-      // Handle Cloudinary uploads for update with parallel deletion
-      if (req.cloudinaryResults && req.cloudinaryResults.length > 0) {
-        const mainImage = req.cloudinaryResults.find(result => 
+      // The gallery is edited through /:id/gallery; images uploaded here are appended to it
+      const { galleryAltTexts, galleryCaptions } = updateData;
+      delete updateData.galleryImages;
+      delete updateData.galleryAltTexts;
+      delete updateData.galleryCaptions;
+      // The PDF is only replaced by uploading a new one
+      delete updateData.mainPdf;
+
+      // Handle stored file uploads for update
+      if (req.storedFiles && req.storedFiles.length > 0) {
+        const mainImage = req.storedFiles.find(result => 
           result.fieldname === 'mainImage'
         );
+        // Replaced files stay in storage: earlier revisions still reference them
         if (mainImage) {
-          updateData.mainImage = mainImage.secure_url;
-          updateData.mainImagePublicId = mainImage.public_id;
-          
-          // Delete old main image from Cloudinary (non-blocking)
-          if (existingProduct.mainImagePublicId) {
-            CloudinaryService.deleteFile(existingProduct.mainImagePublicId)
-              .catch(err => logger.error('Error deleting old main image:', err));
-          }
+          updateData.mainImage = mainImage.url;
+          updateData.mainImagePublicId = mainImage.key;
         }
 
-        const galleryImages = req.cloudinaryResults.filter(result => 
+        const galleryImages = req.storedFiles.filter(result => 
           result.fieldname === 'galleryImages'
         );
         if (galleryImages.length > 0) {
-          updateData.galleryImages = galleryImages.map(img => ({
-            url: img.secure_url,
-            publicId: img.public_id,
-            altText: '',
-            uploadedAt: new Date()
-          }));
-          
-          // Delete old gallery images from Cloudinary in parallel
-          if (existingProduct.galleryImages) {
-            await Promise.allSettled(
-              existingProduct.galleryImages.map(oldImage => 
-                oldImage.publicId ? 
-                  CloudinaryService.deleteFile(oldImage.publicId)
-                    .catch(err => logger.error('Error deleting old gallery image:', err))
-                  : Promise.resolve()
-              )
-            );
-          }
+          updateData.galleryImages = [
+            ...(existingProduct.galleryImages || []),
+            ...ProductGalleryService.buildImages(galleryImages, {
+              altTexts: galleryAltTexts,
+              captions: galleryCaptions
+            })
+          ];
         }
 
-        const sizeChartImage = req.cloudinaryResults.find(result => 
+        const sizeChartImage = req.storedFiles.find(result => 
           result.fieldname === 'sizeChartImage'
         );
         if (sizeChartImage) {
-          updateData.sizeChartImage = sizeChartImage.secure_url;
-          updateData.sizeChartImagePublicId = sizeChartImage.public_id;
-          
-          // Delete old size chart image from Cloudinary (non-blocking)
-          if (existingProduct.sizeChartImagePublicId) {
-            CloudinaryService.deleteFile(existingProduct.sizeChartImagePublicId)
-              .catch(err => logger.error('Error deleting old size chart image:', err));
-          }
+          updateData.sizeChartImage = sizeChartImage.url;
+          updateData.sizeChartImagePublicId = sizeChartImage.key;
+        }
+
+        const mainPdf = req.storedFiles.find(result => 
+          result.fieldname === 'mainPdf'
+        );
+        if (mainPdf) {
+          updateData.mainPdf = ProductController.buildPdf(mainPdf);
         }
       }
 
@@ -740,8 +922,15 @@ class ProductController {
       const finalUpdateData = {
         ...updateData,
         updatedAt: new Date(),
-        updatedBy: req.user?.userId || 'system'
+        updatedBy: req.user?._id?.toString() || 'system'
       };
+      const protectedFields = [
+        ...ProductModerationService.getFields(),
+        ...ProductRevisionService.getFields(),
+        ...ProductTrashService.getFields()
+      ];
+      protectedFields.forEach(field => delete finalUpdateData[field]);
+      const changedFields = Object.keys(updateData).filter(field => !protectedFields.includes(field));
 
       // Convert string arrays to arrays if needed
       if (finalUpdateData.sizes && typeof finalUpdateData.sizes === 'string') {
@@ -763,40 +952,113 @@ class ProductController {
       // Parse numeric fields
       if (finalUpdateData.price) finalUpdateData.price = parseFloat(finalUpdateData.price);
       if (finalUpdateData.discountPrice) finalUpdateData.discountPrice = parseFloat(finalUpdateData.discountPrice);
-      if (finalUpdateData.quantity) finalUpdateData.quantity = parseInt(finalUpdateData.quantity);
       if (finalUpdateData.bulkQuantity) finalUpdateData.bulkQuantity = parseInt(finalUpdateData.bulkQuantity);
-      if (finalUpdateData.price100Pcs) finalUpdateData.price100Pcs = parseFloat(finalUpdateData.price100Pcs);
-      if (finalUpdateData.price200Pcs) finalUpdateData.price200Pcs = parseFloat(finalUpdateData.price200Pcs);
-      if (finalUpdateData.price500Pcs) finalUpdateData.price500Pcs = parseFloat(finalUpdateData.price500Pcs);
+
+      // Price tiers replace the legacy price100Pcs/200/500 fields, which are folded into tiers if sent
+      if (finalUpdateData.priceTiers !== undefined) {
+        finalUpdateData.priceTiers = PricingService.normalizeTiers(finalUpdateData.priceTiers);
+      } else if (PricingService.hasLegacyFields(finalUpdateData)) {
+        finalUpdateData.priceTiers = PricingService.fromLegacyFields(finalUpdateData);
+      }
+      PricingService.getLegacyFields().forEach(field => delete finalUpdateData[field]);
+
+      // MOQ, case pack and lead-time bands (only the ones sent)
+      Object.assign(finalUpdateData, OrderRulesService.normalize(finalUpdateData));
+      Object.assign(finalUpdateData, StockAlertService.normalize(finalUpdateData));
+
+      if (finalUpdateData.trackInventory !== undefined) {
+        finalUpdateData.trackInventory = finalUpdateData.trackInventory !== false && finalUpdateData.trackInventory !== 'false';
+      }
+
+      // Stock is never overwritten here: quantity/variant stock edits become ledger adjustments
+      await InventoryService.ensureInitialized(existingProduct, req.user);
+      let stockAdjustments = [];
+      const requestedQuantity = finalUpdateData.quantity;
+      InventoryService.getCounterFields().forEach(field => {
+        if (field !== 'variants') delete finalUpdateData[field];
+      });
+
+      // Keep the variant matrix in step with sizes/colors and apply per-variant edits
+      if (finalUpdateData.sizes || finalUpdateData.colors || finalUpdateData.variants !== undefined) {
+        let variants = VariantService.syncVariants({
+          productCode: existingProduct.productCode,
+          sizes: finalUpdateData.sizes || existingProduct.sizes,
+          colors: finalUpdateData.colors || existingProduct.colors
+        }, existingProduct.variants || []);
+
+        if (finalUpdateData.variants !== undefined) {
+          variants = VariantService.applyVariantInput(variants, finalUpdateData.variants);
+        }
+
+        const barcodeConflicts = await VariantService.findBarcodeConflicts(productsCollection, variants, existingProduct._id);
+        if (barcodeConflicts.length > 0) {
+          return ApiResponse.error(res, `Barcodes already in use: ${barcodeConflicts.join(', ')}`, 409);
+        }
+
+        const plan = InventoryService.planVariantStockEdits(existingProduct, variants);
+        finalUpdateData.variants = plan.variants;
+        stockAdjustments = plan.adjustments;
+      } else if (requestedQuantity !== undefined && requestedQuantity !== '' && !existingProduct.variants?.length) {
+        const delta = parseInt(requestedQuantity) - existingProduct.quantity;
+        if (delta < 0 && -delta > existingProduct.availableQuantity) {
+          return ApiResponse.error(res, 'Cannot remove reserved stock', 409);
+        }
+        if (delta) stockAdjustments = [{ sku: null, delta }];
+      }
+
+      await ProductRevisionService.ensureBaseline(existingProduct);
 
       const result = await productsCollection.updateOne(
         { _id: new ObjectId(id) },
-        { $set: finalUpdateData }
+        { $set: finalUpdateData, $inc: { revision: 1 } }
       );
 
       if (result.matchedCount === 0) {
         return ApiResponse.error(res, 'Product not found', 404);
       }
 
+      if (stockAdjustments.length > 0) {
+        await InventoryService.applyStockEdits(
+          { ...existingProduct, variants: finalUpdateData.variants || existingProduct.variants },
+          stockAdjustments,
+          req.user
+        );
+      }
+
+      // Seller content edits to a live listing go back to the moderation queue
+      const resubmitted = await ProductModerationService.resubmitAfterEdit(existingProduct, req.user, changedFields);
+
       const updatedProduct = await productsCollection.findOne({ 
         _id: new ObjectId(id) 
       });
+      await ProductRevisionService.record(updatedProduct, PRODUCT_REVISION_ACTIONS.UPDATE, req.user);
 
       // Clear relevant caches asynchronously
       Promise.all([
         clearCacheByPattern('cache:/api/v1/products'),
         clearCacheByPattern(`product:${id}`),
-        clearCacheByPattern('product_form_data')
+        clearCacheByPattern('product_form_data'),
+        clearCacheByPattern('seller_products:'),
+        ...(resubmitted ? [
+          clearCacheByPattern('products:'),
+          clearCacheByPattern('search:'),
+          clearCacheByPattern('popular_products:'),
+          clearCacheByPattern('related_products:')
+        ] : [])
       ]).catch(err => logger.error('Cache clear error:', err));
 
-      return ApiResponse.success(res, updatedProduct, 'Product updated successfully');
+      return ApiResponse.success(
+        res,
+        updatedProduct,
+        resubmitted ? 'Product updated and sent for review' : 'Product updated successfully'
+      );
     } catch (error) {
       logger.error('Update product error:', error);
-      return ApiResponse.error(res, error.message);
+      return ApiResponse.error(res, error.message, error.status || 500);
     }
   }
 
-  // Delete Product with Redis cache cleanup
+  // Delete Product (soft delete to the trash) with Redis cache cleanup
   static async deleteProduct(req, res) {
     try {
       const { id } = req.params;
@@ -805,74 +1067,31 @@ class ProductController {
         return ApiResponse.error(res, 'Invalid product ID', 400);
       }
 
-      // Check if user can delete this product
-      const productsCollection = getCollection('products');
-      if (!productsCollection) {
-        return ApiResponse.error(res, 'Products collection not available', 500);
-      }
-
-      const existingProduct = await productsCollection.findOne({ 
-        _id: new ObjectId(id) 
-      });
-
-      if (!existingProduct) {
-        return ApiResponse.error(res, 'Product not found', 404);
-      }
-
-      // Seller can only delete their own products
-      if (req.user.role === ROLES.SELLER && 
-          existingProduct.sellerId !== req.user._id.toString()) {
-        return ApiResponse.error(res, 'Access denied', 403);
-      }
-
-      // Delete images from Cloudinary in parallel
-      const deletePromises = [];
-      
-      if (existingProduct.mainImagePublicId) {
-        deletePromises.push(
-          CloudinaryService.deleteFile(existingProduct.mainImagePublicId)
-            .catch(err => logger.error('Error deleting main image:', err))
-        );
-      }
-
-      if (existingProduct.galleryImages) {
-        for (const image of existingProduct.galleryImages) {
-          if (image.publicId) {
-            deletePromises.push(
-              CloudinaryService.deleteFile(image.publicId)
-                .catch(err => logger.error('Error deleting gallery image:', err))
-            );
-          }
-        }
-      }
-
-      if (existingProduct.sizeChartImagePublicId) {
-        deletePromises.push(
-          CloudinaryService.deleteFile(existingProduct.sizeChartImagePublicId)
-            .catch(err => logger.error('Error deleting size chart image:', err))
-        );
-      }
-
-      // Wait for all delete operations to complete
-      await Promise.allSettled(deletePromises);
-
-      const result = await productsCollection.deleteOne({ 
-        _id: new ObjectId(id) 
-      });
-
-      if (result.deletedCount === 0) {
-        return ApiResponse.error(res, 'Product not found', 404);
-      }
+      // Moves the product to the trash; images are only deleted when the purge job removes it
+      const product = await ProductTrashService.trash(id, req.user);
 
       // Clear relevant caches asynchronously
       Promise.all([
         clearCacheByPattern('cache:/api/v1/products'),
+        clearCacheByPattern('products:'),
         clearCacheByPattern(`product:${id}`),
-        clearCacheByPattern('product_form_data')
+        clearCacheByPattern('product_form_data'),
+        clearCacheByPattern('search:'),
+        clearCacheByPattern('popular_products:'),
+        clearCacheByPattern('related_products:'),
+        clearCacheByPattern('seller_products:'),
+        clearCacheByPattern('admin_products:')
       ]).catch(err => logger.error('Cache clear error:', err));
 
-      return ApiResponse.success(res, null, 'Product deleted successfully');
+      return ApiResponse.success(
+        res,
+        { _id: product._id, deletedAt: product.deletedAt, purgeAfter: product.purgeAfter },
+        'Product moved to trash'
+      );
     } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(res, error.message, error.status);
+      }
       logger.error('Delete product error:', error);
       return ApiResponse.error(res, error.message);
     }
@@ -898,7 +1117,7 @@ class ProductController {
         return ApiResponse.error(res, 'Products collection not available', 500);
       }
 
-      const query = { sellerId: sellerId };
+      const query = { sellerId: sellerId, ...ProductTrashService.getLiveFilter() };
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       // Use Promise.all for parallel execution with optimized projection
@@ -907,8 +1126,9 @@ class ProductController {
           .find(query, {
             projection: {
               title: 1, productCode: 1, slug: 1, price: 1, discountPrice: 1,
-              price100Pcs: 1, price200Pcs: 1, price500Pcs: 1,
+              priceTiers: 1,
               mainImage: 1, productStatus: 1, quantity: 1, bulkQuantity: 1,
+              moderationStatus: 1, moderationComment: 1,
               viewCount: 1, createdAt: 1, updatedAt: 1
             }
           })
@@ -963,6 +1183,8 @@ class ProductController {
       }
 
       const query = {
+        ...ProductModerationService.getPublicFilter(),
+        ...ProductTrashService.getLiveFilter(),
         $or: [
           { title: new RegExp(q, 'i') },
           { productCode: new RegExp(q, 'i') },
@@ -980,7 +1202,7 @@ class ProductController {
           .find(query, {
             projection: {
               title: 1, productCode: 1, slug: 1, price: 1, discountPrice: 1,
-              price100Pcs: 1, price200Pcs: 1, price500Pcs: 1,
+              priceTiers: 1,
               mainImage: 1, shortDescription: 1, popularityScore: 1,
               searchBoostScore: 1
             }
@@ -1031,10 +1253,14 @@ class ProductController {
       }
 
       const products = await productsCollection
-        .find({ productStatus: 'active' }, {
+        .find({
+          productStatus: 'active',
+          ...ProductModerationService.getPublicFilter(),
+          ...ProductTrashService.getLiveFilter()
+        }, {
           projection: {
             title: 1, productCode: 1, slug: 1, price: 1, discountPrice: 1,
-            price100Pcs: 1, price200Pcs: 1, price500Pcs: 1,
+            priceTiers: 1,
             mainImage: 1, popularityScore: 1, viewCount: 1, 
             recentlyReviewedScore: 1
           }
@@ -1127,7 +1353,7 @@ class ProductController {
 
       // Get the current product to find related ones
       const currentProduct = await productsCollection.findOne(
-        { _id: new ObjectId(productId) },
+        { _id: new ObjectId(productId), ...ProductTrashService.getLiveFilter() },
         { projection: { category: 1, subCategory: 1, brand: 1, colors: 1, certifications: 1 } }
       );
 
@@ -1138,6 +1364,8 @@ class ProductController {
       const query = {
         _id: { $ne: new ObjectId(productId) },
         productStatus: 'active',
+        ...ProductModerationService.getPublicFilter(),
+        ...ProductTrashService.getLiveFilter(),
         $or: [
           { category: currentProduct.category },
           { subCategory: currentProduct.subCategory },
@@ -1151,7 +1379,7 @@ class ProductController {
         .find(query, {
           projection: {
             title: 1, productCode: 1, slug: 1, price: 1, discountPrice: 1,
-            price100Pcs: 1, price200Pcs: 1, price500Pcs: 1,
+            priceTiers: 1,
             mainImage: 1, category: 1, brand: 1, certifications: 1
           }
         })
@@ -1183,19 +1411,39 @@ class ProductController {
         return ApiResponse.error(res, 'Products collection not available', 500);
       }
 
-      const objectIds = productIds.map(id => new ObjectId(id));
+      // Trashed products are left alone
+      const liveProducts = await productsCollection
+        .find(
+          { _id: { $in: productIds.map(id => new ObjectId(id)) }, ...ProductTrashService.getLiveFilter() },
+          { projection: { _id: 1 } }
+        )
+        .toArray();
+      const liveIds = liveProducts.map(product => product._id.toString());
+      const objectIds = liveProducts.map(product => product._id);
+
+      // Stock only changes through the inventory ledger, moderation through its own endpoints
+      const fields = { ...updateData };
+      InventoryService.getCounterFields().forEach(field => delete fields[field]);
+      ProductModerationService.getFields().forEach(field => delete fields[field]);
+      ProductRevisionService.getFields().forEach(field => delete fields[field]);
+      ProductTrashService.getFields().forEach(field => delete fields[field]);
+
+      await ProductRevisionService.ensureBaselines(liveIds);
       
       const result = await productsCollection.updateMany(
         { _id: { $in: objectIds } },
         { 
           $set: {
-            ...updateData,
+            ...fields,
             updatedAt: new Date(),
-            updatedBy: req.user?.userId || 'system'
-          }
+            updatedBy: req.user?._id?.toString() || 'system'
+          },
+          $inc: { revision: 1 }
         }
       );
 
+      await ProductRevisionService.recordMany(liveIds, PRODUCT_REVISION_ACTIONS.BULK_UPDATE, req.user);
+
       // Clear all product-related caches
       Promise.all([
         clearCacheByPattern('cache:/api/v1/products'),
@@ -1246,47 +1494,9 @@ class ProductController {
         return ApiResponse.success(res, cachedResult);
       }
 
-      let query = {};
-      
-      // Build filter query
-      if (category) query.category = category;
-      if (subCategory) query.subCategory = subCategory;
-      if (brand) query.brand = brand;
-      if (status) query.productStatus = status;
-
-      // Price range filter
-      if (minPrice || maxPrice) {
-        query.$or = [
-          { price: {} },
-          { discountPrice: {} },
-          { price100Pcs: {} },
-          { price200Pcs: {} },
-          { price500Pcs: {} }
-        ];
-        if (minPrice) {
-          query.$or[0].price.$gte = parseFloat(minPrice);
-          query.$or[1].discountPrice.$gte = parseFloat(minPrice);
-          query.$or[2].price100Pcs.$gte = parseFloat(minPrice);
-          query.$or[3].price200Pcs.$gte = parseFloat(minPrice);
-          query.$or[4].price500Pcs.$gte = parseFloat(minPrice);
-        }
-        if (maxPrice) {
-          query.$or[0].price.$lte = parseFloat(maxPrice);
-          query.$or[1].discountPrice.$lte = parseFloat(maxPrice);
-          query.$or[2].price100Pcs.$lte = parseFloat(maxPrice);
-          query.$or[3].price200Pcs.$lte = parseFloat(maxPrice);
-          query.$or[4].price500Pcs.$lte = parseFloat(maxPrice);
-        }
-      }
-
-      // Search optimization
-      if (search) {
-        query.$or = [
-          { title: new RegExp(search, 'i') },
-          { productCode: new RegExp(search, 'i') },
-          { shortDescription: new RegExp(search, 'i') }
-        ];
-      }
+      const query = ProductController.buildAdminQuery({
+        search, category, subCategory, brand, status, minPrice, maxPrice
+      });
 
       const productsCollection = getCollection('products');
       if (!productsCollection) {
@@ -1302,11 +1512,12 @@ class ProductController {
           .find(query, {
             projection: {
               title: 1, productCode: 1, slug: 1, price: 1, discountPrice: 1,
-              price100Pcs: 1, price200Pcs: 1, price500Pcs: 1,
+              priceTiers: 1,
               discountPercentage: 1, mainImage: 1, galleryImages: 1, 
               category: 1, subCategory: 1, brand: 1, sizes: 1, colors: 1,
               gender: 1, productStatus: 1, popularityScore: 1, viewCount: 1,
               createdAt: 1, quantity: 1, bulkQuantity: 1, sellerId: 1, 
+              reservedQuantity: 1, availableQuantity: 1,
               updatedAt: 1, certifications: 1
             }
           })
@@ -1317,8 +1528,14 @@ class ProductController {
         productsCollection.countDocuments(query)
       ]);
 
+      // Stock totals with the per-warehouse breakdown
+      const stockBreakdown = await InventoryService.getStockBreakdown(products);
+
       const result = {
-        products,
+        products: products.map(product => ({
+          ...product,
+          stock: stockBreakdown.get(product._id.toString())
+        })),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -1351,19 +1568,42 @@ class ProductController {
         return ApiResponse.error(res, 'Valid product status is required', 400);
       }
 
+      // With runAt the change is scheduled instead of applied now
+      if (req.body.runAt) {
+        const schedules = await ProductScheduleService.schedule(id, req.user, req.body);
+        return ApiResponse.success(res, schedules, 'Status change scheduled', 201);
+      }
+
       const productsCollection = getCollection('products');
       if (!productsCollection) {
         return ApiResponse.error(res, 'Products collection not available', 500);
       }
 
+      const existingProduct = await productsCollection.findOne({ _id: new ObjectId(id) });
+
+      if (!existingProduct) {
+        return ApiResponse.error(res, 'Product not found', 404);
+      }
+
+      if (!Helpers.canManageProduct(req.user, existingProduct)) {
+        return ApiResponse.error(res, 'Access denied', 403);
+      }
+
+      if (ProductTrashService.isTrashed(existingProduct)) {
+        return ApiResponse.error(res, 'Product is in the trash; restore it before editing', 409);
+      }
+
+      await ProductRevisionService.ensureBaseline(existingProduct);
+
       const result = await productsCollection.updateOne(
         { _id: new ObjectId(id) },
         { 
           $set: { 
             productStatus,
             updatedAt: new Date(),
-            updatedBy: req.user?.userId || 'system'
-          }
+            updatedBy: req.user?._id?.toString() || 'system'
+          },
+          $inc: { revision: 1 }
         }
       );
 
@@ -1371,6 +1611,9 @@ class ProductController {
         return ApiResponse.error(res, 'Product not found', 404);
       }
 
+      const updatedProduct = await productsCollection.findOne({ _id: new ObjectId(id) });
+      await ProductRevisionService.record(updatedProduct, PRODUCT_REVISION_ACTIONS.STATUS_CHANGE, req.user);
+
       // Clear relevant caches
       Promise.all([
         clearCacheByPattern('cache:/api/v1/products'),
@@ -1380,6 +1623,9 @@ class ProductController {
 
       return ApiResponse.success(res, null, 'Product status updated successfully');
     } catch (error) {
+      if (error.status) {
+        return ApiResponse.error(res, error.message, error.status);
+      }
       logger.error('Quick update status error:', error);
       return ApiResponse.error(res, error.message);
     }
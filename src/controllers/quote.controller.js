@@ -0,0 +1,145 @@
+const QuoteService = require('../services/quote.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { QUOTE_STATUS } = require('../config/constants');
+
+class QuoteController {
+  // Status conflicts carry the current and allowed statuses
+  static sendError(res, error, context) {
+    if (error.status === 409 && error.allowedStatuses) {
+      return ApiResponse.error(res, error.message, 409, {
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500, error.errors);
+  }
+
+  // Submit RFQ
+  static async requestQuote(req, res) {
+    try {
+      const quote = await QuoteService.requestQuote(req.user, req.body);
+
+      return ApiResponse.success(res, quote, 'Quote requested successfully', 201);
+    } catch (error) {
+      return QuoteController.sendError(res, error, 'Request quote');
+    }
+  }
+
+  // Get All Quotes (manage_orders)
+  static async getQuotes(req, res) {
+    try {
+      const { page = 1, limit = 10, status, email, search } = req.query;
+
+      const query = {};
+      if (status && Object.values(QUOTE_STATUS).includes(status)) {
+        query.status = status;
+      }
+      if (email) query.email = email.toLowerCase();
+
+      if (search) {
+        query.$or = [
+          { quoteNumber: new RegExp(search, 'i') },
+          { name: new RegExp(search, 'i') },
+          { company: new RegExp(search, 'i') },
+          { 'items.productCode': new RegExp(search, 'i') }
+        ];
+      }
+
+      const result = await QuoteService.getAllQuotes(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get quotes error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get the current user's quotes
+  static async getMyQuotes(req, res) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+
+      const query = { userId: req.user._id.toString() };
+      if (status && Object.values(QUOTE_STATUS).includes(status)) {
+        query.status = status;
+      }
+
+      const result = await QuoteService.getAllQuotes(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get my quotes error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get Quote by ID
+  static async getQuoteById(req, res) {
+    try {
+      const quote = await QuoteService.getQuoteForUser(req.params.id, req.user);
+
+      return ApiResponse.success(res, {
+        ...quote,
+        allowedStatuses: QuoteService.getAllowedTransitions(quote.status)
+      });
+    } catch (error) {
+      return QuoteController.sendError(res, error, 'Get quote');
+    }
+  }
+
+  // Staff respond with line prices, charges and validity
+  static async respondToQuote(req, res) {
+    try {
+      const quote = await QuoteService.respondToQuote(req.params.id, req.user, req.body);
+
+      return ApiResponse.success(res, quote, 'Quote sent to buyer');
+    } catch (error) {
+      return QuoteController.sendError(res, error, 'Respond to quote');
+    }
+  }
+
+  // Buyer accepts - converts the quote into an order
+  static async acceptQuote(req, res) {
+    try {
+      const result = await QuoteService.acceptQuote(req.params.id, req.user, req.body);
+
+      return ApiResponse.success(res, result, 'Quote accepted and order placed', 201);
+    } catch (error) {
+      return QuoteController.sendError(res, error, 'Accept quote');
+    }
+  }
+
+  // Buyer rejects
+  static async rejectQuote(req, res) {
+    try {
+      const quote = await QuoteService.rejectQuote(req.params.id, req.user, req.body.note);
+
+      return ApiResponse.success(res, quote, 'Quote rejected');
+    } catch (error) {
+      return QuoteController.sendError(res, error, 'Reject quote');
+    }
+  }
+
+  // Buyer or staff cancel an open quote
+  static async cancelQuote(req, res) {
+    try {
+      const quote = await QuoteService.cancelQuote(req.params.id, req.user, req.body.note);
+
+      return ApiResponse.success(res, quote, 'Quote cancelled');
+    } catch (error) {
+      return QuoteController.sendError(res, error, 'Cancel quote');
+    }
+  }
+}
+
+module.exports = QuoteController;
@@ -0,0 +1,165 @@
+const RoleModel = require('../models/role.model');
+const UserModel = require('../models/user.model');
+const { ApiResponse } = require('../utils/apiResponse');
+const Helpers = require('../utils/helpers');
+const { PERMISSION_LIST } = require('../config/constants');
+const logger = require('../utils/logger');
+
+class RoleController {
+  static findUnknownPermissions(permissions) {
+    return permissions.filter(permission => !PERMISSION_LIST.includes(permission));
+  }
+
+  // Nobody can hand out (through a role) a permission they do not hold themselves
+  static findPermissionsNotHeld(user, permissions) {
+    return permissions.filter(permission => !Helpers.checkPermission(user, permission));
+  }
+
+  // Get all roles (built-in and custom)
+  static async getRoles(req, res) {
+    try {
+      const customRoles = await RoleModel.findAll();
+
+      return ApiResponse.success(res, [...RoleModel.getBuiltInRoles(), ...customRoles]);
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get the permission catalog
+  static async getPermissions(req, res) {
+    return ApiResponse.success(res, PERMISSION_LIST);
+  }
+
+  // Get Role by ID
+  static async getRoleById(req, res) {
+    try {
+      const role = await RoleModel.findById(req.params.id);
+
+      if (!role) {
+        return ApiResponse.error(res, 'Role not found', 404);
+      }
+
+      return ApiResponse.success(res, role);
+    } catch (error) {
+      logger.error('Get role error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Create Role
+  static async createRole(req, res) {
+    try {
+      const { name, description, permissions } = req.body;
+      const roleName = name.trim().toLowerCase();
+
+      if (RoleModel.isBuiltIn(roleName) || await RoleModel.findByName(roleName)) {
+        return ApiResponse.error(res, 'Role already exists', 409);
+      }
+
+      const unknown = RoleController.findUnknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return ApiResponse.error(res, `Unknown permissions: ${unknown.join(', ')}`, 400);
+      }
+
+      const notHeld = RoleController.findPermissionsNotHeld(req.user, permissions);
+      if (notHeld.length > 0) {
+        return ApiResponse.error(res, `Cannot grant permissions you do not hold: ${notHeld.join(', ')}`, 403);
+      }
+
+      const roleData = {
+        name: roleName,
+        description: description || '',
+        permissions,
+        createdBy: req.user._id.toString()
+      };
+
+      const result = await RoleModel.create(roleData);
+
+      return ApiResponse.success(
+        res,
+        { _id: result.insertedId, ...roleData },
+        'Role created successfully',
+        201
+      );
+    } catch (error) {
+      logger.error('Create role error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Update Role - role names are immutable, members pick up permission changes
+  static async updateRole(req, res) {
+    try {
+      const { id } = req.params;
+      const { description, permissions } = req.body;
+
+      const role = await RoleModel.findById(id);
+      if (!role) {
+        return ApiResponse.error(res, 'Role not found', 404);
+      }
+
+      // Changing a role changes every member, so it takes every permission the role
+      // holds now and will hold afterwards
+      const notHeld = RoleController.findPermissionsNotHeld(req.user, [
+        ...new Set([...(role.permissions || []), ...(permissions || [])])
+      ]);
+      if (notHeld.length > 0) {
+        return ApiResponse.error(res, `Cannot change a role with permissions you do not hold: ${notHeld.join(', ')}`, 403);
+      }
+
+      const updateData = { updatedBy: req.user._id.toString() };
+      if (description !== undefined) updateData.description = description;
+
+      if (permissions !== undefined) {
+        const unknown = RoleController.findUnknownPermissions(permissions);
+        if (unknown.length > 0) {
+          return ApiResponse.error(res, `Unknown permissions: ${unknown.join(', ')}`, 400);
+        }
+        updateData.permissions = permissions;
+      }
+
+      await RoleModel.updateById(id, updateData);
+
+      let usersUpdated = 0;
+      if (updateData.permissions) {
+        const result = await UserModel.syncRolePermissions(role.name, updateData.permissions);
+        usersUpdated = result.modifiedCount;
+      }
+
+      const updatedRole = await RoleModel.findById(id);
+
+      return ApiResponse.success(res, { role: updatedRole, usersUpdated }, 'Role updated successfully');
+    } catch (error) {
+      logger.error('Update role error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Delete Role - only when no active user holds it
+  static async deleteRole(req, res) {
+    try {
+      const { id } = req.params;
+
+      const role = await RoleModel.findById(id);
+      if (!role) {
+        return ApiResponse.error(res, 'Role not found', 404);
+      }
+
+      const members = await UserModel.countByRole(role.name);
+      if (members > 0) {
+        return ApiResponse.error(res, `Role is assigned to ${members} user(s)`, 409);
+      }
+
+      await RoleModel.deleteById(id);
+
+      return ApiResponse.success(res, null, 'Role deleted successfully');
+    } catch (error) {
+      logger.error('Delete role error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+}
+
+module.exports = RoleController;
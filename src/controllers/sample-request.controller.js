@@ -0,0 +1,112 @@
+const SampleRequestService = require('../services/sample-request.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { SAMPLE_STATUS } = require('../config/constants');
+
+class SampleRequestController {
+  // Status conflicts carry the current and allowed statuses
+  static sendError(res, error, context) {
+    if (error.status === 409 && error.allowedStatuses) {
+      return ApiResponse.error(res, error.message, 409, {
+        currentStatus: error.currentStatus,
+        allowedStatuses: error.allowedStatuses
+      });
+    }
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // Request a sample
+  static async requestSample(req, res) {
+    try {
+      const sample = await SampleRequestService.requestSample(req.user, req.body);
+
+      return ApiResponse.success(res, sample, 'Sample requested successfully', 201);
+    } catch (error) {
+      return SampleRequestController.sendError(res, error, 'Request sample');
+    }
+  }
+
+  // Get All Sample Requests (manage_orders)
+  static async getSamples(req, res) {
+    try {
+      const { page = 1, limit = 10, status, sampleType, productId, userId } = req.query;
+
+      const query = {};
+      if (status && Object.values(SAMPLE_STATUS).includes(status)) query.status = status;
+      if (sampleType) query.sampleType = sampleType;
+      if (productId) query.productId = productId;
+      if (userId) query.userId = userId;
+
+      const result = await SampleRequestService.getAllSamples(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get samples error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get the current user's sample requests
+  static async getMySamples(req, res) {
+    try {
+      const { page = 1, limit = 10, status } = req.query;
+
+      const query = { userId: req.user._id.toString() };
+      if (status && Object.values(SAMPLE_STATUS).includes(status)) query.status = status;
+
+      const result = await SampleRequestService.getAllSamples(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      logger.error('Get my samples error:', error);
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
+  // Get Sample Request by ID
+  static async getSampleById(req, res) {
+    try {
+      const sample = await SampleRequestService.getSampleForUser(req.params.id, req.user);
+
+      return ApiResponse.success(res, {
+        ...sample,
+        allowedStatuses: SampleRequestService.getAllowedTransitions(sample.status)
+      });
+    } catch (error) {
+      return SampleRequestController.sendError(res, error, 'Get sample');
+    }
+  }
+
+  // Update Sample Status
+  static async updateSampleStatus(req, res) {
+    try {
+      const sample = await SampleRequestService.updateStatus(req.params.id, req.user, req.body);
+
+      return ApiResponse.success(res, sample, `Sample status updated to ${sample.status}`);
+    } catch (error) {
+      return SampleRequestController.sendError(res, error, 'Update sample status');
+    }
+  }
+
+  // Link an approved sample to its bulk order
+  static async linkOrder(req, res) {
+    try {
+      const sample = await SampleRequestService.linkOrder(req.params.id, req.user, req.body.orderId);
+
+      return ApiResponse.success(res, sample, 'Sample linked to order');
+    } catch (error) {
+      return SampleRequestController.sendError(res, error, 'Link sample order');
+    }
+  }
+}
+
+module.exports = SampleRequestController;
@@ -1,8 +1,17 @@
 const UserModel = require('../models/user.model');
+const RoleModel = require('../models/role.model');
+const AuditLogModel = require('../models/audit-log.model');
 const { ApiResponse } = require('../utils/apiResponse');
-const { ROLES, PERMISSIONS } = require('../config/constants');
+const Helpers = require('../utils/helpers');
+const VerificationService = require('../services/verification.service');
+const logger = require('../utils/logger');
+const { ROLES, PERMISSIONS, PERMISSION_LIST } = require('../config/constants');
 const { ObjectId } = require('mongodb');
 
+// The only fields users may change on their own profile; role, permissions, 2FA,
+// verification and lockout state change through their own endpoints
+const PROFILE_FIELDS = ['name', 'photoURL', 'phone'];
+
 class UserController {
   // Create User
   static async createUser(req, res) {
@@ -15,12 +24,28 @@ class UserController {
         return ApiResponse.error(res, 'User already exists with this email', 409);
       }
 
-      // Validate role
-      if (userData.role && !Object.values(ROLES).includes(userData.role)) {
-        return ApiResponse.error(res, 'Invalid role', 400);
+      // Public sign-up only creates regular users; roles are granted through the admin endpoints
+      if (userData.role && userData.role !== ROLES.USER) {
+        await UserController.auditRejection(req, 'create_user', null, `Sign-up requested role ${userData.role}`);
+        return ApiResponse.error(res, 'Role cannot be set at sign-up', 403);
       }
 
-      const result = await UserModel.create(userData);
+      // Only profile fields and credentials; verification, 2FA and lockout state start fresh
+      const { name, email, password, photoURL, phone } = userData;
+      const result = await UserModel.create({
+        name,
+        email,
+        password,
+        ...(photoURL !== undefined && { photoURL }),
+        ...(phone !== undefined && { phone }),
+        role: ROLES.USER,
+        permissions: PERMISSIONS.USER
+      });
+
+      // Send verification email (non-blocking)
+      UserModel.findById(result.insertedId)
+        .then(user => VerificationService.sendVerificationEmail(user))
+        .catch(err => logger.error('Failed to send verification email:', err));
       
       return ApiResponse.success(
         res,
@@ -44,9 +69,7 @@ class UserController {
       }
 
       // Remove sensitive data
-      const { password, ...userData } = user;
-      
-      return ApiResponse.success(res, userData);
+      return ApiResponse.success(res, Helpers.sanitizeUser(user));
     } catch (error) {
       return ApiResponse.error(res, error.message);
     }
@@ -58,9 +81,7 @@ class UserController {
       const user = req.user;
       
       // Remove sensitive data
-      const { password, ...userData } = user;
-      
-      return ApiResponse.success(res, userData);
+      return ApiResponse.success(res, Helpers.sanitizeUser(user));
     } catch (error) {
       return ApiResponse.error(res, error.message);
     }
@@ -97,10 +118,7 @@ class UserController {
       const result = await UserModel.findUsers(query, options);
 
       // Remove passwords from response
-      const usersWithoutPasswords = result.data.map(user => {
-        const { password, ...userWithoutPassword } = user;
-        return userWithoutPassword;
-      });
+      const usersWithoutPasswords = result.data.map(user => Helpers.sanitizeUser(user));
 
       return ApiResponse.paginated(res, usersWithoutPasswords, result.pagination);
     } catch (error) {
@@ -108,22 +126,124 @@ class UserController {
     }
   }
 
+  // Sellers can be required to verify their email first (REQUIRE_VERIFIED_SELLER=true)
+  static async isBlockedFromSeller(id) {
+    if (process.env.REQUIRE_VERIFIED_SELLER !== 'true') return false;
+
+    const user = await UserModel.findById(id);
+    return Boolean(user && !user.emailVerified);
+  }
+
+  // Record a refused user administration attempt for later review
+  static async auditRejection(req, action, target, reason) {
+    try {
+      await AuditLogModel.create({
+        action,
+        outcome: 'rejected',
+        reason,
+        actorId: req.user ? req.user._id.toString() : null,
+        actorRole: req.user ? req.user.role : null,
+        targetId: target ? target._id.toString() : (req.params.id || null),
+        targetRole: target ? target.role : null,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log:', error);
+    }
+  }
+
+  // Role hierarchy guard for the administration handlers.
+  // Resolves to { target } when the change is allowed, otherwise { status, message }.
+  static async guardUserChange(req, action, { role, permissions } = {}) {
+    const actor = req.user;
+    const target = await UserModel.findById(req.params.id);
+
+    if (!target || !target.isActive) {
+      return { status: 404, message: 'User not found' };
+    }
+
+    const reject = async (status, message) => {
+      await UserController.auditRejection(req, action, target, message);
+      return { status, message };
+    };
+
+    if (actor._id.toString() === target._id.toString()) {
+      return reject(403, 'You cannot change your own role, permissions or account status');
+    }
+
+    if (!Helpers.canModifyUser(actor, target)) {
+      return reject(403, `Cannot modify a user with role ${target.role}`);
+    }
+
+    if (role && !Helpers.canAssignRole(actor, role)) {
+      return reject(403, `Cannot assign role ${role}`);
+    }
+
+    if (permissions) {
+      const notHeld = permissions.filter(permission => !Helpers.checkPermission(actor, permission));
+      if (notHeld.length > 0) {
+        return reject(403, `Cannot grant permissions you do not hold: ${notHeld.join(', ')}`);
+      }
+    }
+
+    const removesAdmin = target.role === ROLES.ADMIN &&
+      (action === 'delete_user' || (role !== undefined && role !== ROLES.ADMIN));
+
+    if (removesAdmin && await UserModel.countByRole(ROLES.ADMIN) <= 1) {
+      return reject(409, 'Cannot remove the last remaining admin');
+    }
+
+    return { target };
+  }
+
+  // The last-admin check in guardUserChange runs before the write, so removing the last two
+  // admins at the same time could pass it twice. After the write the change is undone when
+  // no active admin is left.
+  static async undoIfLastAdmin(target) {
+    if (target.role !== ROLES.ADMIN) return false;
+    if (await UserModel.countByRole(ROLES.ADMIN) > 0) return false;
+
+    await UserModel.restoreRoleState(target);
+    return true;
+  }
+
   // Update User Role (Admin only)
   static async updateUserRole(req, res) {
     try {
       const { id } = req.params;
       const { role } = req.body;
 
-      if (!Object.values(ROLES).includes(role)) {
+      const roleDefinition = role && await RoleModel.resolve(role);
+      if (!roleDefinition) {
         return ApiResponse.error(res, 'Invalid role', 400);
       }
 
-      const result = await UserModel.updateRole(new ObjectId(id), { role });
+      const guard = await UserController.guardUserChange(req, 'update_role', {
+        role,
+        permissions: roleDefinition.permissions
+      });
+      if (!guard.target) {
+        return ApiResponse.error(res, guard.message, guard.status);
+      }
+
+      if (role === ROLES.SELLER && await UserController.isBlockedFromSeller(id)) {
+        return ApiResponse.error(res, 'Email must be verified before promotion to seller', 409);
+      }
+
+      const result = await UserModel.updateRole(new ObjectId(id), {
+        role,
+        permissions: roleDefinition.permissions
+      });
 
       if (result.matchedCount === 0) {
         return ApiResponse.error(res, 'User not found', 404);
       }
 
+      if (await UserController.undoIfLastAdmin(guard.target)) {
+        return ApiResponse.error(res, 'Cannot remove the last remaining admin', 409);
+      }
+
       return ApiResponse.success(res, null, `User role updated to ${role} successfully`);
     } catch (error) {
       return ApiResponse.error(res, error.message);
@@ -140,6 +260,16 @@ class UserController {
         return ApiResponse.error(res, 'Permissions must be an array', 400);
       }
 
+      const unknown = permissions.filter(permission => !PERMISSION_LIST.includes(permission));
+      if (unknown.length > 0) {
+        return ApiResponse.error(res, `Unknown permissions: ${unknown.join(', ')}`, 400);
+      }
+
+      const guard = await UserController.guardUserChange(req, 'update_permissions', { permissions });
+      if (!guard.target) {
+        return ApiResponse.error(res, guard.message, guard.status);
+      }
+
       const result = await UserModel.updatePermissions(new ObjectId(id), permissions);
 
       if (result.matchedCount === 0) {
@@ -157,12 +287,25 @@ class UserController {
     try {
       const { id } = req.params;
 
+      const guard = await UserController.guardUserChange(req, 'promote_seller', { role: ROLES.SELLER });
+      if (!guard.target) {
+        return ApiResponse.error(res, guard.message, guard.status);
+      }
+
+      if (await UserController.isBlockedFromSeller(id)) {
+        return ApiResponse.error(res, 'Email must be verified before promotion to seller', 409);
+      }
+
       const result = await UserModel.promoteToSeller(new ObjectId(id));
 
       if (result.matchedCount === 0) {
         return ApiResponse.error(res, 'User not found', 404);
       }
 
+      if (await UserController.undoIfLastAdmin(guard.target)) {
+        return ApiResponse.error(res, 'Cannot remove the last remaining admin', 409);
+      }
+
       return ApiResponse.success(res, null, 'User promoted to seller successfully');
     } catch (error) {
       return ApiResponse.error(res, error.message);
@@ -174,12 +317,21 @@ class UserController {
     try {
       const { id } = req.params;
 
+      const guard = await UserController.guardUserChange(req, 'promote_moderator', { role: ROLES.MODERATOR });
+      if (!guard.target) {
+        return ApiResponse.error(res, guard.message, guard.status);
+      }
+
       const result = await UserModel.promoteToModerator(new ObjectId(id));
 
       if (result.matchedCount === 0) {
         return ApiResponse.error(res, 'User not found', 404);
       }
 
+      if (await UserController.undoIfLastAdmin(guard.target)) {
+        return ApiResponse.error(res, 'Cannot remove the last remaining admin', 409);
+      }
+
       return ApiResponse.success(res, null, 'User promoted to moderator successfully');
     } catch (error) {
       return ApiResponse.error(res, error.message);
@@ -191,12 +343,21 @@ class UserController {
     try {
       const { id } = req.params;
 
+      const guard = await UserController.guardUserChange(req, 'demote_user', { role: ROLES.USER });
+      if (!guard.target) {
+        return ApiResponse.error(res, guard.message, guard.status);
+      }
+
       const result = await UserModel.demoteToUser(new ObjectId(id));
 
       if (result.matchedCount === 0) {
         return ApiResponse.error(res, 'User not found', 404);
       }
 
+      if (await UserController.undoIfLastAdmin(guard.target)) {
+        return ApiResponse.error(res, 'Cannot remove the last remaining admin', 409);
+      }
+
       return ApiResponse.success(res, null, 'User demoted to regular user successfully');
     } catch (error) {
       return ApiResponse.error(res, error.message);
@@ -208,18 +369,48 @@ class UserController {
     try {
       const { id } = req.params;
 
+      const guard = await UserController.guardUserChange(req, 'delete_user');
+      if (!guard.target) {
+        return ApiResponse.error(res, guard.message, guard.status);
+      }
+
       const result = await UserModel.softDelete(new ObjectId(id));
 
       if (result.matchedCount === 0) {
         return ApiResponse.error(res, 'User not found', 404);
       }
 
+      if (await UserController.undoIfLastAdmin(guard.target)) {
+        return ApiResponse.error(res, 'Cannot remove the last remaining admin', 409);
+      }
+
       return ApiResponse.success(res, null, 'User deleted successfully');
     } catch (error) {
       return ApiResponse.error(res, error.message);
     }
   }
 
+  // Get rejected user administration attempts
+  static async getAuditLog(req, res) {
+    try {
+      const { page = 1, limit = 20, actorId, targetId, action } = req.query;
+
+      const query = {};
+      if (actorId) query.actorId = actorId;
+      if (targetId) query.targetId = targetId;
+      if (action) query.action = action;
+
+      const result = await AuditLogModel.find(query, {
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      return ApiResponse.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      return ApiResponse.error(res, error.message);
+    }
+  }
+
   // Get User Stats
   static async getUserStats(req, res) {
     try {
@@ -237,7 +428,7 @@ class UserController {
       const { role } = req.params;
       const { page = 1, limit = 10 } = req.query;
 
-      if (!Object.values(ROLES).includes(role)) {
+      if (!(await RoleModel.resolve(role))) {
         return ApiResponse.error(res, 'Invalid role', 400);
       }
 
@@ -245,10 +436,7 @@ class UserController {
       const result = await UserModel.getUsersByRole(role, options);
 
       // Remove passwords from response
-      const usersWithoutPasswords = result.data.map(user => {
-        const { password, ...userWithoutPassword } = user;
-        return userWithoutPassword;
-      });
+      const usersWithoutPasswords = result.data.map(user => Helpers.sanitizeUser(user));
 
       return ApiResponse.paginated(res, usersWithoutPasswords, result.pagination);
     } catch (error) {
@@ -260,12 +448,22 @@ class UserController {
   static async updateProfile(req, res) {
     try {
       const userId = req.user._id;
-      const updateData = req.body;
 
-      // Remove protected fields
-      delete updateData.role;
-      delete updateData.permissions;
-      delete updateData.isActive;
+      // Operator and dotted keys would reach into protected fields through $set
+      const invalidKeys = Object.keys(req.body).filter(key => key.startsWith('$') || key.includes('.'));
+      if (invalidKeys.length > 0) {
+        return ApiResponse.error(res, `Invalid profile fields: ${invalidKeys.join(', ')}`, 400);
+      }
+
+      const updateData = {};
+      for (const field of PROFILE_FIELDS) {
+        const value = req.body[field];
+        if (value === undefined) continue;
+        if (value !== null && typeof value !== 'string') {
+          return ApiResponse.error(res, `${field} must be a string`, 400);
+        }
+        updateData[field] = value;
+      }
 
       const result = await UserModel.collection().updateOne(
         { _id: new ObjectId(userId) },
@@ -283,9 +481,7 @@ class UserController {
 
       // Get updated user
       const updatedUser = await UserModel.findById(userId);
-      const { password, ...userWithoutPassword } = updatedUser;
-
-      return ApiResponse.success(res, userWithoutPassword, 'Profile updated successfully');
+      return ApiResponse.success(res, Helpers.sanitizeUser(updatedUser), 'Profile updated successfully');
     } catch (error) {
       return ApiResponse.error(res, error.message);
     }
@@ -0,0 +1,75 @@
+const WarehouseService = require('../services/warehouse.service');
+const { ApiResponse } = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+
+class WarehouseController {
+  static sendError(res, error, context) {
+    if (!error.status || error.status >= 500) {
+      logger.error(`${context} error:`, error);
+    }
+    return ApiResponse.error(res, error.message, error.status || 500);
+  }
+
+  // Create Warehouse
+  static async createWarehouse(req, res) {
+    try {
+      const warehouse = await WarehouseService.createWarehouse(req.body);
+
+      return ApiResponse.success(res, warehouse, 'Warehouse created successfully', 201);
+    } catch (error) {
+      return WarehouseController.sendError(res, error, 'Create warehouse');
+    }
+  }
+
+  // Get All Warehouses, in allocation priority order
+  static async getWarehouses(req, res) {
+    try {
+      const { type, active } = req.query;
+
+      const query = {};
+      if (type) query.type = type;
+      if (active !== undefined) query.isActive = active === 'true';
+
+      const warehouses = await WarehouseService.getAllWarehouses(query);
+
+      return ApiResponse.success(res, warehouses);
+    } catch (error) {
+      return WarehouseController.sendError(res, error, 'Get warehouses');
+    }
+  }
+
+  // Get Warehouse by ID
+  static async getWarehouseById(req, res) {
+    try {
+      const warehouse = await WarehouseService.getWarehouseById(req.params.id);
+
+      return ApiResponse.success(res, warehouse);
+    } catch (error) {
+      return WarehouseController.sendError(res, error, 'Get warehouse');
+    }
+  }
+
+  // Update Warehouse
+  static async updateWarehouse(req, res) {
+    try {
+      const warehouse = await WarehouseService.updateWarehouse(req.params.id, req.body);
+
+      return ApiResponse.success(res, warehouse, 'Warehouse updated successfully');
+    } catch (error) {
+      return WarehouseController.sendError(res, error, 'Update warehouse');
+    }
+  }
+
+  // Delete Warehouse
+  static async deleteWarehouse(req, res) {
+    try {
+      await WarehouseService.deleteWarehouse(req.params.id);
+
+      return ApiResponse.success(res, null, 'Warehouse deleted successfully');
+    } catch (error) {
+      return WarehouseController.sendError(res, error, 'Delete warehouse');
+    }
+  }
+}
+
+module.exports = WarehouseController;
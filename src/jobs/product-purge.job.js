@@ -0,0 +1,31 @@
+const cron = require('node-cron');
+const ProductTrashService = require('../services/product-trash.service');
+const logger = require('../utils/logger');
+const { PRODUCT_TRASH } = require('../config/constants');
+
+let running = false;
+
+// Permanently deletes trashed products (and their Cloudinary images) past the retention period,
+// in batches until none are due
+const startProductPurgeJob = () => {
+  return cron.schedule(PRODUCT_TRASH.PURGE_SCHEDULE, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const now = new Date();
+      let batch;
+      do {
+        batch = await ProductTrashService.purgeExpired(now);
+        if (batch.purged.length > 0) {
+          logger.info(`Purged ${batch.purged.length} trashed product(s): ${batch.purged.join(', ')}`);
+        }
+      } while (batch.hasMore);
+    } catch (error) {
+      logger.error('Product purge job error:', error);
+    } finally {
+      running = false;
+    }
+  });
+};
+
+module.exports = { startProductPurgeJob };
@@ -0,0 +1,26 @@
+const cron = require('node-cron');
+const ProductScheduleService = require('../services/product-schedule.service');
+const logger = require('../utils/logger');
+const { PRODUCT_SCHEDULE } = require('../config/constants');
+
+let running = false;
+
+// Applies scheduled product status changes that have come due
+const startProductScheduleJob = () => {
+  return cron.schedule(PRODUCT_SCHEDULE.RUN_SCHEDULE, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { applied, failed } = await ProductScheduleService.applyDue();
+      if (applied.length > 0 || failed.length > 0) {
+        logger.info(`Scheduled status changes: ${applied.length} applied, ${failed.length} failed`);
+      }
+    } catch (error) {
+      logger.error('Product schedule job error:', error);
+    } finally {
+      running = false;
+    }
+  });
+};
+
+module.exports = { startProductScheduleJob };
@@ -0,0 +1,58 @@
+const cron = require('node-cron');
+const InventoryService = require('../services/inventory.service');
+const OrderService = require('../services/order.service');
+const OrderModel = require('../models/order.model');
+const logger = require('../utils/logger');
+const { ORDER_STATUS, INVENTORY } = require('../config/constants');
+
+let running = false;
+
+// Pending orders whose stock hold ran out are cancelled, which releases the hold.
+// Every cluster worker runs this job; order and reservation updates are conditional,
+// so two workers handling the same order cannot release stock twice.
+const releaseExpiredReservations = async () => {
+  const reservations = await InventoryService.findExpiredReservations(100);
+  const orderIds = [...new Set(reservations.map(reservation => reservation.orderId))];
+
+  for (const orderId of orderIds) {
+    try {
+      const order = await OrderModel.findById(orderId);
+
+      if (order && order.status === ORDER_STATUS.PENDING) {
+        await OrderService.updateOrderStatus(orderId, ORDER_STATUS.CANCELLED, {
+          note: 'Stock reservation expired'
+        });
+      } else if (order && order.status !== ORDER_STATUS.CANCELLED) {
+        // Confirmed after the hold was read; the stock stays with the order
+        await InventoryService.allocateOrder(orderId);
+      } else {
+        await InventoryService.releaseOrder(orderId, { reason: 'reservation_expired' });
+      }
+    } catch (error) {
+      if (error.status === 409) {
+        logger.warn(`Reservation expiry skipped for order ${orderId}: ${error.message}`);
+      } else {
+        logger.error(`Reservation expiry error for order ${orderId}:`, error);
+      }
+    }
+  }
+
+  return orderIds.length;
+};
+
+const startReservationExpiryJob = () => {
+  return cron.schedule(INVENTORY.EXPIRY_SCHEDULE, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const count = await releaseExpiredReservations();
+      if (count > 0) logger.info(`Released expired stock reservations for ${count} order(s)`);
+    } catch (error) {
+      logger.error('Reservation expiry job error:', error);
+    } finally {
+      running = false;
+    }
+  });
+};
+
+module.exports = { startReservationExpiryJob, releaseExpiredReservations };
@@ -0,0 +1,26 @@
+const cron = require('node-cron');
+const StockAlertService = require('../services/stock-alert.service');
+const logger = require('../utils/logger');
+const { INVENTORY } = require('../config/constants');
+
+let running = false;
+
+// Flags low/out-of-stock products, notifies sellers and admins and applies autoStockStatus
+const startStockAlertJob = () => {
+  return cron.schedule(INVENTORY.STOCK_ALERT_SCHEDULE, async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { alerts, statusChanges } = await StockAlertService.scan();
+      if (alerts.length > 0 || statusChanges.length > 0) {
+        logger.info(`Stock alerts: ${alerts.length} new, ${statusChanges.length} status change(s)`);
+      }
+    } catch (error) {
+      logger.error('Stock alert job error:', error);
+    } finally {
+      running = false;
+    }
+  });
+};
+
+module.exports = { startStockAlertJob };
@@ -1,6 +1,37 @@
 const jwt = require('jsonwebtoken');
 const UserModel = require('../models/user.model');
-const { ROLES } = require('../config/constants');
+const SessionService = require('../services/session.service');
+const Helpers = require('../utils/helpers');
+const { ROLES, AUTH } = require('../config/constants');
+
+// Admin and moderator tokens must come from a session that passed TOTP (ENFORCE_TWO_FACTOR=false disables)
+const isTwoFactorEnforced = () => process.env.ENFORCE_TWO_FACTOR !== 'false';
+
+const missingSecondFactor = (req) =>
+  isTwoFactorEnforced() && AUTH.TWO_FACTOR_ROLES.includes(req.user.role) && !req.mfa;
+
+const twoFactorRequiredResponse = (res) => res.status(403).json({
+  success: false,
+  code: 'TWO_FACTOR_REQUIRED',
+  message: 'Two-factor authentication is required for this account'
+});
+
+// Verify an access token and load its user; null if the token, session or user is no longer valid
+const resolveTokenUser = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens minted before sessions existed carry no session id
+  if (!decoded.sid || await SessionService.isSessionRevoked(decoded.sid)) {
+    return null;
+  }
+
+  const user = await UserModel.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return { user, decoded };
+};
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -14,17 +45,18 @@ const authenticateToken = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await UserModel.findById(decoded.userId);
+    const resolved = await resolveTokenUser(token);
 
-    if (!user || !user.isActive) {
+    if (!resolved) {
       return res.status(401).json({
         success: false,
-        message: 'User not found or inactive'
+        message: 'Session revoked or user inactive'
       });
     }
 
-    req.user = user;
+    req.user = resolved.user;
+    req.sessionId = resolved.decoded.sid;
+    req.mfa = resolved.decoded.mfa === true;
     next();
   } catch (error) {
     return res.status(403).json({
@@ -50,11 +82,16 @@ const authorizeRoles = (...roles) => {
       });
     }
 
+    if (missingSecondFactor(req)) {
+      return twoFactorRequiredResponse(res);
+    }
+
     next();
   };
 };
 
-const authorizePermission = (permission) => {
+// Passes when the user holds any of the listed permissions
+const authorizePermission = (...permissions) => {
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -64,7 +101,7 @@ const authorizePermission = (permission) => {
         });
       }
 
-      const hasPermission = await UserModel.hasPermission(req.user._id, permission);
+      const hasPermission = permissions.some(permission => Helpers.checkPermission(req.user, permission));
       
       if (!hasPermission) {
         return res.status(403).json({
@@ -73,6 +110,10 @@ const authorizePermission = (permission) => {
         });
       }
 
+      if (missingSecondFactor(req)) {
+        return twoFactorRequiredResponse(res);
+      }
+
       next();
     } catch (error) {
       return res.status(500).json({
@@ -83,17 +124,53 @@ const authorizePermission = (permission) => {
   };
 };
 
+// Step-up confirmation: destructive routes need a fresh TOTP code in the X-2FA-Code header
+const requireStepUp = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const twoFactorEnabled = req.user.twoFactor && req.user.twoFactor.enabled;
+    if (!twoFactorEnabled) {
+      return isTwoFactorEnforced() ? twoFactorRequiredResponse(res) : next();
+    }
+
+    const code = req.headers['x-2fa-code'];
+    const confirmed = code && await UserModel.consumeTwoFactorCode(req.user, { code });
+
+    if (!confirmed) {
+      return res.status(403).json({
+        success: false,
+        code: 'STEP_UP_REQUIRED',
+        message: 'A current two-factor code is required in the X-2FA-Code header'
+      });
+    }
+
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor confirmation failed'
+    });
+  }
+};
+
 const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await UserModel.findById(decoded.userId);
+      const resolved = await resolveTokenUser(token);
       
-      if (user && user.isActive) {
-        req.user = user;
+      if (resolved) {
+        req.user = resolved.user;
+        req.sessionId = resolved.decoded.sid;
+        req.mfa = resolved.decoded.mfa === true;
       }
     } catch (error) {
       // Token is invalid, but we continue without user
@@ -113,6 +190,7 @@ module.exports = {
   authenticateToken,
   authorizeRoles,
   authorizePermission,
+  requireStepUp,
   optionalAuth,
   requireAdmin,
   requireModerator,
@@ -1,8 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { CloudinaryService } = require('../config/cloudinary');
-const { FILE_LIMITS } = require('../config/constants');
+const StorageService = require('../services/storage.service');
+const { FILE_LIMITS, PRODUCT_IMPORT, PRODUCT_IMAGE_ZIP } = require('../config/constants');
 
 // Ensure upload directories exist
 const createUploadDirs = () => {
@@ -25,7 +25,7 @@ const createUploadDirs = () => {
 
 createUploadDirs();
 
-// Local storage for PDFs and temporary files
+// Local disk for incoming files; handleStorageUpload moves them on to the storage driver
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     let folder = 'uploads/temp';
@@ -75,6 +75,23 @@ const mixedFilter = (req, file, cb) => {
   }
 };
 
+// Browsers report CSV files under several types, so the extension decides
+const csvFilter = (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === '.csv') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV files are allowed!'), false);
+  }
+};
+
+const zipFilter = (req, file, cb) => {
+  if (path.extname(file.originalname).toLowerCase() === '.zip') {
+    cb(null, true);
+  } else {
+    cb(new Error('Only ZIP files are allowed!'), false);
+  }
+};
+
 // Multer instances
 const upload = multer({
   storage: storage,
@@ -109,67 +126,46 @@ const uploadBanner = multer({
   limits: { fileSize: FILE_LIMITS.MAX_FILE_SIZE }
 });
 
-// Enhanced upload middleware that handles both single and multiple files
-const handleCloudinaryUpload = (fieldConfigs) => {
+// CSV imports are parsed straight from memory
+const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: csvFilter,
+  limits: { fileSize: PRODUCT_IMPORT.MAX_FILE_SIZE, files: 1 }
+});
+
+// Image archives stay on disk (uploads/temp) and are read entry by entry
+const uploadZip = multer({
+  storage: storage,
+  fileFilter: zipFilter,
+  limits: { fileSize: PRODUCT_IMAGE_ZIP.MAX_FILE_SIZE, files: 1 }
+});
+
+// Moves the uploaded files of the given fields into storage (see config/storage.js) and
+// collects their { url, key, size, mime } records, with fieldname and originalName, in
+// req.storedFiles. Files already stored are removed again if a later one fails.
+const handleStorageUpload = (fieldConfigs) => {
   return async (req, res, next) => {
+    req.storedFiles = [];
+
     try {
-      req.cloudinaryResults = [];
-      
       for (const config of fieldConfigs) {
-        const { fieldName, resourceType = 'image', isMultiple = false } = config;
-        
-        if (isMultiple && req.files && req.files[fieldName]) {
-          // Handle multiple files
-          const files = req.files[fieldName];
-          const folder = `ayira-ecommerce/${resourceType === 'raw' ? 'pdfs' : 'images'}`;
-          
-          const uploadPromises = files.map(file => {
-            if (resourceType === 'raw') {
-              return CloudinaryService.uploadPDF(file.path, folder);
-            } else {
-              return CloudinaryService.uploadImage(file.path, folder);
-            }
-          });
-
-          const results = await Promise.all(uploadPromises);
-          
-          // Add fieldname to each result
-          results.forEach(result => {
-            result.fieldname = fieldName;
-            req.cloudinaryResults.push(result);
-          });
-          
-          // Delete local files
-          files.forEach(file => {
-            if (fs.existsSync(file.path)) {
-              fs.unlinkSync(file.path);
-            }
-          });
-          
-        } else if (!isMultiple && req.files && req.files[fieldName]) {
-          // Handle single file from files object
-          const file = req.files[fieldName][0];
-          const folder = `ayira-ecommerce/${resourceType === 'raw' ? 'pdfs' : 'images'}`;
-          let result;
-          
-          if (resourceType === 'raw') {
-            result = await CloudinaryService.uploadPDF(file.path, folder);
-          } else {
-            result = await CloudinaryService.uploadImage(file.path, folder);
-          }
-          
-          result.fieldname = fieldName;
-          req.cloudinaryResults.push(result);
-          
-          // Delete local file
-          if (fs.existsSync(file.path)) {
-            fs.unlinkSync(file.path);
-          }
+        const { fieldName, folder, isMultiple = false } = config;
+        if (!req.files || !req.files[fieldName]) continue;
+
+        const files = isMultiple ? req.files[fieldName] : req.files[fieldName].slice(0, 1);
+        for (const file of files) {
+          const record = await StorageService.store(file.path, { folder, mime: file.mimetype });
+          req.storedFiles.push({ ...record, fieldname: fieldName, originalName: file.originalname });
         }
       }
-      
+
       next();
     } catch (error) {
+      await Promise.allSettled(
+        req.storedFiles.map(file => StorageService.remove(file.key, file.mime))
+      );
+      req.storedFiles = [];
+
       // Cleanup any uploaded files on error
       if (req.files) {
         Object.values(req.files).flat().forEach(file => {
@@ -222,7 +218,9 @@ module.exports = {
   uploadPDF,
   uploadProduct,
   uploadBanner,
-  handleCloudinaryUpload,
+  uploadCsv,
+  uploadZip,
+  handleStorageUpload,
   handleMulterError,
   createUploadDirs
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { body, validationResult } = require('express-validator');
 const { ObjectId } = require('mongodb');
+const { AUTH, ORDER_STATUS, SAMPLE_TYPES, SAMPLE_STATUS, STOCK_MOVEMENT_TYPES, STOCK_REASON_CODES, WAREHOUSE_TYPES } = require('../config/constants');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -38,6 +39,84 @@ const validateProduct = [
   handleValidationErrors
 ];
 
+// Product Moderation Validation
+const validateModerationComment = [
+  body('comment')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Comment must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+// Product Schedule Validation
+const validateProductSchedule = [
+  body('productStatus')
+    .isString()
+    .notEmpty()
+    .withMessage('Product status is required'),
+  
+  body('runAt')
+    .isISO8601()
+    .withMessage('runAt must be an ISO 8601 date'),
+  
+  body('revertAt')
+    .optional()
+    .isISO8601()
+    .withMessage('revertAt must be an ISO 8601 date'),
+  
+  body('revertStatus')
+    .optional()
+    .isString(),
+  
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Product Gallery Validation
+const validateGalleryImage = [
+  body('publicId')
+    .optional({ nullable: true })
+    .isString(),
+  
+  body('url')
+    .optional()
+    .isString(),
+  
+  body('altText')
+    .optional()
+    .isString()
+    .isLength({ max: 250 })
+    .withMessage('Alt text must be at most 250 characters'),
+  
+  body('caption')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Caption must be at most 500 characters'),
+  
+  handleValidationErrors
+];
+
+const validateGalleryOrder = [
+  body('order')
+    .isArray()
+    .withMessage('order must be an array of gallery image publicIds'),
+  
+  body('order.*')
+    .isString()
+    .notEmpty()
+    .withMessage('order entries must be publicIds (or urls for images without one)'),
+  
+  handleValidationErrors
+];
+
 // Order Validation
 const validateOrder = [
   body('name')
@@ -58,6 +137,257 @@ const validateOrder = [
     .isArray({ min: 1 })
     .withMessage('At least one product is required'),
   
+  body('products.*.productId')
+    .isMongoId()
+    .withMessage('Each product needs a valid productId'),
+  
+  body('products.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive whole number'),
+  
+  body('products.*.size')
+    .optional()
+    .isString()
+    .withMessage('Size must be a string'),
+  
+  body('products.*.color')
+    .optional()
+    .isString()
+    .withMessage('Color must be a string'),
+  
+  handleValidationErrors
+];
+
+// Order Status Validation
+const validateOrderStatus = [
+  body('status')
+    .isIn(Object.values(ORDER_STATUS))
+    .withMessage('Invalid order status'),
+  
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Note must be at most 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Quote Request Validation
+const validateQuoteRequest = [
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+  
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required'),
+  
+  body('phone')
+    .notEmpty()
+    .withMessage('Phone number is required'),
+  
+  body('products')
+    .isArray({ min: 1 })
+    .withMessage('At least one product is required'),
+  
+  body('products.*.productId')
+    .isMongoId()
+    .withMessage('Each product needs a valid productId'),
+  
+  body('products.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive whole number'),
+  
+  body('products.*.customization')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Customization must be at most 1000 characters'),
+  
+  handleValidationErrors
+];
+
+// Quote Response Validation (staff pricing)
+const validateQuoteResponse = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Line prices are required'),
+  
+  body('items.*.unitPrice')
+    .isFloat({ min: 0 })
+    .withMessage('Unit price must be a non-negative number'),
+  
+  body('additionalCharges')
+    .optional()
+    .isArray()
+    .withMessage('Additional charges must be an array'),
+  
+  body('additionalCharges.*.label')
+    .notEmpty()
+    .withMessage('Each charge needs a label'),
+  
+  body('additionalCharges.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Charge amount must be a non-negative number'),
+  
+  body('validUntil')
+    .isISO8601()
+    .withMessage('validUntil must be a date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('validUntil must be in the future'),
+  
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Note must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+// Sample Request Validation
+const validateSampleRequest = [
+  body('productId')
+    .isMongoId()
+    .withMessage('Valid productId is required'),
+  
+  body('sampleType')
+    .isIn(SAMPLE_TYPES)
+    .withMessage(`Sample type must be one of: ${SAMPLE_TYPES.join(', ')}`),
+  
+  body('colors')
+    .optional()
+    .isArray()
+    .withMessage('Colors must be an array'),
+  
+  body('sizes')
+    .optional()
+    .isArray()
+    .withMessage('Sizes must be an array'),
+  
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Sample quantity must be between 1-50'),
+  
+  handleValidationErrors
+];
+
+const validateSampleStatus = [
+  body('status')
+    .isIn(Object.values(SAMPLE_STATUS))
+    .withMessage('Invalid sample status'),
+  
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Note must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateSampleLink = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Valid orderId is required'),
+  
+  handleValidationErrors
+];
+
+// Manual stock movements; reservations, releases and shipments only come from orders
+const validateStockMovement = [
+  body('type')
+    .isIn([STOCK_MOVEMENT_TYPES.RECEIPT, STOCK_MOVEMENT_TYPES.ADJUSTMENT])
+    .withMessage('Type must be receipt or adjustment'),
+  
+  body('quantity')
+    .isInt()
+    .not().equals('0')
+    .withMessage('Quantity must be a whole number other than 0'),
+  
+  body('reason')
+    .isIn(STOCK_REASON_CODES)
+    .withMessage('Invalid reason code'),
+  
+  body('sku')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('SKU must be a string'),
+  
+  body('warehouseId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid warehouseId'),
+  
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Note must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+const validateStockTransfer = [
+  body('fromWarehouseId')
+    .isMongoId()
+    .withMessage('Valid fromWarehouseId is required'),
+  
+  body('toWarehouseId')
+    .isMongoId()
+    .withMessage('Valid toWarehouseId is required'),
+  
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1'),
+  
+  body('sku')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('SKU must be a string'),
+  
+  body('note')
+    .optional()
+    .isString()
+    .isLength({ max: 2000 })
+    .withMessage('Note must be at most 2000 characters'),
+  
+  handleValidationErrors
+];
+
+// Fields are optional so the same rules serve create and update; create requires name and code
+const validateWarehouse = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2-100 characters'),
+  
+  body('code')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{2,20}$/)
+    .withMessage('Code must be 2-20 letters, numbers, dashes or underscores'),
+  
+  body('type')
+    .optional()
+    .isIn(WAREHOUSE_TYPES)
+    .withMessage(`Type must be one of: ${WAREHOUSE_TYPES.join(', ')}`),
+  
+  body('priority')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Priority must be a whole number of 0 or more'),
+  
+  body(['allocatable', 'isActive', 'isDefault'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be true or false'),
+  
   handleValidationErrors
 ];
 
@@ -78,6 +408,141 @@ const validateUser = [
     .isIn(['user', 'staff', 'admin'])
     .withMessage('Invalid role'),
   
+  body('password')
+    .optional()
+    .isLength({ min: AUTH.PASSWORD_MIN_LENGTH })
+    .withMessage(`Password must be at least ${AUTH.PASSWORD_MIN_LENGTH} characters`),
+  
+  handleValidationErrors
+];
+
+// Auth Validation
+const validateLogin = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required'),
+  
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  handleValidationErrors
+];
+
+const validateEmailRequest = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required'),
+  
+  handleValidationErrors
+];
+
+const validateOtpLogin = [
+  body('email')
+    .isEmail()
+    .withMessage('Valid email is required'),
+  
+  body('code')
+    .isLength({ min: AUTH.OTP_LENGTH, max: AUTH.OTP_LENGTH })
+    .isNumeric()
+    .withMessage(`Code must be ${AUTH.OTP_LENGTH} digits`),
+  
+  handleValidationErrors
+];
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  
+  handleValidationErrors
+];
+
+const validateTokenBody = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required'),
+  
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Token is required'),
+  
+  body('newPassword')
+    .isLength({ min: AUTH.PASSWORD_MIN_LENGTH })
+    .withMessage(`Password must be at least ${AUTH.PASSWORD_MIN_LENGTH} characters`),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit two-factor code is required'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A two-factor code or recovery code is required'),
+  
+  handleValidationErrors
+];
+
+const validateTwoFactorConfirmation = [
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A two-factor code or recovery code is required'),
+  
+  handleValidationErrors
+];
+
+const validatePasswordChange = [
+  body('newPassword')
+    .isLength({ min: AUTH.PASSWORD_MIN_LENGTH })
+    .withMessage(`Password must be at least ${AUTH.PASSWORD_MIN_LENGTH} characters`),
+  
+  handleValidationErrors
+];
+
+// Role Validation
+const validateRole = [
+  body('name')
+    .isString()
+    .matches(/^[a-zA-Z0-9_-]{2,50}$/)
+    .withMessage('Role name must be 2-50 letters, numbers, dashes or underscores'),
+  
+  body('permissions')
+    .isArray({ min: 1 })
+    .withMessage('Permissions must be a non-empty array'),
+  
+  handleValidationErrors
+];
+
+const validateRoleUpdate = [
+  body('name')
+    .not()
+    .exists()
+    .withMessage('Role name cannot be changed'),
+  
+  body('permissions')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Permissions must be a non-empty array'),
+  
   handleValidationErrors
 ];
 
@@ -118,8 +583,33 @@ const validateObjectId = (paramName) => (req, res, next) => {
 
 module.exports = {
   validateProduct,
+  validateModerationComment,
+  validateProductSchedule,
+  validateGalleryImage,
+  validateGalleryOrder,
   validateOrder,
+  validateOrderStatus,
+  validateQuoteRequest,
+  validateQuoteResponse,
+  validateSampleRequest,
+  validateSampleStatus,
+  validateSampleLink,
+  validateStockMovement,
+  validateStockTransfer,
+  validateWarehouse,
   validateUser,
+  validateLogin,
+  validateEmailRequest,
+  validateOtpLogin,
+  validatePasswordChange,
+  validateRefreshToken,
+  validateTokenBody,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorConfirmation,
+  validateRole,
+  validateRoleUpdate,
   validateBlog,
   validateObjectId,
   handleValidationErrors
@@ -6,8 +6,23 @@ const productSchema = {
   gsmCode: { type: String },
   category: { type: String, required: true },
   subCategory: { type: String, required: true },
-  productStatus: { type: String, enum: ['active', 'inactive', 'featured'], default: 'active' },
-  
+  productStatus: { type: String, enum: ['active', 'inactive', 'featured', 'out-of-stock'], default: 'active' },
+
+  // Moderation (only approved products are listed publicly; missing = approved legacy product)
+  moderationStatus: { type: String, enum: ['draft', 'pending_review', 'approved', 'rejected', 'changes_requested'] },
+  moderationComment: { type: String }, // Latest moderator comment
+  submittedForReviewAt: { type: Date },
+  reviewedAt: { type: Date },
+  reviewedBy: { type: String },
+  approvedAt: { type: Date },
+  moderationHistory: [{
+    status: { type: String },
+    changedAt: { type: Date },
+    changedBy: { type: String },
+    changedByRole: { type: String },
+    comment: { type: String }
+  }],
+
   // Product Attributes
   sizes: [{ type: String }],
   colors: [{ type: String }],
@@ -20,7 +35,46 @@ const productSchema = {
   price: { type: Number, default: 0 },
   discountPrice: { type: Number, default: 0 },
   discountPercentage: { type: Number, default: 0 },
-  quantity: { type: Number, default: 0 },
+  quantity: { type: Number, default: 0 }, // On hand; cached from the stock ledger
+  reservedQuantity: { type: Number, default: 0 }, // Held by open orders
+  availableQuantity: { type: Number, default: 0 }, // quantity - reservedQuantity
+  trackInventory: { type: Boolean, default: true }, // false for made-to-order products
+  reorderThreshold: { type: Number }, // Low-stock alert at or below this available quantity
+  autoStockStatus: { type: Boolean, default: false }, // out-of-stock at zero, previous status when replenished
+  stockAlert: {
+    level: { type: String }, // low | out_of_stock
+    since: { type: Date }
+  },
+  bulkQuantity: { type: Number, default: 0 },
+  variants: [{
+    sku: { type: String },
+    color: { type: String },
+    size: { type: String },
+    barcode: { type: String }, // EAN-13 / GTIN, check digit validated
+    stock: { type: Number, default: 0 },
+    reserved: { type: Number, default: 0 },
+    available: { type: Number, default: 0 },
+    price: { type: Number } // Optional override of the base price
+  }],
+  priceTiers: [{
+    minQuantity: { type: Number, required: true },
+    price: { type: Number, required: true },
+    color: { type: String }, // Optional: tier only applies to this color
+    size: { type: String } // Optional: tier only applies to this size
+  }],
+  
+  // Ordering Rules
+  moq: { type: Number, default: 1 }, // Minimum pieces per color
+  colorMoqs: [{
+    color: { type: String },
+    moq: { type: Number }
+  }],
+  casePack: { type: Number, default: 1 }, // Line quantities must be a multiple of this
+  leadTimeBands: [{
+    minQuantity: { type: Number, required: true },
+    maxQuantity: { type: Number }, // Open-ended when empty
+    days: { type: Number, required: true }
+  }],
   
   // Descriptions
   shortDescription: { type: String },
@@ -43,11 +97,21 @@ const productSchema = {
     url: { type: String },
     publicId: { type: String },
     altText: { type: String },
+    caption: { type: String },
+    size: { type: Number },
+    mime: { type: String },
     uploadedAt: { type: Date, default: Date.now }
   }],
   sizeChartImage: { type: String },
   sizeChartImagePublicId: { type: String },
-  mainPdf: { type: String },
+  mainPdf: {
+    url: { type: String },
+    key: { type: String },
+    size: { type: Number },
+    mime: { type: String },
+    name: { type: String },
+    uploadedAt: { type: Date }
+  },
   
   // Popularity and AI Recommendation Scores
   popularityScore: { type: Number, default: 0 },
@@ -62,5 +126,11 @@ const productSchema = {
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   createdBy: { type: String },
-  updatedBy: { type: String }
+  updatedBy: { type: String },
+  revision: { type: Number, default: 1 }, // Latest snapshot in product-revisions
+
+  // Trash (soft delete); the purge job removes the product and its images after purgeAfter
+  deletedAt: { type: Date },
+  deletedBy: { type: String },
+  purgeAfter: { type: Date }
 };
\ No newline at end of file
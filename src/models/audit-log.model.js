@@ -0,0 +1,41 @@
+const { getCollection } = require('../config/database');
+
+class AuditLogModel {
+  static collection() {
+    return getCollection('auditLogs');
+  }
+
+  static async create(entry) {
+    return await this.collection().insertOne({
+      ...entry,
+      createdAt: new Date()
+    });
+  }
+
+  static async find(query = {}, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = AuditLogModel;
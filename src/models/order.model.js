@@ -0,0 +1,129 @@
+const { getCollection } = require('../config/database');
+const { ORDER_STATUS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+class OrderModel {
+  static collection() {
+    return getCollection('orders');
+  }
+
+  // Create order
+  static async create(orderData) {
+    const now = new Date();
+    const result = await this.collection().insertOne({
+      ...orderData,
+      status: ORDER_STATUS.PENDING,
+      statusHistory: [{
+        status: ORDER_STATUS.PENDING,
+        changedAt: now,
+        changedBy: orderData.userId || null,
+        note: 'Order placed'
+      }],
+      createdAt: now,
+      updatedAt: now
+    });
+    return result;
+  }
+
+  // Find orders with pagination and filtering
+  static async find(query = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      sort = { createdAt: -1 },
+      projection = {}
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query, { projection })
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findById(id) {
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  static async findByEmail(email, options = {}) {
+    return await this.find({ email: email.toLowerCase() }, options);
+  }
+
+  // Move an order to a new status only if it is still in the expected one
+  static async transitionStatus(id, fromStatus, historyEntry) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), status: fromStatus },
+      {
+        $set: {
+          status: historyEntry.status,
+          updatedAt: historyEntry.changedAt
+        },
+        $push: { statusHistory: historyEntry }
+      }
+    );
+  }
+
+  // Trace approved samples that led to this order
+  static async addSampleRequest(id, sampleRequestId) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $addToSet: { sampleRequestIds: sampleRequestId },
+        $set: { updatedAt: new Date() }
+      }
+    );
+  }
+
+  static async deleteById(id) {
+    return await this.collection().deleteOne({ _id: new ObjectId(id) });
+  }
+
+  // Order counts and revenue per status
+  static async getOrderStats() {
+    const byStatus = await this.collection().aggregate([
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          revenue: { $sum: '$totals.total' }
+        }
+      }
+    ]).toArray();
+
+    const stats = {
+      total: 0,
+      revenue: 0,
+      byStatus: {}
+    };
+
+    Object.values(ORDER_STATUS).forEach(status => {
+      stats.byStatus[status] = { count: 0, revenue: 0 };
+    });
+
+    byStatus.forEach(({ _id, count, revenue }) => {
+      stats.byStatus[_id] = { count, revenue };
+      stats.total += count;
+      if (_id !== ORDER_STATUS.CANCELLED) stats.revenue += revenue;
+    });
+
+    return stats;
+  }
+}
+
+module.exports = OrderModel;
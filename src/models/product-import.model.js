@@ -0,0 +1,93 @@
+const { getCollection } = require('../config/database');
+const { PRODUCT_IMPORT_STATUS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+class ProductImportModel {
+  static collection() {
+    return getCollection('productImports');
+  }
+
+  static async create(importData) {
+    const now = new Date();
+    const result = await this.collection().insertOne({
+      ...importData,
+      status: PRODUCT_IMPORT_STATUS.QUEUED,
+      processed: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      errors: [],
+      createdAt: now,
+      updatedAt: now
+    });
+    return await this.findById(result.insertedId);
+  }
+
+  // Newest first
+  static async find(query = {}, options = {}) {
+    const { page = 1, limit = 20, sort = { createdAt: -1 } } = options;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query, { projection: { errors: 0 } })
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findById(id) {
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  // Counters are replaced with the running totals; errors are appended
+  static async updateProgress(id, progress, errors = []) {
+    const update = { $set: { ...progress, updatedAt: new Date() } };
+    if (errors.length > 0) update.$push = { errors: { $each: errors } };
+
+    return await this.collection().updateOne({ _id: new ObjectId(id) }, update);
+  }
+
+  // Move an import on only if it is still in one of the expected statuses
+  static async transitionStatus(id, fromStatuses, status, updateData = {}) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), status: { $in: fromStatuses } },
+      { $set: { ...updateData, status, updatedAt: new Date() } }
+    );
+  }
+
+  // Imports whose worker stopped reporting progress before finishing
+  static async failStale(id, before) {
+    return await this.collection().updateOne(
+      {
+        _id: new ObjectId(id),
+        status: { $in: [PRODUCT_IMPORT_STATUS.QUEUED, PRODUCT_IMPORT_STATUS.PROCESSING] },
+        updatedAt: { $lte: before }
+      },
+      {
+        $set: {
+          status: PRODUCT_IMPORT_STATUS.FAILED,
+          error: 'Import was interrupted before it finished',
+          finishedAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+}
+
+module.exports = ProductImportModel;
@@ -0,0 +1,67 @@
+const { getCollection } = require('../config/database');
+
+// One snapshot per product write, numbered by the product's revision counter
+class ProductRevisionModel {
+  static collection() {
+    return getCollection('productRevisions');
+  }
+
+  static async create(revision) {
+    return await this.collection().insertOne({
+      ...revision,
+      createdAt: new Date()
+    });
+  }
+
+  static async insertMany(revisions) {
+    const createdAt = new Date();
+    return await this.collection().insertMany(revisions.map(revision => ({ ...revision, createdAt })));
+  }
+
+  // Newest first
+  static async findByProduct(productId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+    const query = { productId };
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query)
+        .sort({ revision: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findRevision(productId, revision) {
+    return await this.collection().findOne({ productId, revision }, { sort: { createdAt: -1 } });
+  }
+
+  static async findRevisions(productId, revisions) {
+    return await this.collection()
+      .find({ productId, revision: { $in: revisions } })
+      .toArray();
+  }
+
+  static async findAllForProduct(productId) {
+    return await this.collection().find({ productId }).toArray();
+  }
+
+  static async deleteByProduct(productId) {
+    return await this.collection().deleteMany({ productId });
+  }
+}
+
+module.exports = ProductRevisionModel;
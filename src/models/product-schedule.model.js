@@ -0,0 +1,108 @@
+const { getCollection } = require('../config/database');
+const { PRODUCT_SCHEDULE_STATUS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+class ProductScheduleModel {
+  static collection() {
+    return getCollection('productSchedules');
+  }
+
+  static async insertMany(schedules) {
+    const now = new Date();
+    return await this.collection().insertMany(schedules.map(schedule => ({
+      ...schedule,
+      status: PRODUCT_SCHEDULE_STATUS.SCHEDULED,
+      attempts: 0,
+      lockedUntil: null,
+      createdAt: now,
+      updatedAt: now
+    })));
+  }
+
+  // Soonest first
+  static async find(query = {}, options = {}) {
+    const { page = 1, limit = 20, sort = { runAt: 1 } } = options;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findAll(query = {}, limit = 1000) {
+    return await this.collection()
+      .find(query)
+      .sort({ runAt: 1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  static async findById(id) {
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  // Due changes, plus ones whose worker died before finishing
+  static async findDue(now = new Date(), limit = 100) {
+    return await this.collection()
+      .find({
+        $or: [
+          { status: PRODUCT_SCHEDULE_STATUS.SCHEDULED, runAt: { $lte: now } },
+          { status: PRODUCT_SCHEDULE_STATUS.PROCESSING, lockedUntil: { $lte: now } }
+        ]
+      })
+      .sort({ runAt: 1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // Only one worker wins the claim for a given change
+  static async claim(schedule, now, lockedUntil) {
+    return await this.collection().updateOne(
+      {
+        _id: schedule._id,
+        $or: [
+          { status: PRODUCT_SCHEDULE_STATUS.SCHEDULED },
+          { status: PRODUCT_SCHEDULE_STATUS.PROCESSING, lockedUntil: { $lte: now } }
+        ]
+      },
+      {
+        $set: { status: PRODUCT_SCHEDULE_STATUS.PROCESSING, lockedUntil, updatedAt: now },
+        $inc: { attempts: 1 }
+      }
+    );
+  }
+
+  // Cancel the changes of a group still scheduled to run at or after runAt
+  static async cancelGroupFrom(groupId, runAt, updateData = {}) {
+    return await this.collection().updateMany(
+      { groupId, status: PRODUCT_SCHEDULE_STATUS.SCHEDULED, runAt: { $gte: runAt } },
+      { $set: { ...updateData, status: PRODUCT_SCHEDULE_STATUS.CANCELLED, lockedUntil: null, updatedAt: new Date() } }
+    );
+  }
+
+  // Move a change on only if it is still in one of the expected statuses
+  static async transitionStatus(id, fromStatuses, status, updateData = {}) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), status: { $in: fromStatuses } },
+      { $set: { ...updateData, status, lockedUntil: null, updatedAt: new Date() } }
+    );
+  }
+}
+
+module.exports = ProductScheduleModel;
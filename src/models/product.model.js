@@ -1,4 +1,5 @@
 const { getCollection } = require('../config/database');
+const { PRODUCT_STATUS } = require('../config/constants');
 const { ObjectId } = require('mongodb');
 
 class ProductModel {
@@ -104,6 +105,22 @@ class ProductModel {
     return result;
   }
 
+  // Move a listing to a new moderation status only if it is still in one of the expected ones
+  static async transitionModeration(id, fromStatuses, historyEntry, updateData = {}) {
+    const collection = this.collection();
+    return await collection.updateOne(
+      { _id: new ObjectId(id), moderationStatus: { $in: fromStatuses } },
+      {
+        $set: {
+          ...updateData,
+          moderationStatus: historyEntry.status,
+          updatedAt: historyEntry.changedAt
+        },
+        $push: { moderationHistory: historyEntry }
+      }
+    );
+  }
+
   // Get product statistics
   static async getStats(sellerId = null) {
     const collection = this.collection();
@@ -113,7 +130,7 @@ class ProductModel {
     const active = await collection.countDocuments({ ...query, productStatus: 'active' });
     const inactive = await collection.countDocuments({ ...query, productStatus: 'inactive' });
     const draft = await collection.countDocuments({ ...query, productStatus: 'draft' });
-    const outOfStock = await collection.countDocuments({ ...query, productStatus: 'out-of-stock' });
+    const outOfStock = await collection.countDocuments({ ...query, productStatus: PRODUCT_STATUS.OUT_OF_STOCK });
 
     return {
       total,
@@ -0,0 +1,78 @@
+const { getCollection } = require('../config/database');
+const { QUOTE_STATUS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+class QuoteModel {
+  static collection() {
+    return getCollection('quotes');
+  }
+
+  // Create RFQ
+  static async create(quoteData) {
+    const now = new Date();
+    return await this.collection().insertOne({
+      ...quoteData,
+      status: QUOTE_STATUS.REQUESTED,
+      statusHistory: [{
+        status: QUOTE_STATUS.REQUESTED,
+        changedAt: now,
+        changedBy: quoteData.userId || null,
+        note: 'Quote requested'
+      }],
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Find quotes with pagination and filtering
+  static async find(query = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      sort = { createdAt: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findById(id) {
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  // Move a quote to a new status only if it is still in the expected one
+  static async transitionStatus(id, fromStatus, historyEntry, updateData = {}) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), status: fromStatus },
+      {
+        $set: {
+          ...updateData,
+          status: historyEntry.status,
+          updatedAt: historyEntry.changedAt
+        },
+        $push: { statusHistory: historyEntry }
+      }
+    );
+  }
+}
+
+module.exports = QuoteModel;
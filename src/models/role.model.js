@@ -0,0 +1,72 @@
+const { getCollection } = require('../config/database');
+const { ROLES, PERMISSIONS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+// Built-in roles live in constants; admin-defined roles are stored in the roles collection
+class RoleModel {
+  static collection() {
+    return getCollection('roles');
+  }
+
+  static isBuiltIn(name) {
+    return Object.values(ROLES).includes(name);
+  }
+
+  static getBuiltInRoles() {
+    return Object.values(ROLES).map(name => ({
+      name,
+      permissions: PERMISSIONS[name.toUpperCase()],
+      isSystem: true
+    }));
+  }
+
+  static async create(roleData) {
+    return await this.collection().insertOne({
+      ...roleData,
+      isSystem: false,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    });
+  }
+
+  static async findAll() {
+    return await this.collection()
+      .find({})
+      .sort({ name: 1 })
+      .toArray();
+  }
+
+  static async findById(id) {
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  static async findByName(name) {
+    return await this.collection().findOne({ name });
+  }
+
+  static async updateById(id, updateData) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          ...updateData,
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+
+  static async deleteById(id) {
+    return await this.collection().deleteOne({ _id: new ObjectId(id) });
+  }
+
+  // Built-in or custom role definition by name, or null if the role does not exist
+  static async resolve(name) {
+    if (this.isBuiltIn(name)) {
+      return this.getBuiltInRoles().find(role => role.name === name);
+    }
+    return await this.findByName(name);
+  }
+}
+
+module.exports = RoleModel;
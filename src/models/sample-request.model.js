@@ -0,0 +1,91 @@
+const { getCollection } = require('../config/database');
+const { SAMPLE_STATUS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+class SampleRequestModel {
+  static collection() {
+    return getCollection('sampleRequests');
+  }
+
+  // Create sample request
+  static async create(sampleData) {
+    const now = new Date();
+    return await this.collection().insertOne({
+      ...sampleData,
+      status: SAMPLE_STATUS.REQUESTED,
+      round: 1,
+      statusHistory: [{
+        status: SAMPLE_STATUS.REQUESTED,
+        changedAt: now,
+        changedBy: sampleData.userId || null,
+        note: 'Sample requested'
+      }],
+      orderId: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Find sample requests with pagination and filtering
+  static async find(query = {}, options = {}) {
+    const {
+      page = 1,
+      limit = 10,
+      sort = { createdAt: -1 }
+    } = options;
+
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findById(id) {
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  // Move a sample to a new status only if it is still in the expected one
+  static async transitionStatus(id, fromStatus, historyEntry, updateData = {}, increment = {}) {
+    const update = {
+      $set: {
+        ...updateData,
+        status: historyEntry.status,
+        updatedAt: historyEntry.changedAt
+      },
+      $push: { statusHistory: historyEntry }
+    };
+    if (Object.keys(increment).length > 0) update.$inc = increment;
+
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), status: fromStatus },
+      update
+    );
+  }
+
+  // Link an approved sample to the bulk order it led to
+  static async linkOrder(id, orderId) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { orderId, linkedAt: new Date(), updatedAt: new Date() } }
+    );
+  }
+}
+
+module.exports = SampleRequestModel;
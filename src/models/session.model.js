@@ -0,0 +1,77 @@
+const { getCollection } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class SessionModel {
+  static collection() {
+    return getCollection('sessions');
+  }
+
+  static async create(sessionData) {
+    return await this.collection().insertOne({
+      ...sessionData,
+      userId: new ObjectId(sessionData.userId),
+      revokedAt: null,
+      createdAt: new Date(),
+      lastUsedAt: new Date()
+    });
+  }
+
+  static async findById(id) {
+    if (!ObjectId.isValid(id)) return null;
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  // Active sessions for a user, most recently used first
+  static async findActiveByUser(userId) {
+    return await this.collection()
+      .find(
+        {
+          userId: new ObjectId(userId),
+          revokedAt: null,
+          expiresAt: { $gt: new Date() }
+        },
+        { projection: { refreshTokenHash: 0 } }
+      )
+      .sort({ lastUsedAt: -1 })
+      .toArray();
+  }
+
+  // Swap the refresh token hash only if the presented one is still current
+  static async rotate(id, currentHash, nextHash, expiresAt) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), refreshTokenHash: currentHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: nextHash,
+          expiresAt,
+          lastUsedAt: new Date()
+        }
+      }
+    );
+  }
+
+  static async markMfa(id) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), revokedAt: null },
+      { $set: { mfa: true, mfaAt: new Date() } }
+    );
+  }
+
+  static async revoke(id, reason = 'logout') {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  static async revokeMany(ids, reason) {
+    if (ids.length === 0) return { modifiedCount: 0 };
+
+    return await this.collection().updateMany(
+      { _id: { $in: ids.map(id => new ObjectId(id)) }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+}
+
+module.exports = SessionModel;
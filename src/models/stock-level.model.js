@@ -0,0 +1,60 @@
+const { getCollection } = require('../config/database');
+
+// Cached stock per product, SKU (null for product-level stock) and warehouse:
+//   onHand, allocated (held for confirmed orders), available = onHand - allocated
+class StockLevelModel {
+  static collection() {
+    return getCollection('stockLevels');
+  }
+
+  static async findByProducts(productIds) {
+    return await this.collection()
+      .find({ productId: { $in: productIds } })
+      .toArray();
+  }
+
+  static async findForSku(productId, sku) {
+    return await this.collection().find({ productId, sku }).toArray();
+  }
+
+  static async countForProduct(productId) {
+    return await this.collection().countDocuments({ productId });
+  }
+
+  // Creates the level the first time a warehouse receives stock for the SKU
+  static async seed(productId, sku, warehouseId, onHand) {
+    return await this.collection().updateOne(
+      { productId, sku, warehouseId },
+      {
+        $setOnInsert: { onHand, allocated: 0, available: onHand, createdAt: new Date() }
+      },
+      { upsert: true }
+    );
+  }
+
+  // onHand/allocated deltas; decreases of available only apply while enough is available
+  static async increment(productId, sku, warehouseId, { onHandDelta = 0, allocatedDelta = 0 }) {
+    const availableDelta = onHandDelta - allocatedDelta;
+    const filter = { productId, sku, warehouseId };
+    if (availableDelta < 0) filter.available = { $gte: -availableDelta };
+
+    return await this.collection().updateOne(
+      filter,
+      {
+        $inc: { onHand: onHandDelta, allocated: allocatedDelta, available: availableDelta },
+        $set: { updatedAt: new Date() }
+      },
+      { upsert: availableDelta >= 0 }
+    );
+  }
+
+  static async setLevels(productId, sku, warehouseId, levels) {
+    return await this.collection().updateOne(
+      { productId, sku, warehouseId },
+      { $set: { ...levels, updatedAt: new Date() } },
+      { upsert: true }
+    );
+  }
+}
+
+module.exports = StockLevelModel;
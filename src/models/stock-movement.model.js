@@ -0,0 +1,75 @@
+const { getCollection } = require('../config/database');
+
+// Append-only: movements are never updated or deleted, corrections are new movements
+class StockMovementModel {
+  static collection() {
+    return getCollection('stockMovements');
+  }
+
+  static async create(movement) {
+    return await this.collection().insertOne({
+      ...movement,
+      createdAt: new Date()
+    });
+  }
+
+  static async find(query = {}, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async countForProduct(productId) {
+    return await this.collection().countDocuments({ productId });
+  }
+
+  // On-hand and reserved stock per SKU (null for product-level stock) derived from the ledger
+  static async getBalances(productId) {
+    return await this.collection().aggregate([
+      { $match: { productId } },
+      {
+        $group: {
+          _id: '$sku',
+          onHand: { $sum: '$onHandDelta' },
+          reserved: { $sum: '$reservedDelta' },
+          movements: { $sum: 1 },
+          lastMovementAt: { $max: '$createdAt' }
+        }
+      }
+    ]).toArray();
+  }
+
+  // On-hand stock per SKU and warehouse derived from the ledger
+  static async getWarehouseBalances(productId) {
+    return await this.collection().aggregate([
+      { $match: { productId, onHandDelta: { $ne: 0 } } },
+      {
+        $group: {
+          _id: { sku: '$sku', warehouseId: '$warehouseId' },
+          onHand: { $sum: '$onHandDelta' }
+        }
+      }
+    ]).toArray();
+  }
+}
+
+module.exports = StockMovementModel;
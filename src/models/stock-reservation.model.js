@@ -0,0 +1,76 @@
+const { getCollection } = require('../config/database');
+const { RESERVATION_STATUS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+class StockReservationModel {
+  static collection() {
+    return getCollection('stockReservations');
+  }
+
+  static async create(reservationData) {
+    const now = new Date();
+    return await this.collection().insertOne({
+      ...reservationData,
+      status: RESERVATION_STATUS.ACTIVE,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  static async find(query = {}, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    const [data, total] = await Promise.all([
+      this.collection()
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      this.collection().countDocuments(query)
+    ]);
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  static async findByOrder(orderId, statuses) {
+    const query = { orderId };
+    if (statuses) query.status = { $in: statuses };
+    return await this.collection().find(query).toArray();
+  }
+
+  // Active reservations whose hold has run out
+  static async findExpired(now = new Date(), limit = 100) {
+    return await this.collection()
+      .find({ status: RESERVATION_STATUS.ACTIVE, expiresAt: { $lte: now } })
+      .limit(limit)
+      .toArray();
+  }
+
+  // Warehouses the reservation is allocated to: [{ warehouseId, warehouseCode, quantity }]
+  static async setAllocations(id, allocations) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { allocations, updatedAt: new Date() } }
+    );
+  }
+
+  // Move a reservation on only if it is still in one of the expected statuses
+  static async transitionStatus(id, fromStatuses, status, updateData = {}) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id), status: { $in: fromStatuses } },
+      { $set: { ...updateData, status, updatedAt: new Date() } }
+    );
+  }
+}
+
+module.exports = StockReservationModel;
@@ -1,5 +1,8 @@
+const bcrypt = require('bcryptjs');
 const { getDB } = require('../config/database');
-const { ROLES, PERMISSIONS } = require('../config/constants');
+const SessionService = require('../services/session.service');
+const totp = require('../utils/totp');
+const { ROLES, PERMISSIONS, AUTH } = require('../config/constants');
 const { ObjectId } = require('mongodb');
 
 class UserModel {
@@ -8,10 +11,15 @@ class UserModel {
   }
 
   static async create(userData) {
-    const defaultPermissions = this.getDefaultPermissions(userData.role);
+    const defaultPermissions = this.getDefaultPermissions(userData.role || ROLES.USER);
+    const { password, ...profile } = userData;
     
     return await this.collection().insertOne({
-      ...userData,
+      ...profile,
+      email: profile.email.toLowerCase(),
+      password: password ? await this.hashPassword(password) : null,
+      failedLoginAttempts: 0,
+      lockUntil: null,
       role: userData.role || ROLES.USER,
       permissions: userData.permissions || defaultPermissions,
       isActive: true,
@@ -60,24 +68,47 @@ class UserModel {
     };
   }
 
+  // Changing a role signs the user out everywhere so old tokens cannot keep the old role
   static async updateRole(id, roleData) {
     const permissions = this.getDefaultPermissions(roleData.role);
     
-    return await this.collection().updateOne(
+    const result = await this.collection().updateOne(
       { _id: new ObjectId(id) },
       { 
         $set: {
           role: roleData.role,
           permissions: roleData.permissions || permissions,
+          permissionsCustomized: false,
           updatedAt: new Date()
         } 
       }
     );
+
+    if (result.modifiedCount > 0) {
+      await SessionService.revokeAllForUser(id, 'role_changed');
+    }
+
+    return result;
   }
 
+  // Per-user permissions override the role's set until the role is reassigned
   static async updatePermissions(id, permissions) {
     return await this.collection().updateOne(
       { _id: new ObjectId(id) },
+      { 
+        $set: {
+          permissions,
+          permissionsCustomized: true,
+          updatedAt: new Date()
+        } 
+      }
+    );
+  }
+
+  // Push a role's new permission set to its members without per-user overrides
+  static async syncRolePermissions(role, permissions) {
+    return await this.collection().updateMany(
+      { role, permissionsCustomized: { $ne: true } },
       { 
         $set: {
           permissions,
@@ -87,12 +118,33 @@ class UserModel {
     );
   }
 
+  // Puts back the role, permissions and account state a user had before a change
+  static async restoreRoleState(user) {
+    return await this.collection().updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          role: user.role,
+          permissions: user.permissions,
+          permissionsCustomized: user.permissionsCustomized || false,
+          isActive: user.isActive,
+          deletedAt: user.deletedAt || null,
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+
+  static async countByRole(role) {
+    return await this.collection().countDocuments({ role, isActive: true });
+  }
+
   static async deleteById(id) {
     return await this.collection().deleteOne({ _id: new ObjectId(id) });
   }
 
   static async softDelete(id) {
-    return await this.collection().updateOne(
+    const result = await this.collection().updateOne(
       { _id: new ObjectId(id) },
       { 
         $set: {
@@ -101,6 +153,12 @@ class UserModel {
         } 
       }
     );
+
+    if (result.modifiedCount > 0) {
+      await SessionService.revokeAllForUser(id, 'account_deactivated');
+    }
+
+    return result;
   }
 
   static async getStats() {
@@ -133,6 +191,195 @@ class UserModel {
     return PERMISSIONS[role.toUpperCase()] || PERMISSIONS.USER;
   }
 
+  static async hashPassword(password) {
+    return await bcrypt.hash(password, AUTH.BCRYPT_ROUNDS);
+  }
+
+  static async verifyPassword(user, password) {
+    if (!user || !user.password || !password) return false;
+    return await bcrypt.compare(password, user.password);
+  }
+
+  static async setPassword(id, password) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { 
+        $set: {
+          password: await this.hashPassword(password),
+          passwordChangedAt: new Date(),
+          failedLoginAttempts: 0,
+          lockUntil: null,
+          updatedAt: new Date()
+        } 
+      }
+    );
+  }
+
+  static async markEmailVerified(id) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { 
+        $set: {
+          emailVerified: true,
+          emailVerifiedAt: new Date(),
+          updatedAt: new Date()
+        } 
+      }
+    );
+  }
+
+  static isLocked(user) {
+    return Boolean(user && user.lockUntil && new Date(user.lockUntil) > new Date());
+  }
+
+  // Count a failed login and lock the account once the limit is reached. The counter is
+  // incremented atomically so parallel attempts cannot all write the same count.
+  static async registerFailedLogin(user) {
+    const { value } = await this.collection().findOneAndUpdate(
+      { _id: user._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+    const attempts = value?.failedLoginAttempts || 0;
+
+    if (attempts < AUTH.MAX_LOGIN_ATTEMPTS) {
+      return { failedLoginAttempts: attempts };
+    }
+
+    const update = { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + AUTH.LOCK_TIME) };
+    await this.collection().updateOne(
+      { _id: user._id, failedLoginAttempts: { $gte: AUTH.MAX_LOGIN_ATTEMPTS } },
+      { $set: update }
+    );
+    return update;
+  }
+
+  static async registerSuccessfulLogin(id) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { 
+        $set: {
+          failedLoginAttempts: 0,
+          lockUntil: null,
+          lastLoginAt: new Date()
+        },
+        $unset: { loginOtp: '' }
+      }
+    );
+  }
+
+  static async setLoginOtp(id, code) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { 
+        $set: {
+          loginOtp: {
+            codeHash: await bcrypt.hash(code, AUTH.BCRYPT_ROUNDS),
+            expiresAt: new Date(Date.now() + AUTH.OTP_EXPIRY),
+            attempts: 0
+          }
+        } 
+      }
+    );
+  }
+
+  // Returns true when the code matches an unexpired OTP; every miss uses up an attempt
+  static async verifyLoginOtp(user, code) {
+    const otp = user && user.loginOtp;
+    if (!otp || !code) return false;
+
+    if (new Date(otp.expiresAt) < new Date() || otp.attempts >= AUTH.OTP_MAX_ATTEMPTS) {
+      await this.collection().updateOne({ _id: user._id }, { $unset: { loginOtp: '' } });
+      return false;
+    }
+
+    // A matching code is used up here, since accounts with 2FA only complete the login later
+    const matches = await bcrypt.compare(String(code), otp.codeHash);
+    await this.collection().updateOne(
+      { _id: user._id },
+      matches ? { $unset: { loginOtp: '' } } : { $inc: { 'loginOtp.attempts': 1 } }
+    );
+
+    return matches;
+  }
+
+  // Store a new TOTP secret that becomes active once the user confirms a code
+  static async setPendingTwoFactorSecret(id, secret) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { 'twoFactor.pendingSecret': totp.encryptSecret(secret) } }
+    );
+  }
+
+  static async enableTwoFactor(user, recoveryCodes) {
+    return await this.collection().updateOne(
+      { _id: user._id },
+      { 
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.recoveryCodes': recoveryCodes.map(totp.hashRecoveryCode),
+          'twoFactor.enabledAt': new Date(),
+          updatedAt: new Date()
+        },
+        $unset: { 'twoFactor.pendingSecret': '' }
+      }
+    );
+  }
+
+  static async disableTwoFactor(id) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { 
+        $set: { updatedAt: new Date() },
+        $unset: { twoFactor: '' }
+      }
+    );
+  }
+
+  static async replaceRecoveryCodes(id, recoveryCodes) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(totp.hashRecoveryCode) } }
+    );
+  }
+
+  // Check a code against the pending (enrollment) secret
+  static verifyPendingTwoFactorCode(user, code) {
+    const pending = user && user.twoFactor && user.twoFactor.pendingSecret;
+    if (!pending) return false;
+    return totp.verifyCode(totp.decryptSecret(pending), code) !== null;
+  }
+
+  // Accept a TOTP code once per time step, or burn a single recovery code
+  static async consumeTwoFactorCode(user, { code, recoveryCode } = {}) {
+    const twoFactor = user && user.twoFactor;
+    if (!twoFactor || !twoFactor.enabled) return false;
+
+    if (recoveryCode) {
+      const result = await this.collection().updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': totp.hashRecoveryCode(recoveryCode) },
+        { $pull: { 'twoFactor.recoveryCodes': totp.hashRecoveryCode(recoveryCode) } }
+      );
+      return result.modifiedCount > 0;
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(twoFactor.secret), code);
+    if (step === null) return false;
+
+    const result = await this.collection().updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $exists: false } },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0;
+  }
+
   static async promoteToSeller(userId) {
     return await this.updateRole(userId, { role: ROLES.SELLER });
   }
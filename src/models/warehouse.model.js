@@ -0,0 +1,57 @@
+const { getCollection } = require('../config/database');
+const { ObjectId } = require('mongodb');
+
+class WarehouseModel {
+  static collection() {
+    return getCollection('warehouses');
+  }
+
+  static async create(warehouseData) {
+    const now = new Date();
+    return await this.collection().insertOne({
+      ...warehouseData,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  // Lowest priority number is allocated from first
+  static async findAll(query = {}) {
+    return await this.collection()
+      .find(query)
+      .sort({ priority: 1, name: 1 })
+      .toArray();
+  }
+
+  static async findById(id) {
+    return await this.collection().findOne({ _id: new ObjectId(id) });
+  }
+
+  static async findByCode(code) {
+    return await this.collection().findOne({ code });
+  }
+
+  static async findDefault() {
+    return await this.collection().findOne({ isDefault: true, isActive: true });
+  }
+
+  static async update(id, updateData) {
+    return await this.collection().updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { ...updateData, updatedAt: new Date() } }
+    );
+  }
+
+  static async clearDefault(exceptId) {
+    return await this.collection().updateMany(
+      { isDefault: true, _id: { $ne: new ObjectId(exceptId) } },
+      { $set: { isDefault: false, updatedAt: new Date() } }
+    );
+  }
+
+  static async deleteById(id) {
+    return await this.collection().deleteOne({ _id: new ObjectId(id) });
+  }
+}
+
+module.exports = WarehouseModel;
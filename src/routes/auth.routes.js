@@ -1,83 +1,58 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const UserModel = require('../models/user.model');
-const { ApiResponse } = require('../utils/apiResponse');
+const AuthController = require('../controllers/auth.controller');
+const { authenticateToken } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimit');
+const {
+  validateLogin,
+  validateEmailRequest,
+  validateOtpLogin,
+  validatePasswordChange,
+  validateRefreshToken,
+  validateTokenBody,
+  validatePasswordReset,
+  validateTwoFactorCode,
+  validateTwoFactorLogin,
+  validateTwoFactorConfirmation,
+  validateObjectId
+} = require('../middleware/validation');
 
 const router = express.Router();
 
-// Generate JWT token endpoint
-router.post('/jwt', async (req, res) => {
-  try {
-    const { email } = req.body;
+// Password login - issues a JWT for valid credentials
+router.post('/jwt', authLimiter, validateLogin, AuthController.login);
 
-    if (!email) {
-      return ApiResponse.error(res, 'Email is required', 400);
-    }
+// One-time email code login
+router.post('/otp/request', authLimiter, validateEmailRequest, AuthController.requestLoginCode);
+router.post('/otp/verify', authLimiter, validateOtpLogin, AuthController.loginWithCode);
 
-    // Find user by email
-    const user = await UserModel.findByEmail(email);
-    if (!user) {
-      return ApiResponse.error(res, 'User not found', 404);
-    }
+// Two-factor authentication
+router.post('/2fa/verify', authLimiter, validateTwoFactorLogin, AuthController.verifyTwoFactorLogin);
+router.post('/2fa/setup', authenticateToken, AuthController.setupTwoFactor);
+router.post('/2fa/enable', authenticateToken, authLimiter, validateTwoFactorCode, AuthController.enableTwoFactor);
+router.post('/2fa/disable', authenticateToken, authLimiter, validateTwoFactorConfirmation, AuthController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticateToken, authLimiter, validateTwoFactorCode, AuthController.regenerateRecoveryCodes);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id.toString(),
-        email: user.email,
-        role: user.role 
-      },
-      process.env.JWT_SECRET || 'your-fallback-secret-key',
-      { expiresIn: '7d' }
-    );
+// Token refresh with rotation
+router.post('/refresh', validateRefreshToken, AuthController.refresh);
 
-    return ApiResponse.success(res, { 
-      token,
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        photoURL: user.photoURL
-      }
-    }, 'Token generated successfully');
-  } catch (error) {
-    console.error('JWT generation error:', error);
-    return ApiResponse.error(res, 'Failed to generate token');
-  }
-});
+// Session management (authenticated)
+router.post('/logout', authenticateToken, AuthController.logout);
+router.get('/sessions', authenticateToken, AuthController.getSessions);
+router.delete('/sessions', authenticateToken, AuthController.revokeOtherSessions);
+router.delete('/sessions/:id', authenticateToken, validateObjectId('id'), AuthController.revokeSession);
 
-// Verify token endpoint
-router.post('/verify', async (req, res) => {
-  try {
-    const { token } = req.body;
+// Email verification
+router.post('/verify-email/request', authenticateToken, authLimiter, AuthController.requestEmailVerification);
+router.post('/verify-email', authLimiter, validateTokenBody, AuthController.verifyEmail);
 
-    if (!token) {
-      return ApiResponse.error(res, 'Token is required', 400);
-    }
+// Forgotten password
+router.post('/password/forgot', authLimiter, validateEmailRequest, AuthController.forgotPassword);
+router.post('/password/reset', authLimiter, validatePasswordReset, AuthController.resetPassword);
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-fallback-secret-key');
-    
-    // Get fresh user data
-    const user = await UserModel.findById(decoded.userId);
-    if (!user) {
-      return ApiResponse.error(res, 'User not found', 404);
-    }
+// Change password (authenticated)
+router.put('/password', authenticateToken, authLimiter, validatePasswordChange, AuthController.changePassword);
 
-    return ApiResponse.success(res, {
-      user: {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        photoURL: user.photoURL,
-        permissions: user.permissions
-      },
-      valid: true
-    }, 'Token is valid');
-  } catch (error) {
-    return ApiResponse.error(res, 'Invalid token', 401);
-  }
-});
+// Verify token endpoint
+router.post('/verify', AuthController.verifyToken);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const BrandController = require('../controllers/brand.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -9,10 +9,10 @@ router.get('/', BrandController.getBrands);
 router.get('/active', BrandController.getActiveBrands);
 router.get('/:id', BrandController.getBrandById);
 
-// Protected routes (Admin only)
-router.post('/', authenticateToken, authorizeRoles('admin'), BrandController.createBrand);
-router.put('/:id', authenticateToken, authorizeRoles('admin'), BrandController.updateBrand);
-router.patch('/:id/toggle-status', authenticateToken, authorizeRoles('admin'), BrandController.toggleBrandStatus);
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), BrandController.deleteBrand);
+// Protected routes (manage_taxonomy)
+router.post('/', authenticateToken, authorizePermission('manage_taxonomy'), BrandController.createBrand);
+router.put('/:id', authenticateToken, authorizePermission('manage_taxonomy'), BrandController.updateBrand);
+router.patch('/:id/toggle-status', authenticateToken, authorizePermission('manage_taxonomy'), BrandController.toggleBrandStatus);
+router.delete('/:id', authenticateToken, authorizePermission('manage_taxonomy'), BrandController.deleteBrand);
 
 module.exports = router;
\ No newline at end of file
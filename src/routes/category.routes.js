@@ -1,7 +1,7 @@
 // src/routes/category.routes.js
 const express = require('express');
 const CategoryController = require('../controllers/category.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -10,18 +10,18 @@ const router = express.Router();
 router.get('/', CategoryController.getCategories);
 router.get('/search', CategoryController.searchCategories);
 
-// Protected routes (Admin only)
+// Protected routes (manage_taxonomy)
 router.post(
   '/', 
   authenticateToken, 
-  authorizeRoles('admin'), 
+  authorizePermission('manage_taxonomy'), 
   CategoryController.createCategory
 );
 
 router.put(
   '/:id',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   CategoryController.updateCategory
 );
@@ -29,7 +29,7 @@ router.put(
 router.delete(
   '/:id', 
   authenticateToken, 
-  authorizeRoles('admin'), 
+  authorizePermission('manage_taxonomy'), 
   validateObjectId('id'),
   CategoryController.deleteCategory
 );
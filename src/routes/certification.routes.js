@@ -1,6 +1,6 @@
 const express = require('express');
 const CertificationController = require('../controllers/certification.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -10,11 +10,11 @@ router.get('/active', CertificationController.getActiveCertifications);
 router.get('/stats', CertificationController.getCertificationStats);
 router.get('/:id', CertificationController.getCertificationById);
 
-// Protected routes (Admin only)
-router.post('/', authenticateToken, authorizeRoles('admin'), CertificationController.createCertification);
-router.put('/:id', authenticateToken, authorizeRoles('admin'), CertificationController.updateCertification);
-router.patch('/:id/toggle-status', authenticateToken, authorizeRoles('admin'), CertificationController.toggleCertificationStatus);
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), CertificationController.deleteCertification);
-router.post('/bulk', authenticateToken, authorizeRoles('admin'), CertificationController.bulkCreateCertifications);
+// Protected routes (manage_taxonomy)
+router.post('/', authenticateToken, authorizePermission('manage_taxonomy'), CertificationController.createCertification);
+router.put('/:id', authenticateToken, authorizePermission('manage_taxonomy'), CertificationController.updateCertification);
+router.patch('/:id/toggle-status', authenticateToken, authorizePermission('manage_taxonomy'), CertificationController.toggleCertificationStatus);
+router.delete('/:id', authenticateToken, authorizePermission('manage_taxonomy'), CertificationController.deleteCertification);
+router.post('/bulk', authenticateToken, authorizePermission('manage_taxonomy'), CertificationController.bulkCreateCertifications);
 
 module.exports = router;
\ No newline at end of file
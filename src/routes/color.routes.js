@@ -1,7 +1,7 @@
 // src/routes/color.routes.js
 const express = require('express');
 const ColorController = require('../controllers/color.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -14,9 +14,9 @@ router.get('/', ColorController.getColors);
 router.get('/stats', ColorController.getColorStats);
 router.get('/:id', validateObjectId('id'), ColorController.getColorById);
 
-// Protected routes (Admin only)
-router.post('/', authenticateToken, authorizeRoles('admin'), ColorController.addColor);
-router.put('/:id', authenticateToken, authorizeRoles('admin'), validateObjectId('id'), ColorController.updateColor);
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), validateObjectId('id'), ColorController.deleteColor);
+// Protected routes (manage_taxonomy)
+router.post('/', authenticateToken, authorizePermission('manage_taxonomy'), ColorController.addColor);
+router.put('/:id', authenticateToken, authorizePermission('manage_taxonomy'), validateObjectId('id'), ColorController.updateColor);
+router.delete('/:id', authenticateToken, authorizePermission('manage_taxonomy'), validateObjectId('id'), ColorController.deleteColor);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const express = require('express');
+const InventoryController = require('../controllers/inventory.controller');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { validateStockMovement, validateStockTransfer, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Stock ledger (manage_products, or manage_own_inventory for the seller's own products)
+router.get('/movements', authorizePermission('manage_products', 'manage_own_inventory'), InventoryController.getMovements);
+router.get('/reservations', authorizePermission('manage_products', 'manage_orders'), InventoryController.getReservations);
+
+// Low-stock alerts
+router.get('/alerts', authorizePermission('manage_products', 'manage_own_inventory'), InventoryController.getStockAlerts);
+router.post('/alerts/scan', authorizePermission('manage_products'), InventoryController.runStockAlerts);
+
+router.get('/products/:id', authorizePermission('manage_products', 'manage_own_inventory'), validateObjectId('id'), InventoryController.getProductStock);
+router.post('/products/:id/movements', authorizePermission('manage_products', 'manage_own_inventory'), validateObjectId('id'), validateStockMovement, InventoryController.recordMovement);
+router.post('/products/:id/transfers', authorizePermission('manage_products', 'manage_own_inventory'), validateObjectId('id'), validateStockTransfer, InventoryController.transferStock);
+router.post('/products/:id/reconcile', authorizePermission('manage_products', 'manage_own_inventory'), validateObjectId('id'), InventoryController.reconcileProduct);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const OrderController = require('../controllers/order.controller');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { validateOrder, validateOrderStatus, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Buyers
+router.post('/', authorizePermission('create_order'), validateOrder, OrderController.createOrder);
+router.get('/my', authorizePermission('read_own_orders'), OrderController.getMyOrders);
+
+// Order administration (manage_orders)
+router.get('/', authorizePermission('manage_orders'), OrderController.getOrders);
+router.get('/stats', authorizePermission('manage_orders'), OrderController.getOrderStats);
+router.patch('/:id/status', authorizePermission('manage_orders'), validateObjectId('id'), validateOrderStatus, OrderController.updateOrderStatus);
+router.delete('/:id', authorizePermission('manage_orders'), validateObjectId('id'), OrderController.deleteOrder);
+
+// Owners or order managers
+router.get('/:id', authorizePermission('read_own_orders', 'manage_orders'), validateObjectId('id'), OrderController.getOrderById);
+router.get('/:id/history', authorizePermission('read_own_orders', 'manage_orders'), validateObjectId('id'), OrderController.getOrderHistory);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const ProductStatusController = require('../controllers/product-status.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -10,7 +10,7 @@ router.get('/new-arrivals', ProductStatusController.getNewArrivals);
 router.get('/trending', ProductStatusController.getTrendingProducts);
 router.get('/status', ProductStatusController.getProductsByStatus);
 
-// Protected routes (Admin only)
-router.patch('/:id/status', authenticateToken, authorizeRoles('admin'), ProductStatusController.updateProductStatus);
+// Protected routes (manage_products)
+router.patch('/:id/status', authenticateToken, authorizePermission('manage_products'), ProductStatusController.updateProductStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,15 @@
 const express = require('express');
 const ProductController = require('../controllers/product.controller');
-const { uploadProduct, handleCloudinaryUpload } = require('../middleware/upload');
-const { validateProduct, validateObjectId } = require('../middleware/validation');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
-const { ROLES } = require('../config/constants');
+const ProductModerationController = require('../controllers/product-moderation.controller');
+const ProductRevisionController = require('../controllers/product-revision.controller');
+const ProductTrashController = require('../controllers/product-trash.controller');
+const ProductScheduleController = require('../controllers/product-schedule.controller');
+const ProductImportController = require('../controllers/product-import.controller');
+const ProductExportController = require('../controllers/product-export.controller');
+const ProductGalleryController = require('../controllers/product-gallery.controller');
+const { uploadProduct, uploadCsv, uploadZip, handleStorageUpload } = require('../middleware/upload');
+const { validateProduct, validateModerationComment, validateProductSchedule, validateGalleryImage, validateGalleryOrder, validateObjectId } = require('../middleware/validation');
+const { authenticateToken, authorizePermission, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -12,34 +18,59 @@ router.get('/', ProductController.getProducts);
 router.get('/search', ProductController.searchProducts);
 router.get('/popular', ProductController.getPopularProducts);
 router.get('/related', ProductController.getRelatedProducts);
+
+// Trashed products (sellers see their own); registered before /:id
+router.get('/trash', authenticateToken, authorizePermission('manage_own_products', 'manage_products'), ProductTrashController.getTrash);
+
+// Upcoming scheduled status changes for all products (manage_products)
+router.get('/schedules/calendar', authenticateToken, authorizePermission('manage_products'), ProductScheduleController.getCalendar);
+
+// CSV import (sellers import into their own catalog); registered before /:id
+router.get('/import/template', authenticateToken, authorizePermission('manage_own_products', 'manage_products'), ProductImportController.getTemplate);
+router.get('/import', authenticateToken, authorizePermission('manage_own_products', 'manage_products'), ProductImportController.getImports);
+router.get('/import/:importId', authenticateToken, authorizePermission('manage_own_products', 'manage_products'), validateObjectId('importId'), ProductImportController.getImport);
+router.post('/import', authenticateToken, authorizePermission('manage_own_products', 'manage_products'), uploadCsv.single('file'), ProductImportController.importProducts);
+router.post('/import/images', authenticateToken, authorizePermission('manage_own_products', 'manage_products'), uploadZip.single('file'), ProductImportController.importImages);
+
+// Catalog export as a download stream (manage_products); registered before /:id
+router.get('/export', authenticateToken, authorizePermission('manage_products'), ProductExportController.exportProducts);
+
+// Moderation queue and decisions (manage_products); registered before /:id
+router.get('/moderation', authenticateToken, authorizePermission('manage_products'), ProductModerationController.getQueue);
+router.post('/moderation/:id/approve', authenticateToken, authorizePermission('manage_products'), validateObjectId('id'), validateModerationComment, ProductModerationController.approve);
+router.post('/moderation/:id/reject', authenticateToken, authorizePermission('manage_products'), validateObjectId('id'), validateModerationComment, ProductModerationController.reject);
+router.post('/moderation/:id/request-changes', authenticateToken, authorizePermission('manage_products'), validateObjectId('id'), validateModerationComment, ProductModerationController.requestChanges);
+
 // In your product routes - make sure this route exists
-router.get('/:id', ProductController.getProductById);
+router.get('/:id', optionalAuth, ProductController.getProductById);
+router.get('/:id/price', validateObjectId('id'), ProductController.getPriceQuote);
 
 
 // Get product form dropdown data
 router.get('/form/data', ProductController.getProductFormData);
 
 // Protected routes - Sellers can manage their own products
-router.get('/seller/my-products', authenticateToken, authorizeRoles(ROLES.SELLER, ROLES.ADMIN, ROLES.MODERATOR), ProductController.getSellerProducts);
+router.get('/seller/my-products', authenticateToken, authorizePermission('manage_own_products', 'manage_products'), ProductController.getSellerProducts);
 
 // Admin routes for all products management
-router.get('/admin/all-products', authenticateToken, authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR), ProductController.getAllProductsAdmin);
+router.get('/admin/all-products', authenticateToken, authorizePermission('manage_products'), ProductController.getAllProductsAdmin);
 
-// Product creation with Cloudinary upload for images and local storage for PDFs
+// Product creation; images and the PDF go to the configured storage driver
 router.post(
   '/',
   authenticateToken,
-  authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR, ROLES.SELLER),
+  authorizePermission('manage_own_products', 'manage_products'),
   uploadProduct.fields([
     { name: 'mainImage', maxCount: 1 },
     { name: 'galleryImages', maxCount: 10 },
     { name: 'sizeChartImage', maxCount: 1 },
     { name: 'mainPdf', maxCount: 1 }
   ]),
-  handleCloudinaryUpload([
-    { fieldName: 'mainImage', resourceType: 'image', isMultiple: false },
-    { fieldName: 'galleryImages', resourceType: 'image', isMultiple: true },
-    { fieldName: 'sizeChartImage', resourceType: 'image', isMultiple: false }
+  handleStorageUpload([
+    { fieldName: 'mainImage', folder: 'products' },
+    { fieldName: 'galleryImages', folder: 'products', isMultiple: true },
+    { fieldName: 'sizeChartImage', folder: 'size_charts' },
+    { fieldName: 'mainPdf', folder: 'pdfs' }
   ]),
   ProductController.createProduct
 );
@@ -48,7 +79,7 @@ router.post(
 router.put(
   '/:id',
   authenticateToken,
-  authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR, ROLES.SELLER),
+  authorizePermission('manage_own_products', 'manage_products'),
   validateObjectId('id'),
   uploadProduct.fields([
     { name: 'mainImage', maxCount: 1 },
@@ -56,28 +87,135 @@ router.put(
     { name: 'sizeChartImage', maxCount: 1 },
     { name: 'mainPdf', maxCount: 1 }
   ]),
-  handleCloudinaryUpload([
-    { fieldName: 'mainImage', resourceType: 'image', isMultiple: false },
-    { fieldName: 'galleryImages', resourceType: 'image', isMultiple: true },
-    { fieldName: 'sizeChartImage', resourceType: 'image', isMultiple: false }
+  handleStorageUpload([
+    { fieldName: 'mainImage', folder: 'products' },
+    { fieldName: 'galleryImages', folder: 'products', isMultiple: true },
+    { fieldName: 'sizeChartImage', folder: 'size_charts' },
+    { fieldName: 'mainPdf', folder: 'pdfs' }
   ]),
   ProductController.updateProduct
 );
 
+// Seller submits a draft or revised product for moderation
+router.post(
+  '/:id/submit',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  validateModerationComment,
+  ProductModerationController.submit
+);
+
+// Revision history and rollback
+router.get(
+  '/:id/revisions',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  ProductRevisionController.getRevisions
+);
+router.post(
+  '/:id/revisions/:rev/restore',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  ProductRevisionController.restoreRevision
+);
+
+// Gallery images, addressed by publicId (or url for images stored without one)
+router.post(
+  '/:id/gallery',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  uploadProduct.fields([
+    { name: 'galleryImages', maxCount: 10 }
+  ]),
+  handleStorageUpload([
+    { fieldName: 'galleryImages', folder: 'products', isMultiple: true }
+  ]),
+  ProductGalleryController.addImages
+);
+router.put(
+  '/:id/gallery/order',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  validateGalleryOrder,
+  ProductGalleryController.reorderImages
+);
+router.post(
+  '/:id/gallery/promote',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  validateGalleryImage,
+  ProductGalleryController.promoteImage
+);
+router.patch(
+  '/:id/gallery',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  validateGalleryImage,
+  ProductGalleryController.updateImage
+);
+router.delete(
+  '/:id/gallery',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  ProductGalleryController.removeImage
+);
+
+// Scheduled status changes
+router.post(
+  '/:id/schedules',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  validateProductSchedule,
+  ProductScheduleController.scheduleChange
+);
+router.get(
+  '/:id/schedules',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  ProductScheduleController.getProductSchedules
+);
+router.delete(
+  '/:id/schedules/:scheduleId',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  validateObjectId('scheduleId'),
+  ProductScheduleController.cancelSchedule
+);
+
 // Quick update product status
 router.patch(
   '/:id/status',
   authenticateToken,
-  authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR, ROLES.SELLER),
+  authorizePermission('manage_own_products', 'manage_products'),
   validateObjectId('id'),
   ProductController.quickUpdateStatus
 );
 
-// Product deletion
+// Restore a product from the trash
+router.post(
+  '/:id/restore',
+  authenticateToken,
+  authorizePermission('manage_own_products', 'manage_products'),
+  validateObjectId('id'),
+  ProductTrashController.restoreProduct
+);
+
+// Product deletion (moves it to the trash)
 router.delete(
   '/:id',
   authenticateToken,
-  authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR, ROLES.SELLER),
+  authorizePermission('manage_own_products', 'manage_products'),
   validateObjectId('id'),
   ProductController.deleteProduct
 );
@@ -86,7 +224,7 @@ router.delete(
 router.patch(
   '/bulk/update',
   authenticateToken,
-  authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR),
+  authorizePermission('manage_products'),
   ProductController.bulkUpdateProducts
 );
 
@@ -94,7 +232,7 @@ router.patch(
 router.patch(
   '/:productId/ai-scores',
   authenticateToken,
-  authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR),
+  authorizePermission('manage_products'),
   ProductController.updateAiScores
 );
 
@@ -1,7 +1,7 @@
 // src/routes/productFit.routes.js
 const express = require('express');
 const ProductFitController = require('../controllers/productFit.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -12,18 +12,18 @@ router.get('/search', ProductFitController.searchProductFits);
 router.get('/active', ProductFitController.getActiveProductFits);
 router.get('/:id', validateObjectId('id'), ProductFitController.getProductFitById);
 
-// Protected routes (Admin only)
+// Protected routes (manage_taxonomy)
 router.post(
   '/',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   ProductFitController.createProductFit
 );
 
 router.put(
   '/:id',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   ProductFitController.updateProductFit
 );
@@ -31,7 +31,7 @@ router.put(
 router.patch(
   '/:id/toggle-status',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   ProductFitController.toggleProductFitStatus
 );
@@ -39,7 +39,7 @@ router.patch(
 router.delete(
   '/:id',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   ProductFitController.deleteProductFit
 );
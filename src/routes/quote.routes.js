@@ -0,0 +1,24 @@
+const express = require('express');
+const QuoteController = require('../controllers/quote.controller');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { validateQuoteRequest, validateQuoteResponse, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Buyers
+router.post('/', authorizePermission('create_order'), validateQuoteRequest, QuoteController.requestQuote);
+router.get('/my', authorizePermission('read_own_orders'), QuoteController.getMyQuotes);
+router.post('/:id/accept', authorizePermission('create_order'), validateObjectId('id'), QuoteController.acceptQuote);
+router.post('/:id/reject', authorizePermission('create_order'), validateObjectId('id'), QuoteController.rejectQuote);
+
+// Staff (manage_orders)
+router.get('/', authorizePermission('manage_orders'), QuoteController.getQuotes);
+router.post('/:id/respond', authorizePermission('manage_orders'), validateObjectId('id'), validateQuoteResponse, QuoteController.respondToQuote);
+
+// Buyer or staff
+router.get('/:id', authorizePermission('read_own_orders', 'manage_orders'), validateObjectId('id'), QuoteController.getQuoteById);
+router.post('/:id/cancel', authorizePermission('create_order', 'manage_orders'), validateObjectId('id'), QuoteController.cancelQuote);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const RoleController = require('../controllers/role.controller');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { validateRole, validateRoleUpdate, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All role management requires the manage_roles permission
+router.use(authenticateToken, authorizePermission('manage_roles'));
+
+router.get('/', RoleController.getRoles);
+router.get('/permissions', RoleController.getPermissions);
+router.get('/:id', validateObjectId('id'), RoleController.getRoleById);
+router.post('/', validateRole, RoleController.createRole);
+router.put('/:id', validateObjectId('id'), validateRoleUpdate, RoleController.updateRole);
+router.delete('/:id', validateObjectId('id'), RoleController.deleteRole);
+
+module.exports = router;
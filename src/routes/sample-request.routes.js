@@ -0,0 +1,22 @@
+const express = require('express');
+const SampleRequestController = require('../controllers/sample-request.controller');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { validateSampleRequest, validateSampleStatus, validateSampleLink, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Buyers
+router.post('/', authorizePermission('create_order'), validateSampleRequest, SampleRequestController.requestSample);
+router.get('/my', authorizePermission('read_own_orders'), SampleRequestController.getMySamples);
+
+// Merchandisers (manage_orders)
+router.get('/', authorizePermission('manage_orders'), SampleRequestController.getSamples);
+
+// Buyer or merchandiser; the service decides which statuses each side may set
+router.get('/:id', authorizePermission('read_own_orders', 'manage_orders'), validateObjectId('id'), SampleRequestController.getSampleById);
+router.patch('/:id/status', authorizePermission('create_order', 'manage_orders'), validateObjectId('id'), validateSampleStatus, SampleRequestController.updateSampleStatus);
+router.patch('/:id/order', authorizePermission('create_order', 'manage_orders'), validateObjectId('id'), validateSampleLink, SampleRequestController.linkOrder);
+
+module.exports = router;
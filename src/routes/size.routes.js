@@ -1,6 +1,6 @@
 const express = require('express');
 const SizeController = require('../controllers/size.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -9,10 +9,10 @@ router.get('/', SizeController.getSizes);
 router.get('/active', SizeController.getActiveSizes);
 router.get('/:id', SizeController.getSizeById);
 
-// Protected routes (Admin only)
-router.post('/', authenticateToken, authorizeRoles('admin'), SizeController.createSize);
-router.put('/:id', authenticateToken, authorizeRoles('admin'), SizeController.updateSize);
-router.patch('/:id/toggle-status', authenticateToken, authorizeRoles('admin'), SizeController.toggleSizeStatus);
-router.delete('/:id', authenticateToken, authorizeRoles('admin'), SizeController.deleteSize);
+// Protected routes (manage_taxonomy)
+router.post('/', authenticateToken, authorizePermission('manage_taxonomy'), SizeController.createSize);
+router.put('/:id', authenticateToken, authorizePermission('manage_taxonomy'), SizeController.updateSize);
+router.patch('/:id/toggle-status', authenticateToken, authorizePermission('manage_taxonomy'), SizeController.toggleSizeStatus);
+router.delete('/:id', authenticateToken, authorizePermission('manage_taxonomy'), SizeController.deleteSize);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 // src/routes/subCategory.routes.js
 const express = require('express');
 const SubCategoryController = require('../controllers/subCategory.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -12,18 +12,18 @@ router.get('/search', SubCategoryController.searchSubCategories);
 router.get('/category/:categoryId', SubCategoryController.getSubCategoriesByCategory);
 router.get('/:id', validateObjectId('id'), SubCategoryController.getSubCategoryById);
 
-// Protected routes (Admin only)
+// Protected routes (manage_taxonomy)
 router.post(
   '/',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   SubCategoryController.createSubCategory
 );
 
 router.put(
   '/:id',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   SubCategoryController.updateSubCategory
 );
@@ -31,7 +31,7 @@ router.put(
 router.delete(
   '/:id',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   SubCategoryController.deleteSubCategory
 );
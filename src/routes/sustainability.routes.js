@@ -1,7 +1,7 @@
 // src/routes/sustainability.routes.js
 const express = require('express');
 const SustainabilityController = require('../controllers/sustainability.controller');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
 const { validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
@@ -12,18 +12,18 @@ router.get('/search', SustainabilityController.searchSustainability);
 router.get('/stats', SustainabilityController.getSustainabilityStats);
 router.get('/:id', validateObjectId('id'), SustainabilityController.getSustainabilityById);
 
-// Protected routes (Admin only)
+// Protected routes (manage_taxonomy)
 router.post(
   '/',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   SustainabilityController.createSustainability
 );
 
 router.put(
   '/:id',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   SustainabilityController.updateSustainability
 );
@@ -31,7 +31,7 @@ router.put(
 router.patch(
   '/:id/toggle-status',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   SustainabilityController.toggleSustainabilityStatus
 );
@@ -39,7 +39,7 @@ router.patch(
 router.delete(
   '/:id',
   authenticateToken,
-  authorizeRoles('admin'),
+  authorizePermission('manage_taxonomy'),
   validateObjectId('id'),
   SustainabilityController.deleteSustainability
 );
@@ -1,9 +1,8 @@
 const express = require('express');
 const UserController = require('../controllers/user.controller');
-const { authenticateToken, authorizeRoles, authorizePermission } = require('../middleware/auth');
+const { authenticateToken, authorizePermission, requireStepUp } = require('../middleware/auth');
 const { validateUser, validateObjectId } = require('../middleware/validation');
 const { generalLimiter } = require('../middleware/rateLimit');
-const { ROLES } = require('../config/constants');
 
 const router = express.Router();
 
@@ -15,17 +14,18 @@ router.get('/email/:email', generalLimiter, UserController.getUserByEmail);
 router.get('/profile', authenticateToken, UserController.getCurrentUser);
 router.put('/profile', authenticateToken, UserController.updateProfile);
 
-// Moderator & Admin routes
-router.get('/', authenticateToken, authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR), UserController.getUsers);
-router.get('/stats', authenticateToken, authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR), UserController.getUserStats);
-router.get('/role/:role', authenticateToken, authorizeRoles(ROLES.ADMIN, ROLES.MODERATOR), UserController.getUsersByRole);
+// User administration (manage_users)
+router.get('/', authenticateToken, authorizePermission('manage_users'), UserController.getUsers);
+router.get('/stats', authenticateToken, authorizePermission('manage_users'), UserController.getUserStats);
+router.get('/audit-log', authenticateToken, authorizePermission('manage_roles'), UserController.getAuditLog);
+router.get('/role/:role', authenticateToken, authorizePermission('manage_users'), UserController.getUsersByRole);
 
-// Admin only routes
-router.patch('/:id/role', authenticateToken, authorizeRoles(ROLES.ADMIN), validateObjectId('id'), UserController.updateUserRole);
-router.patch('/:id/permissions', authenticateToken, authorizeRoles(ROLES.ADMIN), validateObjectId('id'), UserController.updateUserPermissions);
-router.patch('/:id/promote/seller', authenticateToken, authorizeRoles(ROLES.ADMIN), validateObjectId('id'), UserController.promoteToSeller);
-router.patch('/:id/promote/moderator', authenticateToken, authorizeRoles(ROLES.ADMIN), validateObjectId('id'), UserController.promoteToModerator);
-router.patch('/:id/demote/user', authenticateToken, authorizeRoles(ROLES.ADMIN), validateObjectId('id'), UserController.demoteToUser);
-router.delete('/:id', authenticateToken, authorizeRoles(ROLES.ADMIN), validateObjectId('id'), UserController.deleteUser);
+// Role and permission changes (manage_roles) and deletion (delete_users); sensitive ones need step-up 2FA
+router.patch('/:id/role', authenticateToken, authorizePermission('manage_roles'), requireStepUp, validateObjectId('id'), UserController.updateUserRole);
+router.patch('/:id/permissions', authenticateToken, authorizePermission('manage_roles'), requireStepUp, validateObjectId('id'), UserController.updateUserPermissions);
+router.patch('/:id/promote/seller', authenticateToken, authorizePermission('manage_roles'), validateObjectId('id'), UserController.promoteToSeller);
+router.patch('/:id/promote/moderator', authenticateToken, authorizePermission('manage_roles'), requireStepUp, validateObjectId('id'), UserController.promoteToModerator);
+router.patch('/:id/demote/user', authenticateToken, authorizePermission('manage_roles'), validateObjectId('id'), UserController.demoteToUser);
+router.delete('/:id', authenticateToken, authorizePermission('delete_users'), requireStepUp, validateObjectId('id'), UserController.deleteUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const WarehouseController = require('../controllers/warehouse.controller');
+const { authenticateToken, authorizePermission } = require('../middleware/auth');
+const { validateWarehouse, validateObjectId } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Read access for everyone who records stock
+router.get('/', authorizePermission('manage_products', 'manage_own_inventory', 'manage_orders'), WarehouseController.getWarehouses);
+router.get('/:id', authorizePermission('manage_products', 'manage_own_inventory', 'manage_orders'), validateObjectId('id'), WarehouseController.getWarehouseById);
+
+// Locations are managed with manage_products
+router.post('/', authorizePermission('manage_products'), validateWarehouse, WarehouseController.createWarehouse);
+router.put('/:id', authorizePermission('manage_products'), validateObjectId('id'), validateWarehouse, WarehouseController.updateWarehouse);
+router.delete('/:id', authorizePermission('manage_products'), validateObjectId('id'), WarehouseController.deleteWarehouse);
+
+module.exports = router;
@@ -0,0 +1,825 @@
+const ProductModel = require('../models/product.model');
+const StockMovementModel = require('../models/stock-movement.model');
+const StockReservationModel = require('../models/stock-reservation.model');
+const StockLevelModel = require('../models/stock-level.model');
+const WarehouseService = require('./warehouse.service');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { ORDER_STATUS, STOCK_MOVEMENT_TYPES, RESERVATION_STATUS, INVENTORY } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+// The ledger (stock-movements) is the source of truth. The product keeps cached counters
+// that are only ever changed with $inc alongside a ledger entry:
+//   product:  quantity (on hand), reservedQuantity, availableQuantity
+//   variant:  stock (on hand), reserved, available
+//   location: stock-levels per product/SKU/warehouse with onHand, allocated, available
+// Orders reserve against the product totals; confirming an order allocates each
+// reservation to warehouses, and shipping takes the stock out of those warehouses.
+
+const inventoryError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const COUNTER_FIELDS = ['quantity', 'reservedQuantity', 'availableQuantity', 'variants'];
+
+class InventoryService {
+  static getCounterFields() {
+    return COUNTER_FIELDS;
+  }
+
+  // Made-to-order products can opt out of stock tracking
+  static isTracked(product) {
+    return product.trackInventory !== false;
+  }
+
+  static buildIncrement(sku, onHandDelta, reservedDelta) {
+    const availableDelta = onHandDelta - reservedDelta;
+    const deltas = [
+      ['quantity', 'variants.$.stock', onHandDelta],
+      ['reservedQuantity', 'variants.$.reserved', reservedDelta],
+      ['availableQuantity', 'variants.$.available', availableDelta]
+    ];
+
+    return deltas.reduce((inc, [productField, variantField, delta]) => {
+      if (delta) {
+        inc[productField] = delta;
+        if (sku) inc[variantField] = delta;
+      }
+      return inc;
+    }, {});
+  }
+
+  // Products created before the ledger existed get their counters and an opening balance once
+  static async ensureInitialized(product, actor = null) {
+    if (product.availableQuantity !== undefined) return;
+
+    const variants = (product.variants || []).map(variant => ({
+      ...variant,
+      stock: variant.stock || 0,
+      reserved: 0,
+      available: variant.stock || 0
+    }));
+
+    const result = await ProductModel.collection().updateOne(
+      { _id: product._id, availableQuantity: { $exists: false } },
+      {
+        $set: {
+          quantity: product.quantity || 0,
+          reservedQuantity: 0,
+          availableQuantity: product.quantity || 0,
+          variants
+        }
+      }
+    );
+
+    Object.assign(product, {
+      quantity: product.quantity || 0,
+      reservedQuantity: 0,
+      availableQuantity: product.quantity || 0,
+      variants
+    });
+
+    // Another request initialized it first, or the ledger already has history
+    if (result.modifiedCount === 0) return;
+    if (await StockMovementModel.countForProduct(product._id.toString()) > 0) return;
+
+    const variantStock = variants.reduce((total, variant) => total + variant.stock, 0);
+    const openingLines = variants
+      .filter(variant => variant.stock > 0)
+      .map(variant => ({ sku: variant.sku, quantity: variant.stock }));
+    if (product.quantity > variantStock) {
+      openingLines.push({ sku: null, quantity: product.quantity - variantStock });
+    }
+
+    const warehouse = await WarehouseService.getDefaultWarehouse();
+    for (const line of openingLines) {
+      await InventoryService.recordMovement(product, {
+        sku: line.sku,
+        type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+        onHandDelta: line.quantity,
+        warehouseId: warehouse._id.toString(),
+        reason: 'opening_balance',
+        actor
+      });
+    }
+  }
+
+  // Stock held before warehouses existed is placed in the default warehouse once
+  static async ensureLocations(product) {
+    const productId = product._id.toString();
+    if (await StockLevelModel.countForProduct(productId) > 0) return;
+
+    const warehouse = await WarehouseService.getDefaultWarehouse();
+    const warehouseId = warehouse._id.toString();
+    const variants = product.variants || [];
+    const variantStock = variants.reduce((total, variant) => total + (variant.stock || 0), 0);
+
+    for (const variant of variants) {
+      await StockLevelModel.seed(productId, variant.sku, warehouseId, variant.stock || 0);
+    }
+    if (variants.length === 0 || (product.quantity || 0) > variantStock) {
+      await StockLevelModel.seed(productId, null, warehouseId, (product.quantity || 0) - variantStock);
+    }
+  }
+
+  static async recordMovement(product, {
+    sku = null, type, onHandDelta = 0, reservedDelta = 0, warehouseId = null, reason,
+    actor = null, orderId = null, reservationId = null, transferId = null, note = ''
+  }) {
+    return await StockMovementModel.create({
+      productId: product._id.toString(),
+      productCode: product.productCode,
+      sku,
+      type,
+      quantity: Math.abs(onHandDelta || reservedDelta),
+      onHandDelta,
+      reservedDelta,
+      warehouseId,
+      reason,
+      orderId,
+      reservationId,
+      transferId,
+      note: note || '',
+      actorId: actor ? actor._id.toString() : null,
+      actorRole: actor ? actor.role : null
+    });
+  }
+
+  // Updates the cached counters and appends the movement. Anything that lowers available
+  // stock only applies while enough is available, so concurrent orders cannot oversell.
+  // On-hand changes also move the warehouse level; allocatedDelta only touches the warehouse.
+  static async applyMovement(product, movement) {
+    const { sku = null, type, onHandDelta = 0, reservedDelta = 0, warehouseId = null, allocatedDelta = 0 } = movement;
+
+    await InventoryService.ensureInitialized(product, movement.actor);
+
+    if (sku && !(product.variants || []).some(variant => variant.sku === sku)) {
+      throw inventoryError(`Unknown SKU ${sku} for ${product.productCode}`);
+    }
+
+    const productId = product._id.toString();
+    const touchesLocation = warehouseId && (onHandDelta || allocatedDelta);
+    if (touchesLocation) {
+      await InventoryService.ensureLocations(product);
+      const levelResult = await StockLevelModel.increment(productId, sku, warehouseId, { onHandDelta, allocatedDelta });
+      if (levelResult.matchedCount === 0 && !levelResult.upsertedCount) {
+        throw inventoryError(`Not enough available stock for ${sku || product.productCode} in this warehouse`, 409);
+      }
+    }
+
+    // A transfer only moves stock between warehouses; product totals stay the same
+    if (type === STOCK_MOVEMENT_TYPES.TRANSFER) {
+      await InventoryService.recordMovement(product, movement);
+      return;
+    }
+
+    const availableDelta = onHandDelta - reservedDelta;
+    const filter = { _id: product._id };
+    if (sku) {
+      filter.variants = {
+        $elemMatch: availableDelta < 0 ? { sku, available: { $gte: -availableDelta } } : { sku }
+      };
+    } else if (availableDelta < 0) {
+      filter.availableQuantity = { $gte: -availableDelta };
+    }
+
+    const result = await ProductModel.collection().updateOne(filter, {
+      $inc: InventoryService.buildIncrement(sku, onHandDelta, reservedDelta),
+      $set: { updatedAt: new Date() }
+    });
+
+    if (result.matchedCount === 0) {
+      if (touchesLocation) {
+        await StockLevelModel.increment(productId, sku, warehouseId, {
+          onHandDelta: -onHandDelta,
+          allocatedDelta: -allocatedDelta
+        });
+      }
+      throw inventoryError(`Not enough available stock for ${sku || product.productCode}`, 409);
+    }
+
+    await InventoryService.recordMovement(product, movement);
+  }
+
+  static async getProduct(productId) {
+    const product = await ProductModel.collection().findOne({ _id: new ObjectId(productId) });
+    if (!product) {
+      throw inventoryError('Product not found', 404);
+    }
+    return product;
+  }
+
+  // manage_products covers every product, manage_own_inventory only the user's own
+  static async getManagedProduct(productId, user) {
+    const product = await InventoryService.getProduct(productId);
+    if (!Helpers.canManageInventory(user, product)) {
+      throw inventoryError('Access denied', 403);
+    }
+    return product;
+  }
+
+  // The requested warehouse, or the default one
+  static async resolveWarehouse(warehouseId) {
+    if (!warehouseId) return await WarehouseService.getDefaultWarehouse();
+
+    const warehouse = await WarehouseService.getWarehouseById(warehouseId);
+    if (!warehouse.isActive) {
+      throw inventoryError(`Warehouse ${warehouse.code} is not active`, 409);
+    }
+    return warehouse;
+  }
+
+  // Manual receipt or adjustment at one warehouse (quantity is signed for adjustments)
+  static async recordStockChange(productId, { type, sku = null, quantity, reason, note, warehouseId }, actor) {
+    const product = await InventoryService.getProduct(productId);
+    const warehouse = await InventoryService.resolveWarehouse(warehouseId);
+    const delta = parseInt(quantity);
+
+    if (type === STOCK_MOVEMENT_TYPES.RECEIPT && delta < 1) {
+      throw inventoryError('Receipts must add stock');
+    }
+
+    await InventoryService.applyMovement(product, {
+      sku: sku || null,
+      type,
+      onHandDelta: delta,
+      warehouseId: warehouse._id.toString(),
+      reason,
+      note,
+      actor
+    });
+
+    return await InventoryService.getStockReport(productId);
+  }
+
+  // Moves on-hand stock between warehouses as a pair of transfer movements
+  static async transferStock(productId, { sku = null, fromWarehouseId, toWarehouseId, quantity, note }, actor) {
+    if (fromWarehouseId === toWarehouseId) {
+      throw inventoryError('Source and destination warehouses must differ');
+    }
+
+    const product = await InventoryService.getProduct(productId);
+    const [from, to] = await Promise.all([
+      InventoryService.resolveWarehouse(fromWarehouseId),
+      InventoryService.resolveWarehouse(toWarehouseId)
+    ]);
+    const amount = parseInt(quantity);
+    const transferId = new ObjectId().toString();
+    const movement = {
+      sku: sku || null,
+      type: STOCK_MOVEMENT_TYPES.TRANSFER,
+      reason: 'warehouse_transfer',
+      note,
+      actor,
+      transferId
+    };
+
+    await InventoryService.applyMovement(product, {
+      ...movement,
+      onHandDelta: -amount,
+      warehouseId: from._id.toString(),
+      note: note || `To ${to.code}`
+    });
+    await InventoryService.applyMovement(product, {
+      ...movement,
+      onHandDelta: amount,
+      warehouseId: to._id.toString(),
+      note: note || `From ${from.code}`
+    });
+
+    return {
+      transferId,
+      productId,
+      sku: sku || null,
+      quantity: amount,
+      from: { warehouseId: from._id, code: from.code },
+      to: { warehouseId: to._id, code: to.code }
+    };
+  }
+
+  // Hold stock for every tracked line of a new order. Lines are reserved one by one with a
+  // conditional $inc; if any line is short, the holds already placed are released again.
+  static async reserveOrder({ orderId, orderNumber, items }, { actor = null } = {}) {
+    const lines = new Map();
+    items.forEach(item => {
+      const key = `${item.productId}|${item.sku || ''}`;
+      const line = lines.get(key) || { productId: item.productId, sku: item.sku || null, quantity: 0 };
+      line.quantity += parseInt(item.quantity);
+      lines.set(key, line);
+    });
+
+    const productIds = [...new Set([...lines.values()].map(line => line.productId))];
+    const products = await ProductModel.collection()
+      .find({ _id: { $in: productIds.map(id => new ObjectId(id)) } })
+      .toArray();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const trackedLines = [...lines.values()].filter(line => {
+      const product = productMap.get(line.productId);
+      return product && InventoryService.isTracked(product);
+    });
+
+    trackedLines.forEach(line => {
+      const product = productMap.get(line.productId);
+      if (product.variants?.length && !line.sku) {
+        throw inventoryError(`${product.productCode}: choose a color and size to order this product`);
+      }
+    });
+
+    const expiresAt = new Date(Date.now() + INVENTORY.RESERVATION_TTL_MINUTES * 60 * 1000);
+    const reservations = [];
+
+    for (const line of trackedLines) {
+      const product = productMap.get(line.productId);
+      const reservationData = {
+        orderId,
+        orderNumber,
+        productId: line.productId,
+        productCode: product.productCode,
+        sku: line.sku,
+        quantity: line.quantity,
+        expiresAt
+      };
+      const result = await StockReservationModel.create(reservationData);
+
+      try {
+        await InventoryService.applyMovement(product, {
+          sku: line.sku,
+          type: STOCK_MOVEMENT_TYPES.RESERVATION,
+          reservedDelta: line.quantity,
+          reason: 'order_placed',
+          actor,
+          orderId,
+          reservationId: result.insertedId.toString()
+        });
+      } catch (error) {
+        // Nothing was held for this line, so it is closed without a release movement
+        await StockReservationModel.transitionStatus(result.insertedId, [RESERVATION_STATUS.ACTIVE], RESERVATION_STATUS.RELEASED, {
+          releasedReason: 'insufficient_stock'
+        });
+        await InventoryService.releaseOrder(orderId, { reason: 'order_failed', actor });
+        throw error;
+      }
+
+      reservations.push({ _id: result.insertedId, ...reservationData, status: RESERVATION_STATUS.ACTIVE });
+    }
+
+    return reservations;
+  }
+
+  static async releaseReservation(reservation, { reason, actor = null, note = '' }) {
+    const result = await StockReservationModel.transitionStatus(
+      reservation._id,
+      [RESERVATION_STATUS.ACTIVE, RESERVATION_STATUS.CONFIRMED],
+      RESERVATION_STATUS.RELEASED,
+      { releasedReason: reason, releasedAt: new Date() }
+    );
+    // Already released or shipped by another request
+    if (result.matchedCount === 0) return false;
+
+    await InventoryService.deallocateReservation(reservation);
+
+    const product = await ProductModel.collection().findOne({ _id: new ObjectId(reservation.productId) });
+    if (!product) return true;
+
+    await InventoryService.applyMovement(product, {
+      sku: reservation.sku,
+      type: STOCK_MOVEMENT_TYPES.RELEASE,
+      reservedDelta: -reservation.quantity,
+      reason,
+      note,
+      actor,
+      orderId: reservation.orderId,
+      reservationId: reservation._id.toString()
+    });
+    return true;
+  }
+
+  static async releaseOrder(orderId, { reason, actor = null, note = '' }) {
+    const reservations = await StockReservationModel.findByOrder(orderId, [
+      RESERVATION_STATUS.ACTIVE,
+      RESERVATION_STATUS.CONFIRMED
+    ]);
+    for (const reservation of reservations) {
+      await InventoryService.releaseReservation(reservation, { reason, actor, note });
+    }
+  }
+
+  // Allocation rule: the highest-priority warehouse that can ship the whole line on its own,
+  // otherwise the line is split across warehouses in priority order. null when stock is short.
+  static planAllocation(candidates, quantity) {
+    const whole = candidates.find(candidate => candidate.available >= quantity);
+    if (whole) return [{ warehouse: whole.warehouse, quantity }];
+
+    const total = candidates.reduce((sum, candidate) => sum + candidate.available, 0);
+    if (total < quantity) return null;
+
+    let remaining = quantity;
+    return candidates.reduce((pieces, candidate) => {
+      if (remaining === 0) return pieces;
+      const take = Math.min(candidate.available, remaining);
+      remaining -= take;
+      return [...pieces, { warehouse: candidate.warehouse, quantity: take }];
+    }, []);
+  }
+
+  static async allocateReservation(reservation) {
+    const product = await InventoryService.getProduct(reservation.productId);
+    await InventoryService.ensureInitialized(product);
+    await InventoryService.ensureLocations(product);
+
+    const [warehouses, levels] = await Promise.all([
+      WarehouseService.getAllocatableWarehouses(),
+      StockLevelModel.findForSku(reservation.productId, reservation.sku)
+    ]);
+    const levelByWarehouse = new Map(levels.map(level => [level.warehouseId, level]));
+    const candidates = warehouses
+      .map(warehouse => ({ warehouse, available: levelByWarehouse.get(warehouse._id.toString())?.available || 0 }))
+      .filter(candidate => candidate.available > 0);
+
+    const plan = InventoryService.planAllocation(candidates, reservation.quantity);
+    if (!plan) {
+      const available = candidates.reduce((sum, candidate) => sum + candidate.available, 0);
+      throw inventoryError(
+        `Not enough stock to allocate ${reservation.sku || reservation.productCode}: ` +
+        `${reservation.quantity} needed, ${available} available across warehouses`,
+        409
+      );
+    }
+
+    const allocations = [];
+    try {
+      for (const piece of plan) {
+        const warehouseId = piece.warehouse._id.toString();
+        const result = await StockLevelModel.increment(reservation.productId, reservation.sku, warehouseId, {
+          allocatedDelta: piece.quantity
+        });
+        if (result.matchedCount === 0) {
+          throw inventoryError(`Stock at ${piece.warehouse.code} changed while allocating, please retry`, 409);
+        }
+        allocations.push({ warehouseId, warehouseCode: piece.warehouse.code, quantity: piece.quantity });
+      }
+    } catch (error) {
+      await InventoryService.deallocateReservation({ ...reservation, allocations });
+      throw error;
+    }
+
+    await StockReservationModel.setAllocations(reservation._id, allocations);
+    return allocations;
+  }
+
+  static async deallocateReservation(reservation) {
+    if (!reservation.allocations?.length) return;
+
+    for (const allocation of reservation.allocations) {
+      await StockLevelModel.increment(reservation.productId, reservation.sku, allocation.warehouseId, {
+        allocatedDelta: -allocation.quantity
+      });
+    }
+    await StockReservationModel.setAllocations(reservation._id, []);
+  }
+
+  // Confirming an order allocates its holds to warehouses. Returns the reservations this
+  // call confirmed so the caller can roll them back if the order itself does not move.
+  static async allocateOrder(orderId) {
+    const reservations = await StockReservationModel.findByOrder(orderId, [RESERVATION_STATUS.ACTIVE]);
+    const confirmed = [];
+
+    try {
+      for (const reservation of reservations) {
+        const result = await StockReservationModel.transitionStatus(
+          reservation._id,
+          [RESERVATION_STATUS.ACTIVE],
+          RESERVATION_STATUS.CONFIRMED,
+          { confirmedAt: new Date() }
+        );
+        if (result.matchedCount === 0) {
+          throw inventoryError(`Stock reservation for ${reservation.sku || reservation.productCode} is no longer active`, 409);
+        }
+        confirmed.push(reservation);
+        reservation.allocations = await InventoryService.allocateReservation(reservation);
+      }
+    } catch (error) {
+      await InventoryService.rollbackAllocation(confirmed);
+      throw error;
+    }
+
+    return confirmed;
+  }
+
+  static async rollbackAllocation(reservations) {
+    for (const reservation of reservations) {
+      await InventoryService.deallocateReservation(reservation);
+      await StockReservationModel.transitionStatus(reservation._id, [RESERVATION_STATUS.CONFIRMED], RESERVATION_STATUS.ACTIVE, {
+        confirmedAt: null
+      });
+    }
+  }
+
+  // Shipping consumes the held stock from the allocated warehouses: on hand and reserved both go down
+  static async shipOrder(orderId, { actor = null } = {}) {
+    const reservations = await StockReservationModel.findByOrder(orderId, [
+      RESERVATION_STATUS.ACTIVE,
+      RESERVATION_STATUS.CONFIRMED
+    ]);
+
+    for (const reservation of reservations) {
+      // Holds confirmed before warehouses existed are allocated now
+      if (!reservation.allocations?.length) {
+        reservation.allocations = await InventoryService.allocateReservation(reservation);
+      }
+
+      const result = await StockReservationModel.transitionStatus(
+        reservation._id,
+        [RESERVATION_STATUS.ACTIVE, RESERVATION_STATUS.CONFIRMED],
+        RESERVATION_STATUS.SHIPPED,
+        { shippedAt: new Date() }
+      );
+      if (result.matchedCount === 0) continue;
+
+      const product = await ProductModel.collection().findOne({ _id: new ObjectId(reservation.productId) });
+      if (!product) continue;
+
+      for (const allocation of reservation.allocations) {
+        await InventoryService.applyMovement(product, {
+          sku: reservation.sku,
+          type: STOCK_MOVEMENT_TYPES.SHIPMENT,
+          onHandDelta: -allocation.quantity,
+          reservedDelta: -allocation.quantity,
+          allocatedDelta: -allocation.quantity,
+          warehouseId: allocation.warehouseId,
+          reason: 'order_shipped',
+          actor,
+          orderId,
+          reservationId: reservation._id.toString()
+        });
+      }
+    }
+  }
+
+  // Stock after an order status change; failures are logged so the transition still stands.
+  // Confirmation is handled before the transition by allocateOrder.
+  static async syncOrderStatus(order, status, { actor = null, note = '' } = {}) {
+    const orderId = order._id.toString();
+    try {
+      if (status === ORDER_STATUS.SHIPPED) {
+        await InventoryService.shipOrder(orderId, { actor });
+      } else if (status === ORDER_STATUS.CANCELLED) {
+        await InventoryService.releaseOrder(orderId, { reason: 'order_cancelled', actor, note });
+      }
+    } catch (error) {
+      logger.error(`Inventory sync error for order ${order.orderNumber}:`, error);
+    }
+  }
+
+  // Stock edits from the product form: variant stock changes become adjustments, counters stay as stored
+  static planVariantStockEdits(existingProduct, variants) {
+    const existingBySku = new Map((existingProduct.variants || []).map(variant => [variant.sku, variant]));
+    const adjustments = [];
+
+    const planned = variants.map(variant => {
+      const current = existingBySku.get(variant.sku);
+      const before = current?.stock || 0;
+      if (variant.stock !== before) {
+        adjustments.push({ sku: variant.sku, delta: variant.stock - before, available: current?.available || 0 });
+      }
+      return {
+        ...variant,
+        stock: before,
+        reserved: current?.reserved || 0,
+        available: current?.available ?? before
+      };
+    });
+
+    const keptSkus = new Set(planned.map(variant => variant.sku));
+    const removedWithStock = (existingProduct.variants || [])
+      .filter(variant => !keptSkus.has(variant.sku) && ((variant.stock || 0) > 0 || (variant.reserved || 0) > 0))
+      .map(variant => variant.sku);
+    if (removedWithStock.length > 0) {
+      throw inventoryError(`Variants still hold stock, adjust them to 0 before removing: ${removedWithStock.join(', ')}`, 409);
+    }
+
+    const short = adjustments.filter(adjustment => adjustment.delta < 0 && -adjustment.delta > adjustment.available);
+    if (short.length > 0) {
+      throw inventoryError(`Cannot remove reserved stock from ${short.map(adjustment => adjustment.sku).join(', ')}`, 409);
+    }
+
+    return { variants: planned, adjustments };
+  }
+
+  // Product form edits land in the default warehouse
+  static async applyStockEdits(product, adjustments, actor) {
+    const warehouse = await WarehouseService.getDefaultWarehouse();
+    for (const adjustment of adjustments) {
+      await InventoryService.applyMovement(product, {
+        sku: adjustment.sku,
+        type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+        onHandDelta: adjustment.delta,
+        warehouseId: warehouse._id.toString(),
+        reason: 'product_edit',
+        actor
+      });
+    }
+  }
+
+  // Ledger-derived stock per SKU next to the cached counters
+  static async getStockReport(productId) {
+    const product = await InventoryService.getProduct(productId);
+    const balances = await StockMovementModel.getBalances(productId);
+    const ledger = new Map(balances.map(balance => [balance._id, balance]));
+
+    const total = balances.reduce((sum, balance) => ({
+      onHand: sum.onHand + balance.onHand,
+      reserved: sum.reserved + balance.reserved
+    }), { onHand: 0, reserved: 0 });
+
+    const rows = [{
+      sku: null,
+      scope: 'product',
+      cached: { onHand: product.quantity || 0, reserved: product.reservedQuantity || 0 },
+      ledger: total
+    }];
+
+    (product.variants || []).forEach(variant => {
+      const balance = ledger.get(variant.sku);
+      rows.push({
+        sku: variant.sku,
+        scope: 'variant',
+        color: variant.color,
+        size: variant.size,
+        cached: { onHand: variant.stock || 0, reserved: variant.reserved || 0 },
+        ledger: { onHand: balance?.onHand || 0, reserved: balance?.reserved || 0 }
+      });
+    });
+
+    const stock = rows.map(row => ({
+      ...row,
+      ledger: { ...row.ledger, available: row.ledger.onHand - row.ledger.reserved },
+      inSync: row.cached.onHand === row.ledger.onHand && row.cached.reserved === row.ledger.reserved
+    }));
+
+    const locations = await InventoryService.getLocationReport(productId);
+
+    return {
+      productId,
+      productCode: product.productCode,
+      trackInventory: InventoryService.isTracked(product),
+      initialized: product.availableQuantity !== undefined,
+      inSync: stock.every(row => row.inSync) && locations.every(row => row.inSync),
+      stock,
+      locations
+    };
+  }
+
+  // Warehouse levels per SKU next to the on-hand stock the ledger puts there.
+  // Movements without a warehouse predate warehouses and count towards the default one.
+  static async getLocationReport(productId) {
+    const [levels, balances, warehouses, defaultWarehouse] = await Promise.all([
+      StockLevelModel.findByProducts([productId]),
+      StockMovementModel.getWarehouseBalances(productId),
+      WarehouseService.getAllWarehouses(),
+      WarehouseService.getDefaultWarehouse()
+    ]);
+    const warehouseMap = new Map(warehouses.map(warehouse => [warehouse._id.toString(), warehouse]));
+    const defaultId = defaultWarehouse._id.toString();
+
+    const rows = new Map();
+    const rowFor = (sku, warehouseId) => {
+      const key = `${sku || ''}|${warehouseId}`;
+      if (!rows.has(key)) {
+        const warehouse = warehouseMap.get(warehouseId);
+        rows.set(key, {
+          warehouseId,
+          warehouseCode: warehouse?.code || null,
+          warehouseName: warehouse?.name || null,
+          sku: sku || null,
+          cached: { onHand: 0, allocated: 0, available: 0 },
+          ledger: { onHand: 0 }
+        });
+      }
+      return rows.get(key);
+    };
+
+    levels.forEach(level => {
+      rowFor(level.sku, level.warehouseId).cached = {
+        onHand: level.onHand,
+        allocated: level.allocated,
+        available: level.available
+      };
+    });
+    balances.forEach(balance => {
+      rowFor(balance._id.sku, balance._id.warehouseId || defaultId).ledger.onHand += balance.onHand;
+    });
+
+    return [...rows.values()].map(row => ({
+      ...row,
+      inSync: row.cached.onHand === row.ledger.onHand && row.cached.available === row.cached.onHand - row.cached.allocated
+    }));
+  }
+
+  // Totals and per-warehouse stock for a page of products (admin listings)
+  static async getStockBreakdown(products) {
+    const productIds = products.map(product => product._id.toString());
+    const [levels, warehouses] = await Promise.all([
+      StockLevelModel.findByProducts(productIds),
+      WarehouseService.getAllWarehouses()
+    ]);
+    const warehouseMap = new Map(warehouses.map(warehouse => [warehouse._id.toString(), warehouse]));
+    const defaultWarehouse = warehouses.find(warehouse => warehouse.isDefault) || null;
+
+    const byProduct = new Map();
+    levels.forEach(level => {
+      const byWarehouse = byProduct.get(level.productId) || new Map();
+      const warehouse = warehouseMap.get(level.warehouseId);
+      const entry = byWarehouse.get(level.warehouseId) || {
+        warehouseId: level.warehouseId,
+        code: warehouse?.code || null,
+        name: warehouse?.name || null,
+        onHand: 0,
+        allocated: 0,
+        available: 0
+      };
+      entry.onHand += level.onHand;
+      entry.allocated += level.allocated;
+      entry.available += level.available;
+      byWarehouse.set(level.warehouseId, entry);
+      byProduct.set(level.productId, byWarehouse);
+    });
+
+    return new Map(products.map(product => {
+      const productId = product._id.toString();
+      let warehouseStock = byProduct.has(productId) ? [...byProduct.get(productId).values()] : [];
+
+      // Not yet moved by the ledger: everything is in the default warehouse
+      if (warehouseStock.length === 0 && product.quantity > 0 && defaultWarehouse) {
+        warehouseStock = [{
+          warehouseId: defaultWarehouse._id.toString(),
+          code: defaultWarehouse.code,
+          name: defaultWarehouse.name,
+          onHand: product.quantity,
+          allocated: 0,
+          available: product.quantity
+        }];
+      }
+
+      return [productId, {
+        onHand: product.quantity || 0,
+        reserved: product.reservedQuantity || 0,
+        available: product.availableQuantity ?? (product.quantity || 0),
+        warehouses: warehouseStock
+      }];
+    }));
+  }
+
+  // Rewrites the cached counters from the ledger when they have drifted
+  static async reconcile(productId, { apply = false, actor = null } = {}) {
+    const product = await InventoryService.getProduct(productId);
+    await InventoryService.ensureInitialized(product, actor);
+    await InventoryService.ensureLocations(product);
+
+    const report = await InventoryService.getStockReport(productId);
+    if (!apply || report.inSync) {
+      return { ...report, applied: false };
+    }
+
+    const productRow = report.stock[0].ledger;
+    const variantRows = new Map(report.stock.slice(1).map(row => [row.sku, row.ledger]));
+
+    await ProductModel.collection().updateOne({ _id: product._id }, {
+      $set: {
+        quantity: productRow.onHand,
+        reservedQuantity: productRow.reserved,
+        availableQuantity: productRow.available,
+        variants: (product.variants || []).map(variant => {
+          const row = variantRows.get(variant.sku);
+          return { ...variant, stock: row.onHand, reserved: row.reserved, available: row.available };
+        }),
+        updatedAt: new Date()
+      }
+    });
+
+    for (const row of report.locations.filter(location => !location.inSync)) {
+      await StockLevelModel.setLevels(productId, row.sku, row.warehouseId, {
+        onHand: row.ledger.onHand,
+        allocated: row.cached.allocated,
+        available: row.ledger.onHand - row.cached.allocated
+      });
+    }
+
+    logger.warn(`Stock counters for ${product.productCode} reconciled from the ledger`);
+
+    return { ...(await InventoryService.getStockReport(productId)), applied: true };
+  }
+
+  static async getMovements(filters = {}, options = {}) {
+    return await StockMovementModel.find(filters, options);
+  }
+
+  static async getReservations(filters = {}, options = {}) {
+    return await StockReservationModel.find(filters, options);
+  }
+
+  static async findExpiredReservations(limit) {
+    return await StockReservationModel.findExpired(new Date(), limit);
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,144 @@
+// Per-product ordering rules for sourcing buyers:
+//   moq            minimum pieces per color (default for every color)
+//   colorMoqs      [{ color, moq }] overrides for specific colors
+//   casePack       every line quantity must be a multiple of this
+//   leadTimeBands  [{ minQuantity, maxQuantity, days }] production lead time by order quantity
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const rulesError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const parseJSON = (value, field) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw rulesError(`${field} must be valid JSON`);
+  }
+};
+
+const toPositiveInt = (value, field) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw rulesError(`${field} must be a positive whole number`);
+  }
+  return number;
+};
+
+class OrderRulesService {
+  static getFields() {
+    return ['moq', 'colorMoqs', 'casePack', 'leadTimeBands'];
+  }
+
+  // Validates the rule fields present in a request body (multipart forms send JSON strings)
+  static normalize(data) {
+    const rules = {};
+
+    if (data.moq !== undefined && data.moq !== '') {
+      rules.moq = toPositiveInt(data.moq, 'moq');
+    }
+
+    if (data.casePack !== undefined && data.casePack !== '') {
+      rules.casePack = toPositiveInt(data.casePack, 'casePack');
+    }
+
+    if (data.colorMoqs !== undefined) {
+      const colorMoqs = parseJSON(data.colorMoqs, 'colorMoqs') || [];
+      if (!Array.isArray(colorMoqs)) throw rulesError('colorMoqs must be an array');
+
+      rules.colorMoqs = colorMoqs.map((entry, index) => {
+        if (!entry?.color) throw rulesError(`colorMoqs[${index}].color is required`);
+        return {
+          color: String(entry.color).trim(),
+          moq: toPositiveInt(entry.moq, `colorMoqs[${index}].moq`)
+        };
+      });
+    }
+
+    if (data.leadTimeBands !== undefined) {
+      const bands = parseJSON(data.leadTimeBands, 'leadTimeBands') || [];
+      if (!Array.isArray(bands)) throw rulesError('leadTimeBands must be an array');
+
+      rules.leadTimeBands = bands.map((band, index) => {
+        const normalized = {
+          minQuantity: toPositiveInt(band?.minQuantity, `leadTimeBands[${index}].minQuantity`),
+          maxQuantity: null,
+          days: toPositiveInt(band?.days, `leadTimeBands[${index}].days`)
+        };
+        if (band.maxQuantity !== undefined && band.maxQuantity !== null && band.maxQuantity !== '') {
+          normalized.maxQuantity = toPositiveInt(band.maxQuantity, `leadTimeBands[${index}].maxQuantity`);
+          if (normalized.maxQuantity < normalized.minQuantity) {
+            throw rulesError(`leadTimeBands[${index}].maxQuantity must not be below minQuantity`);
+          }
+        }
+        return normalized;
+      }).sort((a, b) => a.minQuantity - b.minQuantity);
+
+      rules.leadTimeBands.forEach((band, index) => {
+        const next = rules.leadTimeBands[index + 1];
+        if (next && (band.maxQuantity === null || band.maxQuantity >= next.minQuantity)) {
+          throw rulesError('leadTimeBands must not overlap');
+        }
+      });
+    }
+
+    return rules;
+  }
+
+  static getMoq(product, color) {
+    const override = (product.colorMoqs || []).find(entry => entry.color === color);
+    return override ? override.moq : (product.moq || 1);
+  }
+
+  // Errors for requested lines of one product: [{ color, size, quantity }]
+  static validateLines(product, lines) {
+    const errors = [];
+    const casePack = product.casePack || 1;
+    const quantityByColor = {};
+
+    lines.forEach(line => {
+      const quantity = parseInt(line.quantity);
+      const colorKey = line.color || '';
+      quantityByColor[colorKey] = (quantityByColor[colorKey] || 0) + quantity;
+
+      if (quantity % casePack !== 0) {
+        errors.push(`${product.productCode}: quantity ${quantity}${line.size ? ` for size ${line.size}` : ''} must be a multiple of the case pack (${casePack})`);
+      }
+    });
+
+    Object.entries(quantityByColor).forEach(([color, quantity]) => {
+      const moq = OrderRulesService.getMoq(product, color || undefined);
+      if (quantity < moq) {
+        errors.push(`${product.productCode}: minimum order is ${moq} pcs${color ? ` for color ${color}` : ''}, got ${quantity}`);
+      }
+    });
+
+    return errors;
+  }
+
+  static getLeadTimeBand(product, quantity) {
+    return (product.leadTimeBands || []).find(band =>
+      quantity >= band.minQuantity && (band.maxQuantity === null || quantity <= band.maxQuantity)
+    ) || null;
+  }
+
+  // Lead time and estimated ship date for a quantity; null when the product has no bands
+  static estimateDelivery(product, quantity, from = new Date()) {
+    const bands = product.leadTimeBands || [];
+    if (bands.length === 0) return null;
+
+    // Quantities in a gap or past the last band use the nearest band below; tiny ones the first
+    const band = OrderRulesService.getLeadTimeBand(product, quantity)
+      || [...bands].reverse().find(b => quantity >= b.minQuantity)
+      || bands[0];
+
+    return {
+      quantity,
+      leadTimeDays: band.days,
+      estimatedShipDate: new Date(from.getTime() + band.days * DAY_MS),
+      band
+    };
+  }
+}
+
+module.exports = OrderRulesService;
@@ -1,18 +1,177 @@
 const OrderModel = require('../models/order.model');
+const ProductModel = require('../models/product.model');
+const PricingService = require('./pricing.service');
+const OrderRulesService = require('./order-rules.service');
+const VariantService = require('./variant.service');
+const InventoryService = require('./inventory.service');
+const ProductModerationService = require('./product-moderation.service');
 const EmailService = require('../utils/email');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { getIO } = require('../config/socket');
+const { PRODUCT_STATUS, ORDER_STATUS, ORDER_STATUS_TRANSITIONS } = require('../config/constants');
 const { ObjectId } = require('mongodb');
 
+// Errors carry an HTTP status the controllers pass straight through
+const orderError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
 class OrderService {
-  static async createOrder(orderData) {
-    const order = await OrderModel.create(orderData);
-    
+  // Resolve requested lines against the catalog and price them.
+  // The tier is picked from the total quantity of each product across its size/color lines,
+  // using the tiers scoped to the line's color/size when the product defines any.
+  static async priceOrderItems(requestedItems) {
+    const productIds = [...new Set(requestedItems.map(item => item.productId))];
+    const products = await ProductModel.collection()
+      .find({ _id: { $in: productIds.map(id => new ObjectId(id)) } })
+      .toArray();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const quantityByProduct = {};
+    requestedItems.forEach(item => {
+      quantityByProduct[item.productId] = (quantityByProduct[item.productId] || 0) + parseInt(item.quantity);
+    });
+
+    const items = requestedItems.map(item => {
+      const product = productMap.get(item.productId);
+      // Quotes are priced here too, so listings not yet approved cannot be ordered or quoted
+      if (!product || product.deletedAt || product.productStatus === PRODUCT_STATUS.INACTIVE ||
+        !ProductModerationService.isPublic(product)) {
+        throw orderError(`Product ${item.productId} is not available`);
+      }
+
+      if (item.size && product.sizes?.length && !product.sizes.includes(item.size)) {
+        throw orderError(`Size ${item.size} is not offered for ${product.productCode}`);
+      }
+      if (item.color && product.colors?.length && !product.colors.includes(item.color)) {
+        throw orderError(`Color ${item.color} is not offered for ${product.productCode}`);
+      }
+
+      const quantity = parseInt(item.quantity);
+      const { unitPrice } = PricingService.quote(product, quantityByProduct[item.productId], {
+        color: item.color,
+        size: item.size
+      });
+
+      return {
+        productId: item.productId,
+        productCode: product.productCode,
+        sku: VariantService.findVariant(product, item.color, item.size)?.sku || null,
+        title: product.title,
+        mainImage: product.mainImage || null,
+        size: item.size || null,
+        color: item.color || null,
+        quantity,
+        unitPrice,
+        lineTotal: roundMoney(unitPrice * quantity)
+      };
+    });
+
+    // MOQ and case-pack rules are checked per product across all of its lines
+    const ruleErrors = productIds.flatMap(productId => OrderRulesService.validateLines(
+      productMap.get(productId),
+      requestedItems.filter(item => item.productId === productId)
+    ));
+    if (ruleErrors.length > 0) {
+      throw Object.assign(orderError('Order does not meet the product ordering rules'), { errors: ruleErrors });
+    }
+
+    const totals = {
+      quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0))
+    };
+    totals.total = totals.subtotal;
+
+    // The slowest product sets the estimated ship date
+    const estimates = productIds
+      .map(productId => OrderRulesService.estimateDelivery(productMap.get(productId), quantityByProduct[productId]))
+      .filter(Boolean);
+    const delivery = estimates.length > 0
+      ? estimates.reduce((latest, estimate) => (estimate.leadTimeDays > latest.leadTimeDays ? estimate : latest))
+      : null;
+
+    return {
+      items,
+      totals,
+      leadTimeDays: delivery ? delivery.leadTimeDays : null,
+      estimatedShipDate: delivery ? delivery.estimatedShipDate : null
+    };
+  }
+
+  static async placeOrder(user, orderRequest) {
+    const { products, name, email, phone, company, shippingAddress, notes } = orderRequest;
+    const { items, totals, leadTimeDays, estimatedShipDate } = await OrderService.priceOrderItems(products);
+
+    const orderData = {
+      orderNumber: Helpers.generateOrderNumber(),
+      userId: user._id.toString(),
+      name,
+      email: email.toLowerCase(),
+      phone,
+      company: company || null,
+      shippingAddress: shippingAddress || null,
+      notes: notes || '',
+      products: items,
+      totals,
+      leadTimeDays,
+      estimatedShipDate
+    };
+
+    const result = await OrderService.createOrder(orderData, { actor: user });
+    return { _id: result.insertedId, ...orderData };
+  }
+
+  // Order from an accepted quote; the quoted prices are kept as-is
+  static async placeQuotedOrder(quote, { shippingAddress } = {}) {
+    const orderData = {
+      orderNumber: Helpers.generateOrderNumber(),
+      userId: quote.userId,
+      name: quote.name,
+      email: quote.email,
+      phone: quote.phone,
+      company: quote.company,
+      shippingAddress: shippingAddress || null,
+      notes: quote.notes,
+      products: quote.items,
+      additionalCharges: quote.additionalCharges,
+      totals: quote.totals,
+      leadTimeDays: quote.estimate?.leadTimeDays || null,
+      estimatedShipDate: quote.estimate?.leadTimeDays
+        ? new Date(Date.now() + quote.estimate.leadTimeDays * 24 * 60 * 60 * 1000)
+        : null,
+      quoteId: quote._id.toString(),
+      quoteNumber: quote.quoteNumber
+    };
+
+    const result = await OrderService.createOrder(orderData);
+    return { _id: result.insertedId, ...orderData };
+  }
+
+  // Stock is reserved before the order is stored; a short line fails the whole order
+  static async createOrder(orderData, { actor = null } = {}) {
+    const orderId = new ObjectId();
+    await InventoryService.reserveOrder({
+      orderId: orderId.toString(),
+      orderNumber: orderData.orderNumber,
+      items: orderData.products
+    }, { actor });
+
+    let order;
+    try {
+      order = await OrderModel.create({ _id: orderId, ...orderData });
+    } catch (error) {
+      await InventoryService.releaseOrder(orderId.toString(), { reason: 'order_failed', actor });
+      throw error;
+    }
+
     // Send email notifications
     try {
       await EmailService.sendOrderEmails({
         userName: orderData.name,
         userEmail: orderData.email,
         orderInfo: {
-          styleNumber: orderData.products?.[0]?.styleNumber || 'N/A',
+          styleNumber: orderData.products?.[0]?.productCode || 'N/A',
           company: orderData.company || 'N/A'
         }
       });
@@ -35,12 +194,89 @@ class OrderService {
     return await OrderModel.find(filters, options);
   }
 
-  static async updateOrderStatus(orderId, status) {
-    return await OrderModel.updateStatus(new ObjectId(orderId), status);
+  static getAllowedTransitions(status) {
+    return ORDER_STATUS_TRANSITIONS[status] || [];
+  }
+
+  // Enforces the status state machine, records history and notifies the buyer
+  static async updateOrderStatus(orderId, status, { actor = null, note = '' } = {}) {
+    const order = await OrderModel.findById(orderId);
+    if (!order) {
+      throw orderError('Order not found', 404);
+    }
+
+    const allowedStatuses = OrderService.getAllowedTransitions(order.status);
+    if (!allowedStatuses.includes(status)) {
+      throw Object.assign(
+        orderError(`Cannot change order status from ${order.status} to ${status}`, 409),
+        { currentStatus: order.status, allowedStatuses }
+      );
+    }
+
+    const historyEntry = {
+      status,
+      changedAt: new Date(),
+      changedBy: actor ? actor._id.toString() : null,
+      changedByRole: actor ? actor.role : null,
+      note: note || ''
+    };
+
+    // Stock is allocated to warehouses before an order is confirmed; short stock blocks the confirmation
+    const allocated = status === ORDER_STATUS.CONFIRMED
+      ? await InventoryService.allocateOrder(order._id.toString())
+      : [];
+
+    const result = await OrderModel.transitionStatus(order._id, order.status, historyEntry);
+    if (result.matchedCount === 0) {
+      await InventoryService.rollbackAllocation(allocated);
+
+      // Someone else moved the order first
+      const current = await OrderModel.findById(orderId);
+      throw Object.assign(
+        orderError('Order status was changed by another request', 409),
+        { currentStatus: current.status, allowedStatuses: OrderService.getAllowedTransitions(current.status) }
+      );
+    }
+
+    await InventoryService.syncOrderStatus(order, status, { actor, note });
+
+    const updatedOrder = await OrderModel.findById(orderId);
+    OrderService.notifyStatusChange(updatedOrder, order.status, historyEntry);
+
+    return updatedOrder;
+  }
+
+  // Buyer email and Socket.IO event; failures are logged and never block the transition
+  static notifyStatusChange(order, previousStatus, historyEntry) {
+    EmailService.sendOrderStatusEmail(order, historyEntry.note)
+      .catch(error => logger.error('Failed to send order status email:', error));
+
+    try {
+      const payload = {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        previousStatus,
+        status: order.status,
+        changedAt: historyEntry.changedAt,
+        note: historyEntry.note
+      };
+
+      const io = getIO();
+      if (order.userId) io.to(order.userId).emit('orderStatusChanged', payload);
+      io.to('admin-room').emit('orderStatusChanged', payload);
+    } catch (error) {
+      logger.warn(`Order status socket event not sent: ${error.message}`);
+    }
   }
 
-  static async deleteOrder(orderId) {
-    return await OrderModel.deleteById(new ObjectId(orderId));
+  // Stock still held for the order (active or confirmed reservations) is released first;
+  // confirmed reservations never expire, so it would otherwise stay reserved for good
+  static async deleteOrder(orderId, actor = null) {
+    const order = await OrderModel.findById(orderId);
+    if (!order) return { deletedCount: 0 };
+
+    await InventoryService.releaseOrder(order._id.toString(), { reason: 'order_deleted', actor, note: 'Order deleted' });
+    return await OrderModel.deleteById(order._id);
   }
 
   static async getOrderStats() {
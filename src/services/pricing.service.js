@@ -0,0 +1,123 @@
+// Quantity-tiered pricing. A product carries `priceTiers`:
+//   [{ minQuantity: 100, price: 4.2 }, { minQuantity: 500, price: 3.9, color: 'navy' }, ...]
+// Tiers may be scoped to a color and/or size; quantities below every tier pay the base price,
+// which a variant's own price overrides.
+const VariantService = require('./variant.service');
+
+const LEGACY_TIER_FIELDS = {
+  price100Pcs: 100,
+  price200Pcs: 200,
+  price500Pcs: 500
+};
+
+const pricingError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const byMinQuantity = (a, b) => a.minQuantity - b.minQuantity;
+
+class PricingService {
+  // Validates tiers from a request body (array or JSON string from multipart forms)
+  static normalizeTiers(input) {
+    if (input === undefined || input === null || input === '') return [];
+
+    let tiers = input;
+    if (typeof tiers === 'string') {
+      try {
+        tiers = JSON.parse(tiers);
+      } catch (error) {
+        throw pricingError('priceTiers must be valid JSON');
+      }
+    }
+
+    if (!Array.isArray(tiers)) {
+      throw pricingError('priceTiers must be an array');
+    }
+
+    const seen = new Set();
+
+    return tiers.map((tier, index) => {
+      const minQuantity = Number(tier?.minQuantity);
+      const price = Number(tier?.price);
+
+      if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+        throw pricingError(`priceTiers[${index}].minQuantity must be a positive whole number`);
+      }
+      if (!Number.isFinite(price) || price <= 0) {
+        throw pricingError(`priceTiers[${index}].price must be greater than 0`);
+      }
+
+      const normalized = { minQuantity, price: roundMoney(price) };
+      if (tier.color) normalized.color = String(tier.color).trim();
+      if (tier.size) normalized.size = String(tier.size).trim();
+
+      const key = `${normalized.color || '*'}|${normalized.size || '*'}|${minQuantity}`;
+      if (seen.has(key)) {
+        throw pricingError(`Duplicate price tier for ${minQuantity} pcs`);
+      }
+      seen.add(key);
+
+      return normalized;
+    }).sort(byMinQuantity);
+  }
+
+  static hasLegacyFields(data) {
+    return Object.keys(LEGACY_TIER_FIELDS).some(field => data[field] !== undefined);
+  }
+
+  // Converts price100Pcs/price200Pcs/price500Pcs into tiers
+  static fromLegacyFields(data) {
+    return Object.entries(LEGACY_TIER_FIELDS)
+      .filter(([field]) => parseFloat(data[field]) > 0)
+      .map(([field, minQuantity]) => ({ minQuantity, price: roundMoney(parseFloat(data[field])) }));
+  }
+
+  static getLegacyFields() {
+    return Object.keys(LEGACY_TIER_FIELDS);
+  }
+
+  static getBasePrice(product, { color, size } = {}) {
+    const variant = (color || size) ? VariantService.findVariant(product, color, size) : null;
+    if (variant && variant.price > 0) return variant.price;
+
+    return product.discountPrice > 0 ? product.discountPrice : (product.price || 0);
+  }
+
+  // Tiers for a color/size; the most specific scope that defines any tiers wins.
+  // Products not yet migrated fall back to their legacy price fields.
+  static getApplicableTiers(product, { color, size } = {}) {
+    const tiers = product.priceTiers || PricingService.fromLegacyFields(product);
+    const scopes = [
+      tier => color && size && tier.color === color && tier.size === size,
+      tier => size && !tier.color && tier.size === size,
+      tier => color && tier.color === color && !tier.size,
+      tier => !tier.color && !tier.size
+    ];
+
+    for (const inScope of scopes) {
+      const matches = tiers.filter(inScope);
+      if (matches.length > 0) return matches.sort(byMinQuantity);
+    }
+
+    return [];
+  }
+
+  static quote(product, quantity, { color, size } = {}) {
+    const tiers = PricingService.getApplicableTiers(product, { color, size });
+    const tier = [...tiers].reverse().find(t => quantity >= t.minQuantity) || null;
+    const unitPrice = tier ? tier.price : PricingService.getBasePrice(product, { color, size });
+
+    return {
+      quantity,
+      color: color || null,
+      size: size || null,
+      unitPrice,
+      linePrice: roundMoney(unitPrice * quantity),
+      tier,
+      nextTier: tiers.find(t => t.minQuantity > quantity) || null,
+      tiers
+    };
+  }
+}
+
+module.exports = PricingService;
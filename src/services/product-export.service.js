@@ -0,0 +1,272 @@
+const ProductModel = require('../models/product.model');
+const ProductImportService = require('./product-import.service');
+const ProductModerationService = require('./product-moderation.service');
+const InventoryService = require('./inventory.service');
+const csv = require('../utils/csv');
+const { PRODUCT_EXPORT, PRODUCT_STATUS } = require('../config/constants');
+
+// Errors carry an HTTP status the controllers pass straight through
+const exportError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// The import columns first, so an exported file can be edited and imported again
+// (the read-only columns after them are reported as ignored by the import)
+const CSV_COLUMNS = [
+  ...ProductImportService.getColumns(),
+  'slug', 'moderationStatus', 'availableQuantity', 'reservedQuantity',
+  'mainImage', 'galleryImages', 'sizeChartImage', 'createdAt', 'updatedAt'
+];
+
+// Google Merchant Center attributes, in TSV column order
+const FEED_FIELDS = [
+  'id', 'item_group_id', 'title', 'description', 'link', 'image_link', 'additional_image_link',
+  'availability', 'price', 'sale_price', 'gtin', 'mpn', 'brand', 'condition', 'identifier_exists',
+  'product_type', 'color', 'size', 'gender'
+];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  'google-xml': { contentType: 'application/xml; charset=utf-8', extension: 'xml', feed: true },
+  'google-tsv': { contentType: 'text/tab-separated-values; charset=utf-8', extension: 'tsv', feed: true }
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toTsvValue = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+
+const formatMoney = (amount) => `${Number(amount).toFixed(2)} ${PRODUCT_EXPORT.CURRENCY}`;
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+
+// One CSV cell: lists joined with |, unscoped price tiers as "100:5.90|500:5.40"
+// (the form the import reads), anything structured as JSON
+const toCsvCell = (field, value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  if (field === 'priceTiers') {
+    if (value.length === 0) return '';
+    return value.some(tier => tier.color || tier.size)
+      ? JSON.stringify(value)
+      : value.map(tier => `${tier.minQuantity}:${tier.price}`).join('|');
+  }
+  if (field === 'galleryImages') return value.map(image => image.url).join('|');
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '';
+    return value.every(item => typeof item !== 'object') ? value.join('|') : JSON.stringify(value);
+  }
+  return value;
+};
+
+const toFeedGender = (genders = []) => {
+  const mapped = new Set(genders.map(gender => {
+    const normalized = String(gender).toLowerCase();
+    if (['men', 'male', 'man', 'boys'].includes(normalized)) return 'male';
+    if (['women', 'female', 'woman', 'girls', 'ladies'].includes(normalized)) return 'female';
+    return 'unisex';
+  }));
+  if (mapped.size === 0) return '';
+  return mapped.size === 1 ? [...mapped][0] : 'unisex';
+};
+
+class ProductExportService {
+  static getFormat(format) {
+    const config = FORMATS[format];
+    if (!config) {
+      throw exportError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return { name: format, ...config };
+  }
+
+  // Feeds only carry what the storefront shows
+  static buildQuery(query, format) {
+    if (!format.feed) return query;
+
+    return {
+      $and: [
+        query,
+        ProductModerationService.getPublicFilter(),
+        { productStatus: { $ne: PRODUCT_STATUS.INACTIVE } }
+      ]
+    };
+  }
+
+  static getFileName(format) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `products-${date}.${format.extension}`;
+  }
+
+  static toCsvRow(product) {
+    return csv.formatRow(CSV_COLUMNS.map(field => toCsvCell(field, product[field])));
+  }
+
+  static getLink(product) {
+    return `${PRODUCT_EXPORT.STORE_URL}/products/${product.slug || product._id}`;
+  }
+
+  static getAvailability(product, available) {
+    if (product.productStatus === PRODUCT_STATUS.OUT_OF_STOCK) return 'out_of_stock';
+    if (!InventoryService.isTracked(product)) return 'in_stock';
+    return available > 0 ? 'in_stock' : 'out_of_stock';
+  }
+
+  // One feed item per variant (grouped by product code), or one for a product without variants
+  static buildFeedItems(product) {
+    const description = stripHtml(product.shortDescription || product.richDescription || product.title).slice(0, 5000);
+    const hasSale = product.discountPrice > 0 && product.discountPrice < product.price;
+
+    const base = {
+      title: product.title,
+      description,
+      link: ProductExportService.getLink(product),
+      image_link: product.mainImage || '',
+      additional_image_link: (product.galleryImages || [])
+        .map(image => image.url)
+        .filter(Boolean)
+        .slice(0, PRODUCT_EXPORT.MAX_ADDITIONAL_IMAGES),
+      brand: product.brand || '',
+      condition: 'new',
+      product_type: [product.category, product.subCategory].filter(Boolean).join(' > '),
+      gender: toFeedGender(product.gender)
+    };
+
+    const buildItem = ({ id, groupId, price, salePrice, gtin, available, color, size }) => ({
+      ...base,
+      id,
+      item_group_id: groupId || '',
+      availability: ProductExportService.getAvailability(product, available),
+      price: formatMoney(price || 0),
+      sale_price: salePrice ? formatMoney(salePrice) : '',
+      gtin: gtin || '',
+      mpn: id,
+      identifier_exists: gtin || base.brand ? 'yes' : 'no',
+      color: color || '',
+      size: size || ''
+    });
+
+    if (!product.variants?.length) {
+      return [buildItem({
+        id: product.productCode,
+        price: product.price,
+        salePrice: hasSale ? product.discountPrice : null,
+        available: product.availableQuantity ?? product.quantity ?? 0,
+        color: (product.colors || []).join('/'),
+        size: (product.sizes || []).join('/')
+      })];
+    }
+
+    // A variant's own price replaces the product price and its sale price
+    return product.variants.map(variant => buildItem({
+      id: variant.sku,
+      groupId: product.productCode,
+      price: variant.price ?? product.price,
+      salePrice: variant.price == null && hasSale ? product.discountPrice : null,
+      gtin: variant.barcode,
+      available: variant.available ?? variant.stock ?? 0,
+      color: variant.color,
+      size: variant.size
+    }));
+  }
+
+  static toXmlItem(item) {
+    const elements = FEED_FIELDS.flatMap(field => {
+      const values = Array.isArray(item[field]) ? item[field] : [item[field]];
+      return values
+        .filter(value => value !== '' && value !== null && value !== undefined)
+        .map(value => `<g:${field}>${escapeXml(value)}</g:${field}>`);
+    });
+    return `<item>${elements.join('')}</item>\n`;
+  }
+
+  static toTsvRow(item) {
+    return `${FEED_FIELDS.map(field => toTsvValue(
+      Array.isArray(item[field]) ? item[field].join(',') : item[field]
+    )).join('\t')}\n`;
+  }
+
+  static getHeader(format) {
+    switch (format.name) {
+      case 'csv':
+        return csv.formatRow(CSV_COLUMNS);
+      case 'google-xml':
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n<channel>\n' +
+          `<title>${escapeXml(PRODUCT_EXPORT.STORE_NAME)}</title>\n` +
+          `<link>${escapeXml(PRODUCT_EXPORT.STORE_URL)}</link>\n` +
+          `<description>${escapeXml(`${PRODUCT_EXPORT.STORE_NAME} product feed`)}</description>\n`;
+      case 'google-tsv':
+        return `${FEED_FIELDS.join('\t')}\n`;
+      default:
+        return '';
+    }
+  }
+
+  static getFooter(format) {
+    return format.name === 'google-xml' ? '</channel>\n</rss>\n' : '';
+  }
+
+  static formatProduct(product, format) {
+    switch (format.name) {
+      case 'csv':
+        return ProductExportService.toCsvRow(product);
+      case 'jsonl':
+        return `${JSON.stringify(product)}\n`;
+      case 'google-xml':
+        return ProductExportService.buildFeedItems(product).map(ProductExportService.toXmlItem).join('');
+      default:
+        return ProductExportService.buildFeedItems(product).map(ProductExportService.toTsvRow).join('');
+    }
+  }
+
+  // Writes the export to a writable stream one product at a time, straight from the
+  // cursor and waiting whenever the client is slower than the database. Stops early
+  // if the stream closes (client went away). Resolves with the number of products.
+  static async stream(output, query, { format, sort = { createdAt: -1 } }) {
+    let closed = false;
+    const onClose = () => { closed = true; };
+    output.on('close', onClose);
+
+    const write = async (chunk) => {
+      if (!chunk || closed) return;
+      if (!output.write(chunk)) {
+        await new Promise(resolve => {
+          const done = () => {
+            output.off('drain', done);
+            output.off('close', done);
+            resolve();
+          };
+          output.on('drain', done);
+          output.on('close', done);
+        });
+      }
+    };
+
+    const projection = format.name === 'jsonl' ? { moderationHistory: 0 } : {};
+    const cursor = ProductModel.collection()
+      .find(ProductExportService.buildQuery(query, format), { projection })
+      .sort(sort);
+
+    let count = 0;
+    try {
+      await write(ProductExportService.getHeader(format));
+      for await (const product of cursor) {
+        if (closed) break;
+        await write(ProductExportService.formatProduct(product, format));
+        count++;
+      }
+      await write(ProductExportService.getFooter(format));
+    } finally {
+      output.off('close', onClose);
+      await cursor.close();
+    }
+
+    return count;
+  }
+}
+
+module.exports = ProductExportService;
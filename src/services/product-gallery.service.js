@@ -0,0 +1,225 @@
+const ProductModel = require('../models/product.model');
+const ProductModerationService = require('./product-moderation.service');
+const ProductRevisionService = require('./product-revision.service');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { PRODUCT_REVISION_ACTIONS } = require('../config/constants');
+
+// Errors carry an HTTP status the controllers pass straight through
+const galleryError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Gallery images are addressed by publicId; images stored before it was always set
+// (local uploads) have none and are addressed by url instead
+const matchesImage = (image, { publicId, url }) =>
+  publicId ? image.publicId === publicId : Boolean(url) && image.url === url;
+
+const describeImage = ({ publicId, url }) => publicId || url;
+
+class ProductGalleryService {
+  // Gallery entry for a stored file ({ url, key, size, mime } from StorageService);
+  // the storage key is kept as publicId
+  static buildImage(file, { altText = '', caption = '' } = {}) {
+    return {
+      url: file.url,
+      publicId: file.key,
+      altText,
+      caption,
+      size: file.size,
+      mime: file.mime,
+      uploadedAt: new Date()
+    };
+  }
+
+  // Per-file texts sent next to uploaded files: an array, a JSON array string or one string
+  static parseTextList(input) {
+    if (input === undefined || input === null || input === '') return [];
+    if (Array.isArray(input)) return input.map(text => String(text ?? ''));
+
+    if (typeof input === 'string' && input.trim().startsWith('[')) {
+      try {
+        const parsed = JSON.parse(input);
+        if (Array.isArray(parsed)) return parsed.map(text => String(text ?? ''));
+      } catch (error) {
+        throw galleryError('Alt texts and captions must be a valid JSON array');
+      }
+    }
+    return [String(input)];
+  }
+
+  // Gallery entries for uploaded files, with their alt texts and captions by position
+  static buildImages(files, { altTexts, captions } = {}) {
+    const altTextList = ProductGalleryService.parseTextList(altTexts);
+    const captionList = ProductGalleryService.parseTextList(captions);
+
+    return files.map((file, index) => ProductGalleryService.buildImage(file, {
+      altText: altTextList[index] || '',
+      caption: captionList[index] || ''
+    }));
+  }
+
+  static async getManagedProduct(productId, user) {
+    const product = await ProductModel.findById(productId);
+    if (!product) {
+      throw galleryError('Product not found', 404);
+    }
+    if (!Helpers.canManageProduct(user, product)) {
+      throw galleryError('Access denied', 403);
+    }
+    if (product.deletedAt) {
+      throw galleryError('Product is in the trash; restore it before editing', 409);
+    }
+    return product;
+  }
+
+  static findImageIndex(product, image) {
+    if (!image.publicId && !image.url) {
+      throw galleryError('publicId (or url for images without one) is required');
+    }
+
+    const index = (product.galleryImages || []).findIndex(current => matchesImage(current, image));
+    if (index === -1) {
+      throw galleryError(`Gallery image ${describeImage(image)} not found`, 404);
+    }
+    return index;
+  }
+
+  // Writes the changed image fields as a new revision. The update only applies to the
+  // state it was computed from, so two concurrent gallery edits cannot overwrite each other.
+  // Errors thrown once the images are written carry saved: true.
+  static async save(product, set, user) {
+    await ProductRevisionService.ensureBaseline(product);
+
+    const result = await ProductModel.collection().updateOne(
+      { _id: product._id, deletedAt: null, updatedAt: product.updatedAt ?? null },
+      {
+        $set: { ...set, updatedAt: new Date(), updatedBy: user?._id?.toString() || 'system' },
+        $inc: { revision: 1 }
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw galleryError('Product was changed by someone else; reload it and try again', 409);
+    }
+
+    try {
+      // A seller changing the images of a live listing sends it back for review
+      await ProductModerationService.resubmitAfterEdit(product, user, Object.keys(set));
+
+      const updatedProduct = await ProductModel.findById(product._id);
+      await ProductRevisionService.record(updatedProduct, PRODUCT_REVISION_ACTIONS.UPDATE, user, { source: 'gallery' });
+      return updatedProduct;
+    } catch (error) {
+      throw Object.assign(error, { saved: true });
+    } finally {
+      ProductGalleryService.clearCaches(product._id.toString());
+    }
+  }
+
+  // Appends uploaded images to the end of the gallery
+  static async addImages(productId, images, user) {
+    if (images.length === 0) {
+      throw galleryError('At least one gallery image is required');
+    }
+
+    const product = await ProductGalleryService.getManagedProduct(productId, user);
+    return await ProductGalleryService.save(product, {
+      galleryImages: [...(product.galleryImages || []), ...images]
+    }, user);
+  }
+
+  // Takes one image out of the gallery. The file itself is kept: earlier revisions
+  // still reference it, and it is deleted when the product is purged from the trash.
+  static async removeImage(productId, image, user) {
+    const product = await ProductGalleryService.getManagedProduct(productId, user);
+    const index = ProductGalleryService.findImageIndex(product, image);
+
+    return await ProductGalleryService.save(product, {
+      galleryImages: product.galleryImages.filter((current, position) => position !== index)
+    }, user);
+  }
+
+  // order lists every gallery image (publicId, or url for images without one) in the new order
+  static async reorder(productId, order, user) {
+    const product = await ProductGalleryService.getManagedProduct(productId, user);
+    const gallery = product.galleryImages || [];
+
+    if (!Array.isArray(order) || order.length !== gallery.length) {
+      throw galleryError(`order must list all ${gallery.length} gallery images`);
+    }
+
+    const remaining = [...gallery];
+    const reordered = order.map(key => {
+      const index = remaining.findIndex(current => current.publicId === key || (!current.publicId && current.url === key));
+      if (index === -1) {
+        throw galleryError(`Gallery image ${key} not found or listed twice`);
+      }
+      return remaining.splice(index, 1)[0];
+    });
+
+    return await ProductGalleryService.save(product, { galleryImages: reordered }, user);
+  }
+
+  // Alt text and caption of one image (only the ones sent change)
+  static async updateImage(productId, image, { altText, caption }, user) {
+    if (altText === undefined && caption === undefined) {
+      throw galleryError('altText or caption is required');
+    }
+
+    const product = await ProductGalleryService.getManagedProduct(productId, user);
+    const index = ProductGalleryService.findImageIndex(product, image);
+
+    const galleryImages = product.galleryImages.map((current, position) => {
+      if (position !== index) return current;
+      return {
+        ...current,
+        altText: altText !== undefined ? String(altText).trim() : (current.altText || ''),
+        caption: caption !== undefined ? String(caption).trim() : (current.caption || '')
+      };
+    });
+
+    return await ProductGalleryService.save(product, { galleryImages }, user);
+  }
+
+  // The gallery image becomes the main image and the current main image takes its
+  // place in the gallery, so no file is uploaded or lost
+  static async promoteImage(productId, image, user) {
+    const product = await ProductGalleryService.getManagedProduct(productId, user);
+    const index = ProductGalleryService.findImageIndex(product, image);
+    const promoted = product.galleryImages[index];
+
+    const galleryImages = [...product.galleryImages];
+    if (product.mainImage) {
+      galleryImages[index] = {
+        url: product.mainImage,
+        publicId: product.mainImagePublicId || null,
+        altText: product.mainImageAltText || '',
+        caption: '',
+        uploadedAt: new Date()
+      };
+    } else {
+      galleryImages.splice(index, 1);
+    }
+
+    return await ProductGalleryService.save(product, {
+      mainImage: promoted.url,
+      mainImagePublicId: promoted.publicId || null,
+      mainImageAltText: promoted.altText || '',
+      galleryImages
+    }, user);
+  }
+
+  static clearCaches(productId) {
+    Promise.all([
+      clearCacheByPattern('cache:/api/v1/products'),
+      clearCacheByPattern('products:'),
+      clearCacheByPattern(`product:${productId}`),
+      clearCacheByPattern('search:'),
+      clearCacheByPattern('popular_products:'),
+      clearCacheByPattern('related_products:'),
+      clearCacheByPattern('seller_products:'),
+      clearCacheByPattern('admin_products:')
+    ]).catch(err => logger.error('Cache clear error:', err));
+  }
+}
+
+module.exports = ProductGalleryService;
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const ProductModel = require('../models/product.model');
+const ProductModerationService = require('./product-moderation.service');
+const ProductRevisionService = require('./product-revision.service');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const zip = require('../utils/zip');
+const StorageService = require('./storage.service');
+const ProductGalleryService = require('./product-gallery.service');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { FILE_LIMITS, PRODUCT_IMAGE_ZIP, PRODUCT_REVISION_ACTIONS } = require('../config/constants');
+
+// Errors carry an HTTP status the controllers pass straight through
+const imageImportError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// <code>_front / _main is the main image, _<n> a gallery position, _sizechart the size chart;
+// any other suffix (_back, _detail, ...) is a gallery image placed after the numbered ones
+const SIZE_CHART_PATTERN = /^(.+)_size[-_]?chart$/i;
+const SUFFIX_PATTERN = /^(.+)_([a-z0-9-]+)$/i;
+
+// Files the archiving tools add next to the images
+const isSystemFile = (name) => name.startsWith('__MACOSX/') || path.basename(name).startsWith('.');
+
+class ProductImageImportService {
+  // Where a file name points: [{ code, slot, position, view }] in order of preference.
+  // A bare product code is the main image; a code with underscores wins over a suffix.
+  static parseFileName(fileName) {
+    const base = path.basename(fileName, path.extname(fileName));
+    const candidates = [{ code: base, slot: 'main' }];
+
+    const sizeChart = base.match(SIZE_CHART_PATTERN);
+    const match = base.match(SUFFIX_PATTERN);
+    if (sizeChart) {
+      candidates.push({ code: sizeChart[1], slot: 'sizeChart' });
+    } else if (match) {
+      const [, code, suffix] = match;
+      const normalized = suffix.toLowerCase();
+      if (['front', 'main'].includes(normalized)) {
+        candidates.push({ code, slot: 'main' });
+      } else if (/^\d+$/.test(normalized)) {
+        candidates.push({ code, slot: 'gallery', position: parseInt(normalized) });
+      } else {
+        candidates.push({ code, slot: 'gallery', view: normalized });
+      }
+    }
+
+    return candidates;
+  }
+
+  // Matches the archive's images to products; nothing is uploaded or written
+  static async plan(entries, user, mode) {
+    const unmatched = [];
+    const conflicts = [];
+    const matches = [];
+
+    const images = [];
+    entries
+      .filter(entry => !entry.isDirectory && !isSystemFile(entry.name))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        if (!PRODUCT_IMAGE_ZIP.IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+          unmatched.push({ file: entry.name, reason: 'Not a supported image type' });
+        } else if (entry.size > FILE_LIMITS.MAX_FILE_SIZE) {
+          unmatched.push({ file: entry.name, reason: 'Image is larger than 10MB' });
+        } else {
+          images.push({ entry, candidates: ProductImageImportService.parseFileName(entry.name) });
+        }
+      });
+
+    const codes = [...new Set(images.flatMap(image => image.candidates.map(candidate => candidate.code)))];
+    const products = await ProductModel.collection().find({ productCode: { $in: codes } }).toArray();
+    const productsByCode = new Map(products.map(product => [product.productCode, product]));
+
+    images.forEach(({ entry, candidates }) => {
+      const candidate = candidates.find(({ code }) => productsByCode.has(code));
+      if (!candidate) {
+        unmatched.push({ file: entry.name, reason: 'No product with a matching productCode' });
+        return;
+      }
+
+      const product = productsByCode.get(candidate.code);
+      if (product.deletedAt) {
+        unmatched.push({ file: entry.name, productCode: product.productCode, reason: 'Product is in the trash' });
+      } else if (!Helpers.canManageProduct(user, product)) {
+        unmatched.push({ file: entry.name, productCode: product.productCode, reason: 'Product belongs to another seller' });
+      } else {
+        matches.push({ entry, product, ...candidate });
+      }
+    });
+
+    // One assignment per product; files are taken in name order
+    const assignments = new Map();
+    matches.forEach(match => {
+      const key = match.product._id.toString();
+      if (!assignments.has(key)) {
+        assignments.set(key, { product: match.product, main: null, sizeChart: null, gallery: [] });
+      }
+      const assignment = assignments.get(key);
+      const conflict = (reason) => conflicts.push({ file: match.entry.name, productCode: match.product.productCode, reason });
+
+      if (match.slot === 'gallery') {
+        const taken = match.position !== undefined &&
+          assignment.gallery.find(image => image.position === match.position);
+        if (taken) {
+          conflict(`Gallery position ${match.position} is already taken by ${taken.entry.name}`);
+        } else {
+          assignment.gallery.push(match);
+        }
+        return;
+      }
+
+      const label = match.slot === 'main' ? 'main image' : 'size chart';
+      const current = match.slot === 'main' ? match.product.mainImage : match.product.sizeChartImage;
+      if (assignment[match.slot]) {
+        conflict(`The ${label} is already taken by ${assignment[match.slot].entry.name}`);
+      } else if (current && mode !== 'replace') {
+        conflict(`Product already has a ${label} (upload with mode=replace to overwrite it)`);
+      } else {
+        assignment[match.slot] = match;
+      }
+    });
+
+    // Numbered gallery images first, then the named views
+    assignments.forEach(assignment => {
+      assignment.gallery.sort((a, b) => {
+        if (a.position !== undefined && b.position !== undefined) return a.position - b.position;
+        if (a.position !== undefined) return -1;
+        if (b.position !== undefined) return 1;
+        return a.view.localeCompare(b.view);
+      });
+    });
+
+    return {
+      assignments: [...assignments.values()].filter(assignment =>
+        assignment.main || assignment.sizeChart || assignment.gallery.length > 0
+      ),
+      unmatched,
+      conflicts
+    };
+  }
+
+  // Extracts an entry to uploads/temp and stores it like a form upload
+  static async storeEntry(archive, entry, folder) {
+    const tempPath = path.join(
+      'uploads/temp',
+      `zip-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(entry.name).toLowerCase()}`
+    );
+    fs.writeFileSync(tempPath, archive.read(entry, { maxSize: FILE_LIMITS.MAX_FILE_SIZE }));
+
+    return await StorageService.store(tempPath, { folder });
+  }
+
+  // Uploads a product's images and writes them as one revision. In merge mode gallery
+  // images are appended; in replace mode they replace the gallery.
+  static async applyAssignment(archive, assignment, user, mode, failed) {
+    const { product } = assignment;
+    const store = async (match, folder = 'products') => {
+      try {
+        return await ProductImageImportService.storeEntry(archive, match.entry, folder);
+      } catch (error) {
+        if (!error.status) logger.error(`Image ${match.entry.name} upload failed:`, error);
+        failed.push({ file: match.entry.name, productCode: product.productCode, error: error.message });
+        return null;
+      }
+    };
+
+    const set = {};
+    if (assignment.main) {
+      const stored = await store(assignment.main);
+      if (stored) {
+        set.mainImage = stored.url;
+        set.mainImagePublicId = stored.key;
+      }
+    }
+    if (assignment.sizeChart) {
+      const stored = await store(assignment.sizeChart, 'size_charts');
+      if (stored) {
+        set.sizeChartImage = stored.url;
+        set.sizeChartImagePublicId = stored.key;
+      }
+    }
+
+    const gallery = [];
+    for (const match of assignment.gallery) {
+      const stored = await store(match);
+      if (stored) {
+        gallery.push(ProductGalleryService.buildImage(stored));
+      }
+    }
+    if (gallery.length > 0) {
+      set.galleryImages = mode === 'replace' ? gallery : [...(product.galleryImages || []), ...gallery];
+    }
+
+    if (Object.keys(set).length === 0) return false;
+
+    // Replaced images stay in storage: earlier revisions still reference them
+    await ProductRevisionService.ensureBaseline(product);
+    const result = await ProductModel.collection().updateOne(
+      { _id: product._id, deletedAt: null },
+      {
+        $set: { ...set, updatedAt: new Date(), updatedBy: user?._id?.toString() || 'system' },
+        $inc: { revision: 1 }
+      }
+    );
+    if (result.matchedCount === 0) {
+      failed.push({ productCode: product.productCode, error: 'Product was moved to the trash during the upload' });
+      return false;
+    }
+
+    await ProductModerationService.resubmitAfterEdit(product, user, Object.keys(set));
+
+    const updatedProduct = await ProductModel.findById(product._id);
+    await ProductRevisionService.record(updatedProduct, PRODUCT_REVISION_ACTIONS.UPDATE, user, { source: 'image_zip' });
+    return true;
+  }
+
+  // Matches a ZIP of images to products and (unless dryRun) stores and assigns them.
+  // The archive is removed afterwards.
+  static async importZip(file, user, { dryRun = false, mode = 'merge' } = {}) {
+    if (!['merge', 'replace'].includes(mode)) {
+      throw imageImportError('mode must be merge or replace');
+    }
+
+    let archive;
+    try {
+      archive = zip.open(file.path);
+      if (archive.entries.length > PRODUCT_IMAGE_ZIP.MAX_ENTRIES) {
+        throw imageImportError(`ZIP archives are limited to ${PRODUCT_IMAGE_ZIP.MAX_ENTRIES} files`);
+      }
+
+      const { assignments, unmatched, conflicts } = await ProductImageImportService.plan(archive.entries, user, mode);
+
+      const failed = [];
+      const products = [];
+      for (const assignment of assignments) {
+        const updated = dryRun
+          ? false
+          : await ProductImageImportService.applyAssignment(archive, assignment, user, mode, failed);
+
+        products.push({
+          productId: assignment.product._id,
+          productCode: assignment.product.productCode,
+          mainImage: assignment.main?.entry.name || null,
+          sizeChartImage: assignment.sizeChart?.entry.name || null,
+          galleryImages: assignment.gallery.map(match => match.entry.name),
+          updated
+        });
+      }
+
+      if (products.some(product => product.updated)) ProductImageImportService.clearCaches();
+
+      return {
+        dryRun,
+        mode,
+        matchedFiles: products.reduce((total, product) =>
+          total + (product.mainImage ? 1 : 0) + (product.sizeChartImage ? 1 : 0) + product.galleryImages.length, 0),
+        products,
+        unmatched,
+        conflicts,
+        failed
+      };
+    } finally {
+      if (archive) archive.close();
+      if (fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    }
+  }
+
+  static clearCaches() {
+    Promise.all([
+      clearCacheByPattern('cache:/api/v1/products'),
+      clearCacheByPattern('products:'),
+      clearCacheByPattern('product:'),
+      clearCacheByPattern('search:'),
+      clearCacheByPattern('popular_products:'),
+      clearCacheByPattern('related_products:'),
+      clearCacheByPattern('seller_products:'),
+      clearCacheByPattern('admin_products:')
+    ]).catch(err => logger.error('Cache clear error:', err));
+  }
+}
+
+module.exports = ProductImageImportService;
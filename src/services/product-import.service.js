@@ -0,0 +1,669 @@
+const ProductModel = require('../models/product.model');
+const ProductImportModel = require('../models/product-import.model');
+const PricingService = require('./pricing.service');
+const OrderRulesService = require('./order-rules.service');
+const VariantService = require('./variant.service');
+const InventoryService = require('./inventory.service');
+const StockAlertService = require('./stock-alert.service');
+const ProductModerationService = require('./product-moderation.service');
+const ProductRevisionService = require('./product-revision.service');
+const ProductScheduleService = require('./product-schedule.service');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const csv = require('../utils/csv');
+const { generateSlug } = require('../utils/slugGenerator');
+const { getCollection } = require('../config/database');
+const { getIO } = require('../config/socket');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { PRODUCT_IMPORT, PRODUCT_IMPORT_STATUS, PRODUCT_REVISION_ACTIONS } = require('../config/constants');
+
+// Errors carry an HTTP status the controllers pass straight through
+const importError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// CSV columns by product field. Headers match case-insensitively, ignoring spaces,
+// dashes and underscores ("Product Code", "product_code" and "productCode" all work).
+const COLUMNS = [
+  'productCode', 'title', 'gsmCode', 'category', 'subCategory', 'brand', 'productStatus',
+  'sizes', 'colors', 'gender', 'fit', 'sustainability', 'certifications',
+  'price', 'discountPrice', 'priceTiers', 'quantity', 'bulkQuantity', 'trackInventory',
+  'reorderThreshold', 'autoStockStatus', 'moq', 'colorMoqs', 'casePack', 'leadTimeBands',
+  'shortDescription', 'richDescription', 'printingEmbroidery', 'textileCare',
+  'metaTitle', 'metaDescription', 'metaKeywords', 'mainImageAltText', 'youtubeUrl'
+];
+
+const COLUMN_ALIASES = {
+  status: 'productStatus',
+  size: 'sizes',
+  color: 'colors',
+  certification: 'certifications',
+  keywords: 'metaKeywords'
+};
+
+const TEXT_FIELDS = [
+  'title', 'gsmCode', 'sustainability', 'shortDescription', 'richDescription', 'printingEmbroidery',
+  'textileCare', 'metaTitle', 'metaDescription', 'mainImageAltText', 'youtubeUrl'
+];
+const LIST_FIELDS = ['gender', 'metaKeywords'];
+
+// Names resolved against the attribute collections (categories and sizes keep theirs in `value`)
+const LOOKUP_FIELDS = {
+  category: { collection: 'categories', label: 'category' },
+  brand: { collection: 'brands', label: 'brand' },
+  fit: { collection: 'productFits', label: 'fit' }
+};
+const LOOKUP_LIST_FIELDS = {
+  sizes: { collection: 'sizes', label: 'size' },
+  colors: { collection: 'colors', label: 'color' },
+  certifications: { collection: 'certifications', label: 'certification' }
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]+/g, '');
+
+const COLUMNS_BY_HEADER = {
+  ...Object.fromEntries(COLUMNS.map(field => [normalizeHeader(field), field])),
+  ...COLUMN_ALIASES
+};
+
+// Multi-value cells are separated by | or ,
+const splitList = (value) => value.split(/[|,]/).map(item => item.trim()).filter(Boolean);
+
+const parseBoolean = (value, field) => {
+  const normalized = value.trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  throw importError(`${field} must be true or false`);
+};
+
+const parseNumber = (value, field, { integer = false } = {}) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+    throw importError(`${field} must be ${integer ? 'a whole number' : 'a number'} of 0 or more`);
+  }
+  return number;
+};
+
+const getName = (doc) => doc.value || doc.name;
+
+class ProductImportService {
+  static getColumns() {
+    return COLUMNS;
+  }
+
+  // Header row plus an example product, for the template download
+  static getTemplate() {
+    const example = {
+      productCode: 'AS-1001',
+      title: 'Organic Cotton Crew Neck T-Shirt',
+      category: 'T-Shirts',
+      subCategory: 'Crew Neck',
+      productStatus: 'active',
+      sizes: 'S|M|L|XL',
+      colors: 'Black|White',
+      gender: 'Men|Women',
+      price: '6.50',
+      priceTiers: '100:5.90|500:5.40',
+      moq: '100',
+      casePack: '10'
+    };
+    return csv.stringify([COLUMNS, COLUMNS.map(field => example[field] || '')]);
+  }
+
+  // Rows keyed by product field; blank lines are skipped but still counted, so row
+  // numbers match the spreadsheet (the header is row 1)
+  static parseFile(buffer) {
+    const records = csv.parse(buffer.toString('utf8'));
+    if (records.length === 0) {
+      throw importError('CSV file is empty');
+    }
+
+    const [headers, ...lines] = records;
+    const fields = [];
+    const ignoredColumns = [];
+    headers.forEach((header, index) => {
+      const field = COLUMNS_BY_HEADER[normalizeHeader(header)];
+      if (field && !fields.includes(field)) {
+        fields[index] = field;
+      } else if (header.trim()) {
+        ignoredColumns.push(header.trim());
+      }
+    });
+
+    if (!fields.includes('productCode')) {
+      throw importError('CSV must have a productCode column');
+    }
+
+    const rows = [];
+    lines.forEach((line, index) => {
+      if (line.every(cell => cell.trim() === '')) return;
+
+      const values = {};
+      fields.forEach((field, column) => {
+        if (field && line[column] !== undefined) values[field] = line[column].trim();
+      });
+      rows.push({ row: index + 2, values });
+    });
+
+    if (rows.length === 0) {
+      throw importError('CSV file has no product rows');
+    }
+    if (rows.length > PRODUCT_IMPORT.MAX_ROWS) {
+      throw importError(`CSV files are limited to ${PRODUCT_IMPORT.MAX_ROWS} rows`);
+    }
+
+    return { rows, ignoredColumns };
+  }
+
+  // Attribute names by lowercase name, loaded once per import
+  static async loadLookups() {
+    const load = async (name) => {
+      const collection = getCollection(name);
+      if (!collection) return [];
+      return await collection.find({ status: { $ne: 'inactive' } }).toArray();
+    };
+
+    const toMap = (docs) => new Map(
+      docs.filter(getName).map(doc => [getName(doc).trim().toLowerCase(), doc])
+    );
+
+    const collections = [...new Set(
+      [...Object.values(LOOKUP_FIELDS), ...Object.values(LOOKUP_LIST_FIELDS)].map(lookup => lookup.collection)
+    )];
+    const [subCategories, ...docs] = await Promise.all([load('subCategories'), ...collections.map(load)]);
+
+    const lookups = { subCategories: new Map() };
+    collections.forEach((name, index) => { lookups[name] = toMap(docs[index]); });
+    subCategories.filter(getName).forEach(sub => {
+      const key = getName(sub).trim().toLowerCase();
+      if (!lookups.subCategories.has(key)) lookups.subCategories.set(key, []);
+      lookups.subCategories.get(key).push(sub);
+    });
+
+    return lookups;
+  }
+
+  static resolveName(lookups, { collection, label }, name) {
+    const doc = lookups[collection].get(name.toLowerCase());
+    if (!doc) throw importError(`Unknown ${label} "${name}"`);
+    return doc;
+  }
+
+  // Sub categories are matched within their category
+  static resolveSubCategory(lookups, name, categoryDoc) {
+    const candidates = lookups.subCategories.get(name.toLowerCase()) || [];
+    if (candidates.length === 0) throw importError(`Unknown sub category "${name}"`);
+
+    const match = categoryDoc
+      ? candidates.find(sub => sub.categoryId?.toString() === categoryDoc._id.toString())
+      : candidates[0];
+    if (!match) throw importError(`Sub category "${name}" does not belong to category "${getName(categoryDoc)}"`);
+    return match;
+  }
+
+  // "100:5.90|500:5.40", or the JSON array the product form sends (for color/size scoped tiers)
+  static parsePriceTiers(value) {
+    if (value.startsWith('[')) return PricingService.normalizeTiers(value);
+
+    return PricingService.normalizeTiers(splitList(value).map(entry => {
+      const [minQuantity, price] = entry.split(':');
+      return { minQuantity, price };
+    }));
+  }
+
+  // Product fields from the non-empty cells of a row. Empty cells leave an existing
+  // product's value alone. Every problem is collected instead of stopping at the first.
+  static buildFields(values, lookups, existing) {
+    const data = {};
+    const errors = [];
+    const attempt = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    };
+    const filled = (field) => values[field] !== undefined && values[field] !== '';
+
+    TEXT_FIELDS.filter(filled).forEach(field => { data[field] = values[field]; });
+    LIST_FIELDS.filter(filled).forEach(field => { data[field] = splitList(values[field]); });
+
+    if (filled('productStatus')) {
+      attempt(() => {
+        if (!ProductScheduleService.getSchedulableStatuses().includes(values.productStatus)) {
+          throw importError(`Unknown product status "${values.productStatus}"`);
+        }
+        data.productStatus = values.productStatus;
+      });
+    }
+
+    let categoryDoc = null;
+    if (filled('category')) {
+      attempt(() => {
+        categoryDoc = ProductImportService.resolveName(lookups, LOOKUP_FIELDS.category, values.category);
+        data.category = getName(categoryDoc);
+      });
+    } else if (existing?.category) {
+      categoryDoc = lookups.categories.get(existing.category.toLowerCase()) || null;
+    }
+
+    if (filled('subCategory')) {
+      attempt(() => {
+        data.subCategory = getName(ProductImportService.resolveSubCategory(lookups, values.subCategory, categoryDoc));
+      });
+    } else if (data.category && existing && data.category !== existing.category) {
+      errors.push('subCategory is required when the category changes');
+    }
+
+    ['brand', 'fit'].filter(filled).forEach(field => {
+      attempt(() => {
+        data[field] = getName(ProductImportService.resolveName(lookups, LOOKUP_FIELDS[field], values[field]));
+      });
+    });
+
+    Object.entries(LOOKUP_LIST_FIELDS).filter(([field]) => filled(field)).forEach(([field, lookup]) => {
+      const names = [];
+      splitList(values[field]).forEach(name => {
+        attempt(() => names.push(getName(ProductImportService.resolveName(lookups, lookup, name))));
+      });
+      data[field] = [...new Set(names)];
+    });
+
+    ['price', 'discountPrice'].filter(filled).forEach(field => {
+      attempt(() => { data[field] = parseNumber(values[field], field); });
+    });
+    ['quantity', 'bulkQuantity'].filter(filled).forEach(field => {
+      attempt(() => { data[field] = parseNumber(values[field], field, { integer: true }); });
+    });
+
+    if (filled('trackInventory')) {
+      attempt(() => { data.trackInventory = parseBoolean(values.trackInventory, 'trackInventory'); });
+    }
+    if (filled('priceTiers')) {
+      attempt(() => { data.priceTiers = ProductImportService.parsePriceTiers(values.priceTiers); });
+    }
+
+    const ruleValues = {};
+    [...OrderRulesService.getFields(), ...StockAlertService.getFields()]
+      .filter(filled)
+      .forEach(field => { ruleValues[field] = values[field]; });
+    if (ruleValues.autoStockStatus !== undefined) {
+      attempt(() => { ruleValues.autoStockStatus = parseBoolean(values.autoStockStatus, 'autoStockStatus'); });
+    }
+    attempt(() => Object.assign(data, OrderRulesService.normalize(ruleValues)));
+    attempt(() => Object.assign(data, StockAlertService.normalize(ruleValues)));
+
+    return { data, errors };
+  }
+
+  // Validates a row and works out what it would change, without writing anything
+  static prepareRow({ row, values }, { lookups, existingByCode, seenCodes, user }) {
+    const productCode = values.productCode || '';
+    const prepared = { row, productCode, errors: [] };
+
+    if (!productCode) {
+      prepared.errors.push('productCode is required');
+      return prepared;
+    }
+    if (seenCodes.has(productCode)) {
+      prepared.errors.push(`productCode ${productCode} appears more than once in the file`);
+      return prepared;
+    }
+    seenCodes.add(productCode);
+
+    const existing = existingByCode.get(productCode);
+    if (existing?.deletedAt) {
+      prepared.errors.push('Product is in the trash; restore it before importing changes');
+      return prepared;
+    }
+    if (existing && !Helpers.canManageProduct(user, existing)) {
+      prepared.errors.push('Product belongs to another seller');
+      return prepared;
+    }
+
+    const { data, errors } = ProductImportService.buildFields(values, lookups, existing);
+    prepared.errors.push(...errors);
+
+    if (!existing) {
+      ['title', 'category', 'subCategory']
+        .filter(field => !values[field])
+        .forEach(field => prepared.errors.push(`${field} is required for new products`));
+    }
+    if (prepared.errors.length > 0) return prepared;
+
+    prepared.existing = existing || null;
+    prepared.data = data;
+
+    if (existing) {
+      // Stock is owned by the ledger: quantity only sets the opening stock of new products
+      delete data.quantity;
+
+      prepared.changedFields = Object.keys(data)
+        .filter(field => JSON.stringify(data[field]) !== JSON.stringify(existing[field]));
+      prepared.action = prepared.changedFields.length > 0 ? 'updated' : 'unchanged';
+
+      // Checks the variant matrix can follow new sizes/colors (stocked variants are never dropped)
+      if (prepared.changedFields.includes('sizes') || prepared.changedFields.includes('colors')) {
+        try {
+          ProductImportService.planVariants(existing, data);
+        } catch (error) {
+          prepared.errors.push(error.message);
+        }
+      }
+    } else {
+      prepared.action = 'created';
+    }
+
+    return prepared;
+  }
+
+  static planVariants(existing, data) {
+    const variants = VariantService.syncVariants({
+      productCode: existing.productCode,
+      sizes: data.sizes || existing.sizes,
+      colors: data.colors || existing.colors
+    }, existing.variants || []);
+
+    return InventoryService.planVariantStockEdits(existing, variants).variants;
+  }
+
+  static getDiscountPercentage(price, discountPrice) {
+    return price && discountPrice && price > discountPrice
+      ? Math.round(((price - discountPrice) / price) * 100)
+      : 0;
+  }
+
+  // Same defaults as the product form
+  static async createProduct(prepared, user, importId) {
+    const { data, productCode } = prepared;
+    const sizes = data.sizes || [];
+    const colors = data.colors || [];
+    const variants = VariantService.syncVariants({ productCode, sizes, colors });
+    const price = data.price || 0;
+    const discountPrice = data.discountPrice || 0;
+
+    const productData = {
+      title: data.title,
+      productCode,
+      gsmCode: data.gsmCode || '',
+      category: data.category,
+      subCategory: data.subCategory,
+      productStatus: data.productStatus || 'active',
+      ...ProductModerationService.getInitialFields(user),
+      sizes,
+      colors,
+      gender: data.gender || [],
+      fit: data.fit || '',
+      sustainability: data.sustainability || '',
+      brand: data.brand || '',
+      price,
+      discountPrice,
+      discountPercentage: ProductImportService.getDiscountPercentage(price, discountPrice),
+      quantity: variants.length > 0 ? VariantService.getTotalStock(variants) : (data.quantity || 0),
+      bulkQuantity: data.bulkQuantity || 0,
+      variants,
+      trackInventory: data.trackInventory !== false,
+      reorderThreshold: data.reorderThreshold ?? null,
+      autoStockStatus: data.autoStockStatus || false,
+      priceTiers: data.priceTiers || [],
+      moq: data.moq || 1,
+      colorMoqs: data.colorMoqs || [],
+      casePack: data.casePack || 1,
+      leadTimeBands: data.leadTimeBands || [],
+      shortDescription: data.shortDescription || '',
+      richDescription: data.richDescription || '',
+      printingEmbroidery: data.printingEmbroidery || '',
+      textileCare: data.textileCare || '',
+      metaTitle: data.metaTitle || '',
+      mainImageAltText: data.mainImageAltText || '',
+      metaDescription: data.metaDescription || '',
+      metaKeywords: data.metaKeywords || [],
+      youtubeUrl: data.youtubeUrl || '',
+      certifications: data.certifications || [],
+      mainImage: '',
+      mainImagePublicId: '',
+      galleryImages: [],
+      sizeChartImage: '',
+      sizeChartImagePublicId: '',
+      mainPdf: null,
+      slug: generateSlug(data.title),
+
+      popularityScore: 0,
+      searchBoostScore: 0,
+      viewCount: 0,
+      lastViewedAt: null,
+      aiRecommendationScore: 0,
+      recentlyReviewedScore: 0,
+
+      sellerId: user?._id?.toString() || 'system',
+      revision: 1,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: user?._id?.toString() || 'system',
+      updatedBy: user?._id?.toString() || 'system'
+    };
+
+    const result = await ProductModel.collection().insertOne(productData);
+    const product = { _id: result.insertedId, ...productData };
+
+    await InventoryService.ensureInitialized(product, user);
+    await ProductRevisionService.record(product, PRODUCT_REVISION_ACTIONS.CREATE, user, { importId });
+  }
+
+  // Only the changed fields are written; stock is left to the ledger
+  static async updateProduct(prepared, user, importId) {
+    const { existing, changedFields } = prepared;
+    const set = {};
+    changedFields.forEach(field => { set[field] = prepared.data[field]; });
+
+    if (set.title) set.slug = generateSlug(set.title);
+    if (set.price !== undefined || set.discountPrice !== undefined) {
+      set.discountPercentage = ProductImportService.getDiscountPercentage(
+        set.price ?? existing.price,
+        set.discountPrice ?? existing.discountPrice
+      );
+    }
+
+    await InventoryService.ensureInitialized(existing, user);
+    if (set.sizes || set.colors) {
+      set.variants = ProductImportService.planVariants(existing, set);
+    }
+
+    await ProductRevisionService.ensureBaseline(existing);
+
+    const result = await ProductModel.collection().updateOne(
+      { _id: existing._id, deletedAt: null },
+      {
+        $set: { ...set, updatedAt: new Date(), updatedBy: user?._id?.toString() || 'system' },
+        $inc: { revision: 1 }
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw importError('Product was moved to the trash during the import', 409);
+    }
+
+    // Seller content edits to a live listing go back to the moderation queue
+    await ProductModerationService.resubmitAfterEdit(existing, user, changedFields);
+
+    const updatedProduct = await ProductModel.findById(existing._id);
+    await ProductRevisionService.record(updatedProduct, PRODUCT_REVISION_ACTIONS.UPDATE, user, { importId });
+  }
+
+  // Validates (and unless dryRun, writes) rows batch by batch; onBatch receives the
+  // running totals and the batch's row errors
+  static async processRows(rows, user, { dryRun = false, importId = null, onBatch = null } = {}) {
+    const lookups = await ProductImportService.loadLookups();
+    const seenCodes = new Set();
+    const totals = { processed: 0, created: 0, updated: 0, unchanged: 0, failed: 0 };
+    const allErrors = [];
+
+    for (let start = 0; start < rows.length; start += PRODUCT_IMPORT.BATCH_SIZE) {
+      const batch = rows.slice(start, start + PRODUCT_IMPORT.BATCH_SIZE);
+      const codes = batch.map(({ values }) => values.productCode).filter(Boolean);
+      const existingProducts = await ProductModel.collection().find({ productCode: { $in: codes } }).toArray();
+      const existingByCode = new Map(existingProducts.map(product => [product.productCode, product]));
+
+      const batchErrors = [];
+      for (const row of batch) {
+        const prepared = ProductImportService.prepareRow(row, { lookups, existingByCode, seenCodes, user });
+
+        if (prepared.errors.length === 0 && !dryRun) {
+          try {
+            if (prepared.action === 'created') {
+              await ProductImportService.createProduct(prepared, user, importId);
+            } else if (prepared.action === 'updated') {
+              await ProductImportService.updateProduct(prepared, user, importId);
+            }
+          } catch (error) {
+            if (!error.status || error.status >= 500) {
+              logger.error(`Import of product ${prepared.productCode} failed:`, error);
+            }
+            prepared.errors.push(error.message);
+          }
+        }
+
+        totals.processed++;
+        if (prepared.errors.length > 0) {
+          totals.failed++;
+          batchErrors.push({ row: prepared.row, productCode: prepared.productCode, errors: prepared.errors });
+        } else {
+          totals[prepared.action]++;
+        }
+      }
+
+      if (onBatch) await onBatch({ ...totals }, batchErrors);
+      allErrors.push(...batchErrors);
+    }
+
+    return { ...totals, errors: allErrors };
+  }
+
+  // Validation report only: nothing is written
+  static async dryRun(file, user) {
+    const { rows, ignoredColumns } = ProductImportService.parseFile(file.buffer);
+    const { errors, ...totals } = await ProductImportService.processRows(rows, user, { dryRun: true });
+
+    return {
+      dryRun: true,
+      totalRows: rows.length,
+      ignoredColumns,
+      ...totals,
+      errors: errors.slice(0, PRODUCT_IMPORT.MAX_STORED_ERRORS),
+      errorsTruncated: errors.length > PRODUCT_IMPORT.MAX_STORED_ERRORS
+    };
+  }
+
+  // Small files are imported before responding; larger ones run in the background
+  // and are followed through getJob
+  static async start(file, user) {
+    const { rows, ignoredColumns } = ProductImportService.parseFile(file.buffer);
+
+    const job = await ProductImportModel.create({
+      fileName: file.originalname,
+      totalRows: rows.length,
+      ignoredColumns,
+      background: rows.length > PRODUCT_IMPORT.SYNC_ROW_LIMIT,
+      createdBy: user._id.toString(),
+      createdByRole: user.role
+    });
+
+    if (!job.background) {
+      await ProductImportService.run(job, rows, user);
+      return await ProductImportModel.findById(job._id);
+    }
+
+    setImmediate(() => ProductImportService.run(job, rows, user));
+    return job;
+  }
+
+  // Never throws: the outcome is recorded on the import
+  static async run(job, rows, user) {
+    const importId = job._id.toString();
+    let storedErrors = 0;
+
+    try {
+      await ProductImportModel.transitionStatus(job._id, [PRODUCT_IMPORT_STATUS.QUEUED], PRODUCT_IMPORT_STATUS.PROCESSING, {
+        startedAt: new Date()
+      });
+
+      const totals = await ProductImportService.processRows(rows, user, {
+        importId,
+        onBatch: async (progress, errors) => {
+          const kept = errors.slice(0, Math.max(PRODUCT_IMPORT.MAX_STORED_ERRORS - storedErrors, 0));
+          storedErrors += kept.length;
+          if (kept.length < errors.length) progress.errorsTruncated = true;
+          await ProductImportModel.updateProgress(job._id, progress, kept);
+        }
+      });
+
+      await ProductImportModel.transitionStatus(job._id, [PRODUCT_IMPORT_STATUS.PROCESSING], PRODUCT_IMPORT_STATUS.COMPLETED, {
+        finishedAt: new Date()
+      });
+
+      if (totals.created > 0 || totals.updated > 0) ProductImportService.clearCaches();
+      ProductImportService.notify(job, PRODUCT_IMPORT_STATUS.COMPLETED, totals);
+    } catch (error) {
+      logger.error(`Product import ${importId} failed:`, error);
+      await ProductImportModel.transitionStatus(
+        job._id,
+        [PRODUCT_IMPORT_STATUS.QUEUED, PRODUCT_IMPORT_STATUS.PROCESSING],
+        PRODUCT_IMPORT_STATUS.FAILED,
+        { error: error.message, finishedAt: new Date() }
+      ).catch(err => logger.error(`Could not mark product import ${importId} as failed:`, err));
+
+      // Rows written before the failure are live
+      ProductImportService.clearCaches();
+      ProductImportService.notify(job, PRODUCT_IMPORT_STATUS.FAILED);
+    }
+  }
+
+  // Users without manage_products only see their own imports
+  static async getJob(jobId, user) {
+    let job = await ProductImportModel.findById(jobId);
+    if (!job || (!Helpers.checkPermission(user, 'manage_products') && job.createdBy !== user._id.toString())) {
+      throw importError('Import not found', 404);
+    }
+
+    const staleBefore = new Date(Date.now() - PRODUCT_IMPORT.STALE_MINUTES * 60 * 1000);
+    if ([PRODUCT_IMPORT_STATUS.QUEUED, PRODUCT_IMPORT_STATUS.PROCESSING].includes(job.status) && job.updatedAt <= staleBefore) {
+      await ProductImportModel.failStale(job._id, staleBefore);
+      job = await ProductImportModel.findById(jobId);
+    }
+
+    return job;
+  }
+
+  static async getJobs(filters = {}, options = {}) {
+    return await ProductImportModel.find(filters, options);
+  }
+
+  static clearCaches() {
+    Promise.all([
+      clearCacheByPattern('cache:/api/v1/products'),
+      clearCacheByPattern('products:'),
+      clearCacheByPattern('product:'),
+      clearCacheByPattern('search:'),
+      clearCacheByPattern('popular_products:'),
+      clearCacheByPattern('related_products:'),
+      clearCacheByPattern('seller_products:'),
+      clearCacheByPattern('admin_products:'),
+      clearCacheByPattern('product_form_data')
+    ]).catch(err => logger.error('Cache clear error:', err));
+  }
+
+  // Socket.IO event for the user who started the import; failures are only logged
+  static notify(job, status, totals = {}) {
+    try {
+      getIO().to(job.createdBy).emit('productImportFinished', {
+        importId: job._id,
+        fileName: job.fileName,
+        status,
+        created: totals.created,
+        updated: totals.updated,
+        failed: totals.failed
+      });
+    } catch (error) {
+      logger.warn(`Product import socket event not sent: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ProductImportService;
@@ -0,0 +1,204 @@
+const ProductModel = require('../models/product.model');
+const UserModel = require('../models/user.model');
+const EmailService = require('../utils/email');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { getIO } = require('../config/socket');
+const { MODERATION_STATUS, MODERATION_STATUS_TRANSITIONS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+// Errors carry an HTTP status the controllers pass straight through
+const moderationError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Statuses a moderator can decide on a pending listing
+const DECISIONS = [MODERATION_STATUS.APPROVED, MODERATION_STATUS.REJECTED, MODERATION_STATUS.CHANGES_REQUESTED];
+
+// Stock and alert settings a seller can change without the listing going back to review
+const REVIEW_EXEMPT_FIELDS = ['quantity', 'bulkQuantity', 'variants', 'trackInventory', 'reorderThreshold', 'autoStockStatus'];
+
+class ProductModerationService {
+  // Only changed through the moderation endpoints
+  static getFields() {
+    return [
+      'moderationStatus', 'moderationHistory', 'moderationComment', 'submittedForReviewAt',
+      'reviewedAt', 'reviewedBy', 'approvedAt'
+    ];
+  }
+
+  static getAllowedTransitions(status) {
+    return MODERATION_STATUS_TRANSITIONS[status] || [];
+  }
+
+  static isModerator(user) {
+    return Helpers.checkPermission(user, 'manage_products');
+  }
+
+  // Products created before moderation have no moderationStatus and stay live
+  static getStatus(product) {
+    return product.moderationStatus || MODERATION_STATUS.APPROVED;
+  }
+
+  // Only approved listings are shown on the storefront
+  static getPublicFilter() {
+    return { moderationStatus: { $in: [MODERATION_STATUS.APPROVED, null] } };
+  }
+
+  // Same rule as getPublicFilter, for a product already loaded
+  static isPublic(product) {
+    return [MODERATION_STATUS.APPROVED, null].includes(product.moderationStatus ?? null);
+  }
+
+  static buildHistoryEntry(status, user, comment) {
+    return {
+      status,
+      changedAt: new Date(),
+      changedBy: user?._id?.toString() || 'system',
+      changedByRole: user?.role || 'system',
+      comment: comment || ''
+    };
+  }
+
+  // Moderation fields for a new product: staff listings are approved straight away,
+  // seller listings wait in the queue (or stay drafts until submitted)
+  static getInitialFields(user, { draft = false } = {}) {
+    let status = MODERATION_STATUS.PENDING_REVIEW;
+    if (ProductModerationService.isModerator(user)) {
+      status = MODERATION_STATUS.APPROVED;
+    } else if (draft === true || draft === 'true') {
+      status = MODERATION_STATUS.DRAFT;
+    }
+
+    const historyEntry = ProductModerationService.buildHistoryEntry(status, user);
+    return {
+      moderationStatus: status,
+      moderationComment: '',
+      submittedForReviewAt: status === MODERATION_STATUS.PENDING_REVIEW ? historyEntry.changedAt : null,
+      moderationHistory: [historyEntry]
+    };
+  }
+
+  // Pending listings, oldest submission first
+  static async getQueue(filters = {}, options = {}) {
+    return await ProductModel.find(
+      { moderationStatus: MODERATION_STATUS.PENDING_REVIEW, ...filters, deletedAt: null },
+      {
+        ...options,
+        sort: { submittedForReviewAt: 1 },
+        projection: {
+          title: 1, productCode: 1, slug: 1, mainImage: 1, category: 1, price: 1,
+          sellerId: 1, productStatus: 1, moderationStatus: 1, moderationComment: 1,
+          submittedForReviewAt: 1, createdAt: 1, updatedAt: 1
+        }
+      }
+    );
+  }
+
+  static async getProduct(productId) {
+    const product = await ProductModel.findById(productId);
+    if (!product || product.deletedAt) {
+      throw moderationError('Product not found', 404);
+    }
+    return product;
+  }
+
+  // Enforces MODERATION_STATUS_TRANSITIONS with a conditional update
+  static async transition(product, status, user, comment, updateData = {}) {
+    const currentStatus = ProductModerationService.getStatus(product);
+    const allowedStatuses = ProductModerationService.getAllowedTransitions(currentStatus);
+    if (!allowedStatuses.includes(status)) {
+      throw Object.assign(
+        moderationError(`Cannot change moderation status from ${currentStatus} to ${status}`, 409),
+        { currentStatus, allowedStatuses }
+      );
+    }
+
+    const fromStatuses = currentStatus === MODERATION_STATUS.APPROVED
+      ? [MODERATION_STATUS.APPROVED, null]
+      : [currentStatus];
+    const historyEntry = ProductModerationService.buildHistoryEntry(status, user, comment);
+
+    const result = await ProductModel.transitionModeration(product._id, fromStatuses, historyEntry, updateData);
+    if (result.matchedCount === 0) {
+      throw moderationError('Moderation status was changed by another request', 409);
+    }
+
+    return await ProductModel.findById(product._id);
+  }
+
+  // Approve, reject or request changes; rejections and change requests need comments
+  static async decide(productId, user, status, comment) {
+    if (!DECISIONS.includes(status)) {
+      throw moderationError(`Invalid moderation decision: ${status}`);
+    }
+    if (status !== MODERATION_STATUS.APPROVED && !comment?.trim()) {
+      throw moderationError('Comments are required when rejecting a product or requesting changes');
+    }
+
+    const product = await ProductModerationService.getProduct(productId);
+    const changedAt = new Date();
+    const updateData = {
+      moderationComment: comment?.trim() || '',
+      reviewedAt: changedAt,
+      reviewedBy: user._id.toString()
+    };
+    if (status === MODERATION_STATUS.APPROVED) updateData.approvedAt = changedAt;
+
+    const updatedProduct = await ProductModerationService.transition(product, status, user, comment?.trim(), updateData);
+    ProductModerationService.notifySeller(updatedProduct, updateData.moderationComment);
+
+    return updatedProduct;
+  }
+
+  // Seller sends a draft, rejected or revised listing (back) to the queue
+  static async submit(productId, user, note) {
+    const product = await ProductModerationService.getProduct(productId);
+    if (!ProductModerationService.isModerator(user) && product.sellerId !== user._id.toString()) {
+      throw moderationError('Product not found', 404);
+    }
+
+    return await ProductModerationService.transition(product, MODERATION_STATUS.PENDING_REVIEW, user, note, {
+      submittedForReviewAt: new Date()
+    });
+  }
+
+  // A seller editing the content of an approved listing sends it back for review;
+  // staff edits and stock-only edits do not
+  static async resubmitAfterEdit(product, user, changedFields = []) {
+    if (ProductModerationService.isModerator(user) ||
+      ProductModerationService.getStatus(product) !== MODERATION_STATUS.APPROVED ||
+      changedFields.every(field => REVIEW_EXEMPT_FIELDS.includes(field))) {
+      return null;
+    }
+
+    return await ProductModerationService.transition(product, MODERATION_STATUS.PENDING_REVIEW, user, 'Edited by seller', {
+      submittedForReviewAt: new Date()
+    });
+  }
+
+  // Seller email and Socket.IO event; failures are logged and never block the decision
+  static notifySeller(product, comment) {
+    const payload = {
+      productId: product._id,
+      productCode: product.productCode,
+      title: product.title,
+      moderationStatus: product.moderationStatus,
+      comment
+    };
+
+    if (ObjectId.isValid(product.sellerId)) {
+      UserModel.findById(product.sellerId)
+        .then(seller => seller?.email && EmailService.sendProductModerationEmail(seller, product, comment))
+        .catch(error => logger.error('Failed to send product moderation email:', error));
+    }
+
+    try {
+      const io = getIO();
+      io.to(product.sellerId).emit('productModeration', payload);
+      io.to('admin-room').emit('productModeration', payload);
+    } catch (error) {
+      logger.warn(`Product moderation socket event not sent: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ProductModerationService;
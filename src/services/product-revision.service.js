@@ -0,0 +1,233 @@
+const ProductModel = require('../models/product.model');
+const ProductRevisionModel = require('../models/product-revision.model');
+const InventoryService = require('./inventory.service');
+const VariantService = require('./variant.service');
+const ProductModerationService = require('./product-moderation.service');
+const Helpers = require('../utils/helpers');
+const { PRODUCT_REVISION_ACTIONS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+// Errors carry an HTTP status the controllers pass straight through
+const revisionError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Not part of a snapshot: identity, bookkeeping, trash state, stock counters (the ledger
+// owns them), moderation state and engagement metrics
+const UNTRACKED_FIELDS = [
+  '_id', 'revision', 'updatedAt', 'updatedBy', 'deletedAt', 'deletedBy', 'purgeAfter',
+  'quantity', 'reservedQuantity', 'availableQuantity', 'stockAlert', 'statusBeforeOutOfStock',
+  ...ProductModerationService.getFields(),
+  'popularityScore', 'searchBoostScore', 'viewCount', 'lastViewedAt',
+  'aiRecommendationScore', 'recentlyReviewedScore'
+];
+
+// Snapshotted for history but never rolled back; variants are rebuilt on restore
+const UNRESTORED_FIELDS = ['sellerId', 'createdAt', 'createdBy', 'variants'];
+
+class ProductRevisionService {
+  // Product write fields that only this service maintains
+  static getFields() {
+    return ['revision'];
+  }
+
+  // Listing content at this point, variants without their stock figures
+  static snapshot(product) {
+    const snapshot = {};
+    Object.keys(product)
+      .filter(field => !UNTRACKED_FIELDS.includes(field))
+      .forEach(field => { snapshot[field] = product[field]; });
+
+    if (product.variants) {
+      snapshot.variants = product.variants.map(({ sku, color, size, barcode, price }) => ({
+        sku, color, size, barcode: barcode || null, price: price ?? null
+      }));
+    }
+    return snapshot;
+  }
+
+  // Field-level changes between two snapshots
+  static diff(before, after) {
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+
+    return fields
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+      .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+  }
+
+  static buildRevision(product, action, user, extra = {}) {
+    return {
+      productId: product._id.toString(),
+      revision: product.revision || 0,
+      action,
+      snapshot: ProductRevisionService.snapshot(product),
+      changedBy: user?._id?.toString() || 'system',
+      changedByRole: user?.role || 'system',
+      ...extra
+    };
+  }
+
+  // Call after the write that incremented product.revision
+  static async record(product, action, user, extra = {}) {
+    return await ProductRevisionModel.create(ProductRevisionService.buildRevision(product, action, user, extra));
+  }
+
+  // Products created before revisions get their current state stored as revision 0
+  // before the first change, so that state can still be restored
+  static async ensureBaseline(product) {
+    if (product.revision !== undefined) return;
+    await ProductRevisionModel.create(ProductRevisionService.buildRevision(product, PRODUCT_REVISION_ACTIONS.BASELINE, null));
+  }
+
+  static async ensureBaselines(productIds) {
+    const products = await ProductModel.collection()
+      .find({ _id: { $in: productIds.map(id => new ObjectId(id)) }, revision: { $exists: false } })
+      .toArray();
+    if (products.length === 0) return;
+
+    await ProductRevisionModel.insertMany(
+      products.map(product => ProductRevisionService.buildRevision(product, PRODUCT_REVISION_ACTIONS.BASELINE, null))
+    );
+  }
+
+  static async recordMany(productIds, action, user) {
+    const products = await ProductModel.collection()
+      .find({ _id: { $in: productIds.map(id => new ObjectId(id)) } })
+      .toArray();
+    if (products.length === 0) return;
+
+    await ProductRevisionModel.insertMany(
+      products.map(product => ProductRevisionService.buildRevision(product, action, user))
+    );
+  }
+
+  static async getManagedProduct(productId, user) {
+    const product = await ProductModel.findById(productId);
+    if (!product) {
+      throw revisionError('Product not found', 404);
+    }
+    if (!Helpers.canManageProduct(user, product)) {
+      throw revisionError('Access denied', 403);
+    }
+    return product;
+  }
+
+  // Revisions newest first, each with its changes against the previous revision
+  // (changes is null for the first known revision)
+  static async getRevisions(productId, options = {}) {
+    const result = await ProductRevisionModel.findByProduct(productId, options);
+
+    const previousRevisions = await ProductRevisionModel.findRevisions(
+      productId,
+      result.data.map(revision => revision.revision - 1)
+    );
+    const previousByNumber = new Map(previousRevisions.map(revision => [revision.revision, revision]));
+
+    const data = result.data.map(({ snapshot, ...revision }) => {
+      const previous = previousByNumber.get(revision.revision - 1);
+      return {
+        ...revision,
+        changes: previous ? ProductRevisionService.diff(previous.snapshot, snapshot) : null
+      };
+    });
+
+    return { data, pagination: result.pagination };
+  }
+
+  // Roll the listing content, image references included, back to a revision.
+  // Stock is untouched; variants follow the restored sizes/colors and keep their stock.
+  static async restore(productId, revisionNumber, user) {
+    const product = await ProductRevisionService.getManagedProduct(productId, user);
+    if (product.deletedAt) {
+      throw revisionError('Product is in the trash; restore it before editing', 409);
+    }
+
+    const revision = await ProductRevisionModel.findRevision(product._id.toString(), revisionNumber);
+    if (!revision) {
+      throw revisionError(`Revision ${revisionNumber} not found`, 404);
+    }
+
+    const { snapshot } = revision;
+    const restoredFields = Object.keys(snapshot).filter(field => !UNRESTORED_FIELDS.includes(field));
+
+    const set = {};
+    restoredFields.forEach(field => { set[field] = snapshot[field]; });
+
+    // Fields added after the revision was taken are removed again
+    const unset = {};
+    Object.keys(product)
+      .filter(field => !UNTRACKED_FIELDS.includes(field) && !UNRESTORED_FIELDS.includes(field))
+      .filter(field => !restoredFields.includes(field))
+      .forEach(field => { unset[field] = ''; });
+
+    if (product.variants?.length || snapshot.variants?.length) {
+      let variants = VariantService.syncVariants({
+        productCode: snapshot.productCode || product.productCode,
+        sizes: snapshot.sizes,
+        colors: snapshot.colors
+      }, product.variants || []);
+
+      const overrides = (snapshot.variants || [])
+        .filter(variant => variants.some(current => current.sku === variant.sku))
+        .map(({ sku, barcode, price }) => ({ sku, barcode, price }));
+      if (overrides.length > 0) {
+        variants = VariantService.applyVariantInput(variants, overrides);
+      }
+
+      const barcodeConflicts = await VariantService.findBarcodeConflicts(ProductModel.collection(), variants, product._id);
+      if (barcodeConflicts.length > 0) {
+        throw revisionError(`Barcodes already in use: ${barcodeConflicts.join(', ')}`, 409);
+      }
+
+      // Refuses to drop variants that still hold stock
+      set.variants = InventoryService.planVariantStockEdits(product, variants).variants;
+    }
+
+    await ProductRevisionService.ensureBaseline(product);
+
+    const update = {
+      $set: {
+        ...set,
+        updatedAt: new Date(),
+        updatedBy: user?._id?.toString() || 'system'
+      },
+      $inc: { revision: 1 }
+    };
+    if (Object.keys(unset).length > 0) update.$unset = unset;
+
+    await ProductModel.collection().updateOne({ _id: product._id }, update);
+
+    // A seller restoring a live listing sends it back for review
+    await ProductModerationService.resubmitAfterEdit(product, user, restoredFields);
+
+    const restoredProduct = await ProductModel.findById(product._id);
+    await ProductRevisionService.record(restoredProduct, PRODUCT_REVISION_ACTIONS.RESTORE, user, {
+      restoredFrom: revision.revision
+    });
+
+    return restoredProduct;
+  }
+
+  // Stored files ({ key, mime }) a product uses now or in any of its revisions
+  static async getStoredFiles(product) {
+    const revisions = await ProductRevisionModel.findAllForProduct(product._id.toString());
+    const files = new Map();
+    const add = (key, mime) => {
+      if (key && !files.has(key)) files.set(key, { key, mime });
+    };
+
+    [product, ...revisions.map(revision => revision.snapshot)].forEach(state => {
+      add(state.mainImagePublicId, 'image/*');
+      add(state.sizeChartImagePublicId, 'image/*');
+      (state.galleryImages || []).forEach(image => add(image.publicId, 'image/*'));
+      // Products from before PDFs were stored kept a bare path here
+      if (state.mainPdf && typeof state.mainPdf === 'object') add(state.mainPdf.key, state.mainPdf.mime);
+    });
+
+    return [...files.values()];
+  }
+
+  static async deleteRevisions(productId) {
+    return await ProductRevisionModel.deleteByProduct(productId);
+  }
+}
+
+module.exports = ProductRevisionService;
@@ -0,0 +1,277 @@
+const ProductModel = require('../models/product.model');
+const ProductScheduleModel = require('../models/product-schedule.model');
+const ProductRevisionService = require('./product-revision.service');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { getIO } = require('../config/socket');
+const { clearCacheByPattern } = require('../middleware/cache');
+const {
+  PRODUCT_STATUS, PRODUCT_SCHEDULE, PRODUCT_SCHEDULE_STATUS, PRODUCT_REVISION_ACTIONS
+} = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+// Errors carry an HTTP status the controllers pass straight through
+const scheduleError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// new_arrivals is the value the product-status endpoints and storefront lists use
+const SCHEDULABLE_STATUSES = [...new Set([...Object.values(PRODUCT_STATUS), 'new_arrivals'])];
+
+const MAX_ATTEMPTS = 3;
+
+class ProductScheduleService {
+  static getSchedulableStatuses() {
+    return SCHEDULABLE_STATUSES;
+  }
+
+  static parseDate(value, field) {
+    const date = new Date(value);
+    if (!value || Number.isNaN(date.getTime())) {
+      throw scheduleError(`${field} must be a valid date`);
+    }
+    return date;
+  }
+
+  static async getManagedProduct(productId, user) {
+    const product = await ProductModel.findById(productId);
+    if (!product || product.deletedAt) {
+      throw scheduleError('Product not found', 404);
+    }
+    if (!Helpers.canManageProduct(user, product)) {
+      throw scheduleError('Access denied', 403);
+    }
+    return product;
+  }
+
+  // One change at runAt, optionally followed by a change back at revertAt
+  // (revertStatus defaults to the status the product has now)
+  static async schedule(productId, user, { productStatus, runAt, revertStatus, revertAt, note }) {
+    const product = await ProductScheduleService.getManagedProduct(productId, user);
+
+    if (!SCHEDULABLE_STATUSES.includes(productStatus)) {
+      throw scheduleError('Valid product status is required');
+    }
+
+    const firstRunAt = ProductScheduleService.parseDate(runAt, 'runAt');
+    if (firstRunAt <= new Date()) {
+      throw scheduleError('runAt must be in the future');
+    }
+
+    const base = {
+      productId: product._id.toString(),
+      productCode: product.productCode,
+      title: product.title,
+      sellerId: product.sellerId,
+      note: note || '',
+      createdBy: user._id.toString(),
+      createdByRole: user.role
+    };
+    const changes = [{ ...base, productStatus, runAt: firstRunAt }];
+
+    if (revertAt) {
+      const revertRunAt = ProductScheduleService.parseDate(revertAt, 'revertAt');
+      if (revertRunAt <= firstRunAt) {
+        throw scheduleError('revertAt must be after runAt');
+      }
+
+      const statusBack = revertStatus || product.productStatus || PRODUCT_STATUS.ACTIVE;
+      if (!SCHEDULABLE_STATUSES.includes(statusBack)) {
+        throw scheduleError('Valid revert status is required');
+      }
+
+      const groupId = new ObjectId().toString();
+      changes[0].groupId = groupId;
+      changes.push({ ...base, productStatus: statusBack, runAt: revertRunAt, groupId });
+    }
+
+    const result = await ProductScheduleModel.insertMany(changes);
+    return await ProductScheduleModel.findAll({ _id: { $in: Object.values(result.insertedIds) } });
+  }
+
+  static async getForProduct(productId, user, { status } = {}, options = {}) {
+    const product = await ProductScheduleService.getManagedProduct(productId, user);
+
+    const query = { productId: product._id.toString() };
+    if (status && Object.values(PRODUCT_SCHEDULE_STATUS).includes(status)) query.status = status;
+
+    return await ProductScheduleModel.find(query, options);
+  }
+
+  // Cancelling a change also cancels the later steps of its group, so a launch that is
+  // called off does not still revert the status (and undo manual changes) later on
+  static async cancel(productId, scheduleId, user) {
+    const product = await ProductScheduleService.getManagedProduct(productId, user);
+
+    const schedule = await ProductScheduleModel.findById(scheduleId);
+    if (!schedule || schedule.productId !== product._id.toString()) {
+      throw scheduleError('Scheduled change not found', 404);
+    }
+
+    const cancellation = { cancelledAt: new Date(), cancelledBy: user._id.toString() };
+    const result = await ProductScheduleModel.transitionStatus(
+      schedule._id,
+      [PRODUCT_SCHEDULE_STATUS.SCHEDULED],
+      PRODUCT_SCHEDULE_STATUS.CANCELLED,
+      cancellation
+    );
+    if (result.matchedCount === 0) {
+      throw Object.assign(
+        scheduleError(`Only scheduled changes can be cancelled (this one is ${schedule.status})`, 409),
+        { currentStatus: schedule.status, allowedStatuses: [] }
+      );
+    }
+
+    if (schedule.groupId) {
+      await ProductScheduleModel.cancelGroupFrom(schedule.groupId, schedule.runAt, cancellation);
+    }
+
+    return await ProductScheduleModel.findById(schedule._id);
+  }
+
+  // Changes between from and to grouped by UTC day: [{ date, changes }]
+  static async getCalendar({ from, to, status, sellerId } = {}) {
+    const start = from ? ProductScheduleService.parseDate(from, 'from') : new Date();
+    const end = to
+      ? ProductScheduleService.parseDate(to, 'to')
+      : new Date(start.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    const query = {
+      runAt: { $gte: start, $lte: end },
+      status: status && Object.values(PRODUCT_SCHEDULE_STATUS).includes(status)
+        ? status
+        : PRODUCT_SCHEDULE_STATUS.SCHEDULED
+    };
+    if (sellerId) query.sellerId = sellerId;
+
+    const schedules = await ProductScheduleModel.findAll(query);
+
+    const days = new Map();
+    schedules.forEach(schedule => {
+      const date = schedule.runAt.toISOString().slice(0, 10);
+      if (!days.has(date)) days.set(date, []);
+      days.get(date).push(schedule);
+    });
+
+    return {
+      from: start,
+      to: end,
+      total: schedules.length,
+      days: [...days.entries()].map(([date, changes]) => ({ date, changes }))
+    };
+  }
+
+  // Applies every due change. Every cluster worker runs this; the claim makes sure
+  // each change is applied by one of them only, and a change whose worker died is
+  // picked up again once its lock runs out.
+  static async applyDue(now = new Date()) {
+    const due = await ProductScheduleModel.findDue(now);
+    const lockedUntil = new Date(now.getTime() + PRODUCT_SCHEDULE.LOCK_MINUTES * 60 * 1000);
+
+    const applied = [];
+    const failed = [];
+    for (const schedule of due) {
+      const claimed = await ProductScheduleModel.claim(schedule, now, lockedUntil);
+      if (claimed.matchedCount === 0) continue;
+
+      try {
+        applied.push(await ProductScheduleService.apply(schedule));
+      } catch (error) {
+        failed.push(schedule.productCode);
+        await ProductScheduleService.handleFailure(schedule, error);
+      }
+    }
+
+    return { applied, failed };
+  }
+
+  static async apply(schedule) {
+    const product = await ProductModel.findById(schedule.productId);
+    if (!product || product.deletedAt) {
+      throw scheduleError('Product no longer exists or is in the trash', 404);
+    }
+
+    const previousStatus = product.productStatus;
+    const appliedAt = new Date();
+
+    await ProductRevisionService.ensureBaseline(product);
+    await ProductModel.collection().updateOne(
+      { _id: product._id },
+      {
+        $set: { productStatus: schedule.productStatus, updatedAt: appliedAt, updatedBy: schedule.createdBy },
+        $inc: { revision: 1 }
+      }
+    );
+
+    const updatedProduct = await ProductModel.findById(product._id);
+    await ProductRevisionService.record(
+      updatedProduct,
+      PRODUCT_REVISION_ACTIONS.STATUS_CHANGE,
+      { _id: schedule.createdBy, role: schedule.createdByRole },
+      { scheduleId: schedule._id.toString() }
+    );
+
+    await ProductScheduleModel.transitionStatus(
+      schedule._id,
+      [PRODUCT_SCHEDULE_STATUS.PROCESSING],
+      PRODUCT_SCHEDULE_STATUS.APPLIED,
+      { appliedAt, previousStatus }
+    );
+
+    ProductScheduleService.clearCaches(schedule.productId);
+    ProductScheduleService.notify(schedule, previousStatus);
+
+    return schedule.productCode;
+  }
+
+  // Missing products fail at once; other errors are retried on the next runs
+  static async handleFailure(schedule, error) {
+    const attempts = (schedule.attempts || 0) + 1;
+    const retry = error.status !== 404 && attempts < MAX_ATTEMPTS;
+
+    if (!retry) {
+      logger.error(`Scheduled status change ${schedule._id} for ${schedule.productCode} failed:`, error);
+    } else {
+      logger.warn(`Scheduled status change ${schedule._id} for ${schedule.productCode} will be retried: ${error.message}`);
+    }
+
+    await ProductScheduleModel.transitionStatus(
+      schedule._id,
+      [PRODUCT_SCHEDULE_STATUS.PROCESSING],
+      retry ? PRODUCT_SCHEDULE_STATUS.SCHEDULED : PRODUCT_SCHEDULE_STATUS.FAILED,
+      { error: error.message }
+    );
+  }
+
+  static clearCaches(productId) {
+    Promise.all([
+      clearCacheByPattern('cache:/api/v1/products'),
+      clearCacheByPattern('products:'),
+      clearCacheByPattern(`product:${productId}`),
+      clearCacheByPattern('search:'),
+      clearCacheByPattern('popular_products:'),
+      clearCacheByPattern('related_products:'),
+      clearCacheByPattern('seller_products:'),
+      clearCacheByPattern('admin_products:')
+    ]).catch(err => logger.error('Cache clear error:', err));
+  }
+
+  // Socket.IO event for the seller and admins; failures are logged and never block the change
+  static notify(schedule, previousStatus) {
+    try {
+      const payload = {
+        productId: schedule.productId,
+        productCode: schedule.productCode,
+        scheduleId: schedule._id,
+        previousStatus,
+        productStatus: schedule.productStatus
+      };
+
+      const io = getIO();
+      if (schedule.sellerId) io.to(schedule.sellerId).emit('productStatusChanged', payload);
+      io.to('admin-room').emit('productStatusChanged', payload);
+    } catch (error) {
+      logger.warn(`Product status socket event not sent: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ProductScheduleService;
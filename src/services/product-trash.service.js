@@ -0,0 +1,135 @@
+const ProductModel = require('../models/product.model');
+const ProductRevisionService = require('./product-revision.service');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const StorageService = require('./storage.service');
+const { PRODUCT_TRASH } = require('../config/constants');
+
+// Errors carry an HTTP status the controllers pass straight through
+const trashError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class ProductTrashService {
+  // Only changed by trashing and restoring
+  static getFields() {
+    return ['deletedAt', 'deletedBy', 'purgeAfter'];
+  }
+
+  // Every query outside the trash listing excludes trashed products
+  static getLiveFilter() {
+    return { deletedAt: null };
+  }
+
+  static isTrashed(product) {
+    return Boolean(product.deletedAt);
+  }
+
+  static async getManagedProduct(productId, user) {
+    const product = await ProductModel.findById(productId);
+    if (!product) {
+      throw trashError('Product not found', 404);
+    }
+    if (!Helpers.canManageProduct(user, product)) {
+      throw trashError('Access denied', 403);
+    }
+    return product;
+  }
+
+  // Soft delete: the product and its images are kept until purgeAfter
+  static async trash(productId, user) {
+    const product = await ProductTrashService.getManagedProduct(productId, user);
+    if (ProductTrashService.isTrashed(product)) {
+      throw trashError('Product is already in the trash', 409);
+    }
+
+    const deletedAt = new Date();
+    const result = await ProductModel.collection().updateOne(
+      { _id: product._id, deletedAt: null },
+      {
+        $set: {
+          deletedAt,
+          deletedBy: user?._id?.toString() || 'system',
+          purgeAfter: new Date(deletedAt.getTime() + PRODUCT_TRASH.RETENTION_DAYS * DAY)
+        }
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw trashError('Product is already in the trash', 409);
+    }
+
+    return await ProductModel.findById(product._id);
+  }
+
+  static async restore(productId, user) {
+    const product = await ProductTrashService.getManagedProduct(productId, user);
+    if (!ProductTrashService.isTrashed(product)) {
+      throw trashError('Product is not in the trash', 409);
+    }
+
+    const result = await ProductModel.collection().updateOne(
+      { _id: product._id, deletedAt: { $ne: null } },
+      {
+        $set: { updatedAt: new Date(), updatedBy: user?._id?.toString() || 'system' },
+        $unset: { deletedAt: '', deletedBy: '', purgeAfter: '' }
+      }
+    );
+    if (result.matchedCount === 0) {
+      throw trashError('Product is not in the trash', 409);
+    }
+
+    return await ProductModel.findById(product._id);
+  }
+
+  // Most recently deleted first
+  static async getTrash(filters = {}, options = {}) {
+    return await ProductModel.find(
+      { ...filters, deletedAt: { $ne: null } },
+      {
+        ...options,
+        sort: { deletedAt: -1 },
+        projection: {
+          title: 1, productCode: 1, slug: 1, mainImage: 1, category: 1, sellerId: 1,
+          productStatus: 1, deletedAt: 1, deletedBy: 1, purgeAfter: 1
+        }
+      }
+    );
+  }
+
+  // Permanently removes products whose retention has run out, with every file any
+  // revision referenced. Every cluster worker may run this; the conditional delete
+  // makes sure each product is purged (and its files deleted) by one of them only.
+  // Works through at most limit products; hasMore tells the caller to run another batch.
+  static async purgeExpired(now = new Date(), limit = 100) {
+    const products = await ProductModel.collection()
+      .find({ deletedAt: { $ne: null }, purgeAfter: { $lte: now } })
+      .limit(limit)
+      .toArray();
+
+    const purged = [];
+    for (const product of products) {
+      const files = await ProductRevisionService.getStoredFiles(product);
+
+      const result = await ProductModel.collection().deleteOne({
+        _id: product._id,
+        deletedAt: { $ne: null },
+        purgeAfter: { $lte: now }
+      });
+      if (result.deletedCount === 0) continue;
+
+      await Promise.allSettled(
+        files.map(file =>
+          StorageService.remove(file.key, file.mime)
+            .catch(err => logger.error(`Error deleting file ${file.key} of purged product ${product.productCode}:`, err))
+        )
+      );
+      await ProductRevisionService.deleteRevisions(product._id.toString());
+
+      purged.push(product.productCode);
+    }
+
+    return { purged, hasMore: products.length === limit };
+  }
+}
+
+module.exports = ProductTrashService;
@@ -0,0 +1,236 @@
+const QuoteModel = require('../models/quote.model');
+const OrderService = require('./order.service');
+const EmailService = require('../utils/email');
+const Helpers = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { getIO } = require('../config/socket');
+const { QUOTE_STATUS, QUOTE_STATUS_TRANSITIONS } = require('../config/constants');
+
+// Errors carry an HTTP status the controllers pass straight through
+const quoteError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class QuoteService {
+  static getAllowedTransitions(status) {
+    return QUOTE_STATUS_TRANSITIONS[status] || [];
+  }
+
+  // Buyers only see their own quotes; manage_orders sees every quote
+  static canAccess(user, quote) {
+    return Helpers.checkPermission(user, 'manage_orders') || quote.userId === user._id.toString();
+  }
+
+  static async getQuoteForUser(quoteId, user) {
+    const quote = await QuoteModel.findById(quoteId);
+    if (!quote || !QuoteService.canAccess(user, quote)) {
+      throw quoteError('Quote not found', 404);
+    }
+    return quote;
+  }
+
+  static async getAllQuotes(filters = {}, options = {}) {
+    return await QuoteModel.find(filters, options);
+  }
+
+  // Buyer RFQ. Lines go through the same catalog, MOQ and case-pack checks as orders;
+  // catalog prices are kept as an estimate until staff respond.
+  static async requestQuote(user, quoteRequest) {
+    const { products, name, email, phone, company, notes } = quoteRequest;
+    const priced = await OrderService.priceOrderItems(products);
+
+    const items = priced.items.map((item, index) => ({
+      ...item,
+      customization: products[index].customization || null,
+      estimatedUnitPrice: item.unitPrice,
+      unitPrice: null,
+      lineTotal: null
+    }));
+
+    const quoteData = {
+      quoteNumber: Helpers.generateQuoteNumber(),
+      userId: user._id.toString(),
+      name,
+      email: email.toLowerCase(),
+      phone,
+      company: company || null,
+      notes: notes || '',
+      items,
+      estimate: {
+        totals: priced.totals,
+        leadTimeDays: priced.leadTimeDays,
+        estimatedShipDate: priced.estimatedShipDate
+      },
+      additionalCharges: [],
+      totals: null,
+      validUntil: null,
+      orderId: null
+    };
+
+    const result = await QuoteModel.create(quoteData);
+    const quote = await QuoteModel.findById(result.insertedId);
+
+    QuoteService.notifyStatusChange(quote, null, quote.statusHistory[0]);
+
+    return quote;
+  }
+
+  // Enforces QUOTE_STATUS_TRANSITIONS and records history
+  static async changeStatus(quote, status, { actor = null, note = '', updateData = {} } = {}) {
+    const allowedStatuses = QuoteService.getAllowedTransitions(quote.status);
+    if (!allowedStatuses.includes(status)) {
+      throw Object.assign(
+        quoteError(`Cannot change quote status from ${quote.status} to ${status}`, 409),
+        { currentStatus: quote.status, allowedStatuses }
+      );
+    }
+
+    const historyEntry = {
+      status,
+      changedAt: new Date(),
+      changedBy: actor ? actor._id.toString() : null,
+      changedByRole: actor ? actor.role : null,
+      note: note || ''
+    };
+
+    const result = await QuoteModel.transitionStatus(quote._id, quote.status, historyEntry, updateData);
+    if (result.matchedCount === 0) {
+      // Someone else moved the quote first
+      const current = await QuoteModel.findById(quote._id);
+      throw Object.assign(
+        quoteError('Quote status was changed by another request', 409),
+        { currentStatus: current.status, allowedStatuses: QuoteService.getAllowedTransitions(current.status) }
+      );
+    }
+
+    const updatedQuote = await QuoteModel.findById(quote._id);
+    QuoteService.notifyStatusChange(updatedQuote, quote.status, historyEntry);
+
+    return updatedQuote;
+  }
+
+  // Staff pricing: one unit price per requested line, plus optional setup/printing charges
+  static async respondToQuote(quoteId, actor, { items, additionalCharges = [], validUntil, note }) {
+    const quote = await QuoteModel.findById(quoteId);
+    if (!quote) {
+      throw quoteError('Quote not found', 404);
+    }
+
+    if (items.length !== quote.items.length) {
+      throw quoteError(`Expected prices for ${quote.items.length} line(s), got ${items.length}`);
+    }
+
+    const quotedItems = quote.items.map((item, index) => {
+      const unitPrice = roundMoney(Number(items[index].unitPrice));
+      return {
+        ...item,
+        unitPrice,
+        lineTotal: roundMoney(unitPrice * item.quantity)
+      };
+    });
+
+    const charges = additionalCharges.map(charge => ({
+      label: charge.label,
+      amount: roundMoney(Number(charge.amount))
+    }));
+
+    const subtotal = roundMoney(quotedItems.reduce((sum, item) => sum + item.lineTotal, 0));
+    const chargesTotal = roundMoney(charges.reduce((sum, charge) => sum + charge.amount, 0));
+
+    return await QuoteService.changeStatus(quote, QUOTE_STATUS.QUOTED, {
+      actor,
+      note,
+      updateData: {
+        items: quotedItems,
+        additionalCharges: charges,
+        totals: {
+          quantity: quotedItems.reduce((sum, item) => sum + item.quantity, 0),
+          subtotal,
+          additionalCharges: chargesTotal,
+          total: roundMoney(subtotal + chargesTotal)
+        },
+        validUntil: new Date(validUntil),
+        respondedBy: actor._id.toString(),
+        respondedAt: new Date()
+      }
+    });
+  }
+
+  // Buyer accepts a quote that is still valid; the quoted prices become an order
+  static async acceptQuote(quoteId, user, { shippingAddress, note } = {}) {
+    const quote = await QuoteService.getQuoteForUser(quoteId, user);
+
+    if (quote.userId !== user._id.toString()) {
+      throw quoteError('Only the buyer can accept this quote', 403);
+    }
+
+    if (quote.status === QUOTE_STATUS.QUOTED && quote.validUntil && new Date(quote.validUntil) < new Date()) {
+      await QuoteService.changeStatus(quote, QUOTE_STATUS.EXPIRED, { note: 'Quote validity ended' });
+      throw Object.assign(quoteError('Quote has expired', 409), {
+        currentStatus: QUOTE_STATUS.EXPIRED,
+        allowedStatuses: []
+      });
+    }
+
+    // Accept first so two concurrent requests cannot both create an order
+    const accepted = await QuoteService.changeStatus(quote, QUOTE_STATUS.ACCEPTED, { actor: user, note });
+
+    let order;
+    try {
+      order = await OrderService.placeQuotedOrder(accepted, { shippingAddress });
+    } catch (error) {
+      await QuoteModel.transitionStatus(quote._id, QUOTE_STATUS.ACCEPTED, {
+        status: QUOTE_STATUS.QUOTED,
+        changedAt: new Date(),
+        changedBy: null,
+        changedByRole: null,
+        note: 'Order could not be created'
+      });
+      throw error;
+    }
+
+    await QuoteModel.collection().updateOne({ _id: quote._id }, { $set: { orderId: order._id.toString() } });
+
+    return { quote: { ...accepted, orderId: order._id.toString() }, order };
+  }
+
+  static async rejectQuote(quoteId, user, note) {
+    const quote = await QuoteService.getQuoteForUser(quoteId, user);
+
+    if (quote.userId !== user._id.toString()) {
+      throw quoteError('Only the buyer can reject this quote', 403);
+    }
+
+    return await QuoteService.changeStatus(quote, QUOTE_STATUS.REJECTED, { actor: user, note });
+  }
+
+  static async cancelQuote(quoteId, user, note) {
+    const quote = await QuoteService.getQuoteForUser(quoteId, user);
+    return await QuoteService.changeStatus(quote, QUOTE_STATUS.CANCELLED, { actor: user, note });
+  }
+
+  // Emails both sides and emits a Socket.IO event; failures are logged and never block the change
+  static notifyStatusChange(quote, previousStatus, historyEntry) {
+    EmailService.sendQuoteStatusEmails(quote, historyEntry.note)
+      .catch(error => logger.error('Failed to send quote status emails:', error));
+
+    try {
+      const payload = {
+        quoteId: quote._id,
+        quoteNumber: quote.quoteNumber,
+        previousStatus,
+        status: quote.status,
+        changedAt: historyEntry.changedAt,
+        note: historyEntry.note
+      };
+
+      const io = getIO();
+      io.to(quote.userId).emit('quoteStatusChanged', payload);
+      io.to('admin-room').emit('quoteStatusChanged', payload);
+    } catch (error) {
+      logger.warn(`Quote status socket event not sent: ${error.message}`);
+    }
+  }
+}
+
+module.exports = QuoteService;
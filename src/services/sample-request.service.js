@@ -0,0 +1,161 @@
+const SampleRequestModel = require('../models/sample-request.model');
+const ProductModel = require('../models/product.model');
+const OrderModel = require('../models/order.model');
+const ProductModerationService = require('./product-moderation.service');
+const Helpers = require('../utils/helpers');
+const { PRODUCT_STATUS, SAMPLE_STATUS, SAMPLE_STATUS_TRANSITIONS } = require('../config/constants');
+
+// Errors carry an HTTP status the controllers pass straight through
+const sampleError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Merchandisers move samples through development; buyers decide on them
+const STAFF_STATUSES = [SAMPLE_STATUS.IN_DEVELOPMENT, SAMPLE_STATUS.DISPATCHED, SAMPLE_STATUS.CANCELLED];
+const BUYER_STATUSES = [SAMPLE_STATUS.APPROVED, SAMPLE_STATUS.REJECTED, SAMPLE_STATUS.CANCELLED];
+
+class SampleRequestService {
+  static getAllowedTransitions(status) {
+    return SAMPLE_STATUS_TRANSITIONS[status] || [];
+  }
+
+  static isStaff(user) {
+    return Helpers.checkPermission(user, 'manage_orders');
+  }
+
+  static async getSampleForUser(sampleId, user) {
+    const sample = await SampleRequestModel.findById(sampleId);
+    if (!sample || (!SampleRequestService.isStaff(user) && sample.userId !== user._id.toString())) {
+      throw sampleError('Sample request not found', 404);
+    }
+    return sample;
+  }
+
+  static async getAllSamples(filters = {}, options = {}) {
+    return await SampleRequestModel.find(filters, options);
+  }
+
+  static async requestSample(user, sampleRequest) {
+    const { productId, sampleType, colors = [], sizes = [], quantity = 1, notes, shippingAddress } = sampleRequest;
+
+    const product = await ProductModel.findById(productId);
+    if (!product || product.deletedAt || product.productStatus === PRODUCT_STATUS.INACTIVE ||
+      !ProductModerationService.isPublic(product)) {
+      throw sampleError('Product is not available', 404);
+    }
+
+    const unknownColors = product.colors?.length ? colors.filter(color => !product.colors.includes(color)) : [];
+    const unknownSizes = product.sizes?.length ? sizes.filter(size => !product.sizes.includes(size)) : [];
+    if (unknownColors.length > 0 || unknownSizes.length > 0) {
+      throw sampleError(
+        `Not offered for ${product.productCode}: ${[...unknownColors, ...unknownSizes].join(', ')}`
+      );
+    }
+
+    const sampleData = {
+      productId: product._id.toString(),
+      productCode: product.productCode,
+      title: product.title,
+      mainImage: product.mainImage || null,
+      userId: user._id.toString(),
+      email: user.email,
+      sampleType,
+      colors,
+      sizes,
+      quantity: parseInt(quantity),
+      notes: notes || '',
+      shippingAddress: shippingAddress || null
+    };
+
+    const result = await SampleRequestModel.create(sampleData);
+    return await SampleRequestModel.findById(result.insertedId);
+  }
+
+  // Enforces SAMPLE_STATUS_TRANSITIONS and who may set each status
+  static async updateStatus(sampleId, user, { status, note, courier, trackingNumber }) {
+    const sample = await SampleRequestService.getSampleForUser(sampleId, user);
+    const isStaff = SampleRequestService.isStaff(user);
+    const isOwner = sample.userId === user._id.toString();
+
+    const permitted = (isStaff && STAFF_STATUSES.includes(status)) ||
+      (isOwner && BUYER_STATUSES.includes(status));
+    if (!permitted) {
+      throw sampleError(`You cannot set a sample to ${status}`, 403);
+    }
+
+    // Buyers can only withdraw a request before work starts
+    if (status === SAMPLE_STATUS.CANCELLED && !isStaff && sample.status !== SAMPLE_STATUS.REQUESTED) {
+      throw sampleError('Sample is already in development; ask your merchandiser to cancel it', 409);
+    }
+
+    const allowedStatuses = SampleRequestService.getAllowedTransitions(sample.status);
+    if (!allowedStatuses.includes(status)) {
+      throw Object.assign(
+        sampleError(`Cannot change sample status from ${sample.status} to ${status}`, 409),
+        { currentStatus: sample.status, allowedStatuses }
+      );
+    }
+
+    if (status === SAMPLE_STATUS.REJECTED && !note) {
+      throw sampleError('Comments are required when rejecting a sample');
+    }
+
+    const changedAt = new Date();
+    const updateData = {};
+    const increment = {};
+
+    if (status === SAMPLE_STATUS.DISPATCHED) {
+      updateData.dispatch = { courier: courier || null, trackingNumber: trackingNumber || null, dispatchedAt: changedAt };
+    }
+    if (status === SAMPLE_STATUS.APPROVED) {
+      updateData.approvedAt = changedAt;
+      updateData.approvedBy = user._id.toString();
+    }
+    if (status === SAMPLE_STATUS.REJECTED) {
+      updateData.rejection = { comments: note, rejectedAt: changedAt, round: sample.round };
+    }
+    if (status === SAMPLE_STATUS.IN_DEVELOPMENT && sample.status === SAMPLE_STATUS.REJECTED) {
+      increment.round = 1;
+    }
+
+    const historyEntry = {
+      status,
+      changedAt,
+      changedBy: user._id.toString(),
+      changedByRole: user.role,
+      note: note || ''
+    };
+
+    const result = await SampleRequestModel.transitionStatus(sample._id, sample.status, historyEntry, updateData, increment);
+    if (result.matchedCount === 0) {
+      throw sampleError('Sample status was changed by another request', 409);
+    }
+
+    return await SampleRequestModel.findById(sample._id);
+  }
+
+  // Trace an approved sample to the bulk order of the same buyer and product
+  static async linkOrder(sampleId, user, orderId) {
+    const sample = await SampleRequestService.getSampleForUser(sampleId, user);
+
+    if (sample.status !== SAMPLE_STATUS.APPROVED) {
+      throw sampleError('Only approved samples can be linked to an order', 409);
+    }
+
+    const order = await OrderModel.findById(orderId);
+    if (!order || order.userId !== sample.userId) {
+      throw sampleError('Order not found for this buyer', 404);
+    }
+
+    if (!order.products.some(item => item.productId === sample.productId)) {
+      throw sampleError(`Order does not contain ${sample.productCode}`);
+    }
+
+    await Promise.all([
+      SampleRequestModel.linkOrder(sample._id, order._id.toString()),
+      OrderModel.addSampleRequest(order._id, sample._id.toString())
+    ]);
+
+    return await SampleRequestModel.findById(sample._id);
+  }
+}
+
+module.exports = SampleRequestService;
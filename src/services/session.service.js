@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const SessionModel = require('../models/session.model');
+const { redisClient } = require('../middleware/cache');
+const { AUTH } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const revokedKey = (sessionId) => `revoked_session:${sessionId}`;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+class SessionService {
+  // mfa marks tokens from sessions that passed a second factor
+  static signAccessToken(user, sessionId, mfa = false) {
+    return jwt.sign(
+      {
+        userId: user._id.toString(),
+        email: user.email,
+        role: user.role,
+        sid: sessionId.toString(),
+        mfa
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: AUTH.ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+  static buildRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(48).toString('hex');
+    return { token: `${sessionId}.${secret}`, hash: hashToken(secret) };
+  }
+
+  static parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) return null;
+    return { sessionId, hash: hashToken(secret) };
+  }
+
+  // Start a new session for a device and issue its first token pair
+  static async createSession(user, meta = {}) {
+    const sessionId = new ObjectId();
+    const refresh = SessionService.buildRefreshToken(sessionId);
+
+    await SessionModel.create({
+      _id: sessionId,
+      userId: user._id,
+      refreshTokenHash: refresh.hash,
+      deviceName: meta.deviceName || null,
+      userAgent: meta.userAgent || null,
+      ip: meta.ip || null,
+      mfa: Boolean(meta.mfa),
+      expiresAt: new Date(Date.now() + AUTH.REFRESH_TOKEN_TTL)
+    });
+
+    return {
+      sessionId,
+      accessToken: SessionService.signAccessToken(user, sessionId, Boolean(meta.mfa)),
+      refreshToken: refresh.token,
+      expiresIn: AUTH.ACCESS_TOKEN_TTL
+    };
+  }
+
+  // Returns the session a refresh token belongs to, or null if it cannot be used.
+  // Presenting an already-rotated token revokes the whole session.
+  static async findRefreshableSession(refreshToken) {
+    const parsed = SessionService.parseRefreshToken(refreshToken);
+    if (!parsed) return null;
+
+    const session = await SessionModel.findById(parsed.sessionId);
+    if (!session || session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+      return null;
+    }
+
+    const stored = Buffer.from(session.refreshTokenHash);
+    const presented = Buffer.from(parsed.hash);
+    if (stored.length !== presented.length || !crypto.timingSafeEqual(stored, presented)) {
+      logger.warn(`Refresh token reuse detected for session ${session._id}`);
+      await SessionService.revokeSession(session._id, 'refresh_token_reuse');
+      return null;
+    }
+
+    return { session, hash: parsed.hash };
+  }
+
+  // Rotate the refresh token and mint a new access token for the session
+  static async rotateSession(user, session, currentHash) {
+    const expiresAt = new Date(Date.now() + AUTH.REFRESH_TOKEN_TTL);
+    const refresh = SessionService.buildRefreshToken(session._id);
+
+    const result = await SessionModel.rotate(session._id, currentHash, refresh.hash, expiresAt);
+    if (result.modifiedCount === 0) {
+      // Lost a race with another refresh using the same token
+      await SessionService.revokeSession(session._id, 'refresh_token_reuse');
+      return null;
+    }
+
+    return {
+      sessionId: session._id,
+      accessToken: SessionService.signAccessToken(user, session._id, Boolean(session.mfa)),
+      refreshToken: refresh.token,
+      expiresIn: AUTH.ACCESS_TOKEN_TTL
+    };
+  }
+
+  // Record that the session passed a second factor and mint a matching access token
+  static async upgradeSessionMfa(user, sessionId) {
+    await SessionModel.markMfa(sessionId);
+
+    return {
+      sessionId,
+      accessToken: SessionService.signAccessToken(user, sessionId, true),
+      expiresIn: AUTH.ACCESS_TOKEN_TTL
+    };
+  }
+
+  static async markRevoked(sessionIds) {
+    if (!redisClient.isOpen || sessionIds.length === 0) return;
+
+    try {
+      await Promise.all(
+        sessionIds.map(id => redisClient.setEx(revokedKey(id), AUTH.ACCESS_TOKEN_TTL, '1'))
+      );
+    } catch (error) {
+      logger.error('Failed to mark sessions revoked in Redis:', error);
+    }
+  }
+
+  static async revokeSession(sessionId, reason = 'logout') {
+    const result = await SessionModel.revoke(sessionId, reason);
+    await SessionService.markRevoked([sessionId.toString()]);
+    return result;
+  }
+
+  static async revokeAllForUser(userId, reason = 'logout_all', exceptSessionId = null) {
+    const sessions = await SessionModel.findActiveByUser(userId);
+    const ids = sessions
+      .map(session => session._id.toString())
+      .filter(id => !exceptSessionId || id !== exceptSessionId.toString());
+
+    await SessionModel.revokeMany(ids, reason);
+    await SessionService.markRevoked(ids);
+
+    return ids.length;
+  }
+
+  // Redis answers for revocations it holds; a miss is confirmed in Mongo, since a
+  // revocation made while Redis was unavailable only reached Mongo
+  static async isSessionRevoked(sessionId) {
+    if (redisClient.isOpen) {
+      try {
+        if ((await redisClient.exists(revokedKey(sessionId))) === 1) return true;
+      } catch (error) {
+        logger.error('Redis revocation check error:', error);
+      }
+    }
+
+    const session = await SessionModel.findById(sessionId);
+    return !session || Boolean(session.revokedAt);
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,245 @@
+const ProductModel = require('../models/product.model');
+const UserModel = require('../models/user.model');
+const EmailService = require('../utils/email');
+const logger = require('../utils/logger');
+const { clearCacheByPattern } = require('../middleware/cache');
+const { getIO } = require('../config/socket');
+const { PRODUCT_STATUS } = require('../config/constants');
+const { ObjectId } = require('mongodb');
+
+// Per-product alert settings:
+//   reorderThreshold  alert when available stock is at or below this (null = no alerts)
+//   autoStockStatus   switch productStatus to out-of-stock at zero and back when replenished
+// The current alert level is kept in stockAlert { level, since } so each drop is reported once.
+
+const LEVELS = { low: 1, out_of_stock: 2 };
+
+const alertError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+class StockAlertService {
+  static getFields() {
+    return ['reorderThreshold', 'autoStockStatus'];
+  }
+
+  // Validates the alert fields present in a request body
+  static normalize(data) {
+    const settings = {};
+
+    if (data.reorderThreshold !== undefined) {
+      if (data.reorderThreshold === null || data.reorderThreshold === '') {
+        settings.reorderThreshold = null;
+      } else {
+        const threshold = Number(data.reorderThreshold);
+        if (!Number.isInteger(threshold) || threshold < 0) {
+          throw alertError('reorderThreshold must be a whole number of 0 or more');
+        }
+        settings.reorderThreshold = threshold;
+      }
+    }
+
+    if (data.autoStockStatus !== undefined) {
+      settings.autoStockStatus = data.autoStockStatus === true || data.autoStockStatus === 'true';
+    }
+
+    return settings;
+  }
+
+  static getAvailable(product) {
+    return product.availableQuantity ?? product.quantity ?? 0;
+  }
+
+  static getLevel(product) {
+    if (product.reorderThreshold === null || product.reorderThreshold === undefined) return null;
+
+    const available = StockAlertService.getAvailable(product);
+    if (available <= 0) return 'out_of_stock';
+    if (available <= product.reorderThreshold) return 'low';
+    return null;
+  }
+
+  // Records the new level; true only for the request that actually changed it
+  static async updateLevel(product, level) {
+    const previous = product.stockAlert?.level || null;
+    const result = await ProductModel.collection().updateOne(
+      { _id: product._id, 'stockAlert.level': previous === null ? { $in: [null] } : previous },
+      { $set: { stockAlert: { level, since: level ? new Date() : null } } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // Out of stock at zero available; the previous status comes back once stock returns
+  static async updateStatus(product) {
+    if (!product.autoStockStatus) return null;
+
+    const available = StockAlertService.getAvailable(product);
+
+    if (available <= 0 && product.productStatus !== PRODUCT_STATUS.OUT_OF_STOCK) {
+      const result = await ProductModel.collection().updateOne(
+        { _id: product._id, productStatus: product.productStatus },
+        {
+          $set: {
+            productStatus: PRODUCT_STATUS.OUT_OF_STOCK,
+            statusBeforeOutOfStock: product.productStatus || PRODUCT_STATUS.ACTIVE,
+            updatedAt: new Date()
+          }
+        }
+      );
+      return StockAlertService.reportStatusChange(
+        product,
+        result,
+        { from: product.productStatus, to: PRODUCT_STATUS.OUT_OF_STOCK }
+      );
+    }
+
+    if (available > 0 && product.productStatus === PRODUCT_STATUS.OUT_OF_STOCK) {
+      const restored = product.statusBeforeOutOfStock || PRODUCT_STATUS.ACTIVE;
+      const result = await ProductModel.collection().updateOne(
+        { _id: product._id, productStatus: PRODUCT_STATUS.OUT_OF_STOCK },
+        {
+          $set: { productStatus: restored, updatedAt: new Date() },
+          $unset: { statusBeforeOutOfStock: '' }
+        }
+      );
+      return StockAlertService.reportStatusChange(
+        product,
+        result,
+        { from: PRODUCT_STATUS.OUT_OF_STOCK, to: restored }
+      );
+    }
+
+    return null;
+  }
+
+  // The change when this update made it (storefront listings are cleared so they show it), else null
+  static reportStatusChange(product, result, change) {
+    if (result.modifiedCount !== 1) return null;
+
+    StockAlertService.clearCaches(product._id.toString());
+    return change;
+  }
+
+  static clearCaches(productId) {
+    Promise.all([
+      clearCacheByPattern('cache:/api/v1/products'),
+      clearCacheByPattern('products:'),
+      clearCacheByPattern(`product:${productId}`),
+      clearCacheByPattern('search:'),
+      clearCacheByPattern('popular_products:'),
+      clearCacheByPattern('related_products:'),
+      clearCacheByPattern('seller_products:'),
+      clearCacheByPattern('admin_products:')
+    ]).catch(err => logger.error('Cache clear error:', err));
+  }
+
+  // Checks every product with alert settings or an open alert. Every cluster worker may run
+  // this; the conditional updates make sure each change is reported by one of them only.
+  static async scan() {
+    const products = await ProductModel.collection()
+      .find(
+        {
+          trackInventory: { $ne: false },
+          deletedAt: null,
+          $or: [
+            { reorderThreshold: { $ne: null } },
+            { autoStockStatus: true },
+            { 'stockAlert.level': { $ne: null } }
+          ]
+        },
+        {
+          projection: {
+            title: 1, productCode: 1, sellerId: 1, productStatus: 1, statusBeforeOutOfStock: 1,
+            quantity: 1, availableQuantity: 1, reorderThreshold: 1, autoStockStatus: 1, stockAlert: 1
+          }
+        }
+      )
+      .toArray();
+
+    const alerts = [];
+    const statusChanges = [];
+
+    for (const product of products) {
+      const level = StockAlertService.getLevel(product);
+      const previous = product.stockAlert?.level || null;
+
+      if (level !== previous && await StockAlertService.updateLevel(product, level)) {
+        // Only report when things get worse; recoveries just clear the flag
+        if (level && (LEVELS[level] > (LEVELS[previous] || 0))) {
+          alerts.push({
+            productId: product._id.toString(),
+            productCode: product.productCode,
+            title: product.title,
+            sellerId: product.sellerId,
+            available: StockAlertService.getAvailable(product),
+            reorderThreshold: product.reorderThreshold,
+            level
+          });
+        }
+      }
+
+      const statusChange = await StockAlertService.updateStatus(product);
+      if (statusChange) {
+        statusChanges.push({ productId: product._id.toString(), productCode: product.productCode, ...statusChange });
+      }
+    }
+
+    if (alerts.length > 0 || statusChanges.length > 0) {
+      await StockAlertService.notify(alerts, statusChanges);
+    }
+
+    return { checked: products.length, alerts, statusChanges };
+  }
+
+  // Currently flagged products
+  static async getFlaggedProducts(sellerId = null) {
+    const query = { 'stockAlert.level': { $ne: null }, deletedAt: null };
+    if (sellerId) query.sellerId = sellerId;
+
+    return await ProductModel.collection()
+      .find(query, {
+        projection: {
+          title: 1, productCode: 1, sellerId: 1, productStatus: 1, quantity: 1,
+          availableQuantity: 1, reorderThreshold: 1, autoStockStatus: 1, stockAlert: 1
+        }
+      })
+      .sort({ 'stockAlert.since': 1 })
+      .toArray();
+  }
+
+  // One email digest for the admins and one per seller, plus Socket.IO events.
+  // Failures are logged and never block the scan.
+  static async notify(alerts, statusChanges) {
+    const adminEmail = process.env.ADMIN_EMAIL_RECEIVER;
+    if (adminEmail && alerts.length > 0) {
+      EmailService.sendStockAlertEmail(adminEmail, alerts, 'Admin')
+        .catch(error => logger.error('Failed to send stock alert email:', error));
+    }
+
+    const bySeller = alerts.reduce((groups, alert) => {
+      if (ObjectId.isValid(alert.sellerId)) {
+        groups[alert.sellerId] = [...(groups[alert.sellerId] || []), alert];
+      }
+      return groups;
+    }, {});
+
+    for (const [sellerId, sellerAlerts] of Object.entries(bySeller)) {
+      const seller = await UserModel.findById(sellerId);
+      // Admin-owned products are already in the admin digest
+      if (seller?.email && seller.role !== 'admin') {
+        EmailService.sendStockAlertEmail(seller.email, sellerAlerts, seller.name)
+          .catch(error => logger.error('Failed to send stock alert email:', error));
+      }
+    }
+
+    try {
+      const io = getIO();
+      io.to('admin-room').emit('stockAlert', { alerts, statusChanges });
+      Object.entries(bySeller).forEach(([sellerId, sellerAlerts]) => {
+        io.to(sellerId).emit('stockAlert', { alerts: sellerAlerts });
+      });
+    } catch (error) {
+      logger.warn(`Stock alert socket event not sent: ${error.message}`);
+    }
+  }
+}
+
+module.exports = StockAlertService;
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { CloudinaryService } = require('../config/cloudinary');
+const { storageConfig } = require('../config/storage');
+const s3 = require('../utils/s3');
+
+// Errors carry an HTTP status the controllers pass straight through
+const storageError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+const generateKey = (folder, filePath) =>
+  `${folder}/${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(filePath).toLowerCase()}`;
+
+// Drivers: put(filePath, { key, kind, mime }) -> { url, key } and remove(key, kind).
+// put may consume the file; the service deletes whatever is left of it.
+const cloudinaryDriver = {
+  // Cloudinary names the file itself, in the folder for its kind
+  put: async (filePath, { kind }) => {
+    const result = kind === 'document'
+      ? await CloudinaryService.uploadPDF(filePath, 'ayira-ecommerce/pdfs')
+      : await CloudinaryService.uploadImage(filePath, 'ayira-ecommerce/images');
+    return { url: result.secure_url, key: result.public_id };
+  },
+  remove: async (key, kind) => {
+    await CloudinaryService.deleteFile(key, kind === 'document' ? 'raw' : 'image');
+  }
+};
+
+const resolveLocalPath = (key) => {
+  const root = path.resolve(storageConfig.local.root);
+  const target = path.resolve(root, key);
+  if (!target.startsWith(root + path.sep)) {
+    throw storageError(`Invalid storage key: ${key}`);
+  }
+  return target;
+};
+
+const localDriver = {
+  put: async (filePath, { key }) => {
+    const target = resolveLocalPath(key);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.renameSync(filePath, target);
+    return { url: `${storageConfig.local.baseUrl}/${key}`, key };
+  },
+  remove: async (key) => {
+    const target = resolveLocalPath(key);
+    if (fs.existsSync(target)) {
+      fs.unlinkSync(target);
+    }
+  }
+};
+
+// The client is created on first use, so a half-configured S3 only fails when it is selected
+let s3Client = null;
+const getS3Client = () => {
+  if (!s3Client) s3Client = s3.createClient(storageConfig.s3);
+  return s3Client;
+};
+
+const s3Driver = {
+  put: async (filePath, { key, mime }) => {
+    const { url } = await getS3Client().putObject(key, fs.readFileSync(filePath), { contentType: mime });
+    const publicUrl = storageConfig.s3.publicUrl;
+    return { url: publicUrl ? `${publicUrl.replace(/\/+$/, '')}/${key}` : url, key };
+  },
+  remove: async (key) => {
+    await getS3Client().deleteObject(key);
+  }
+};
+
+const DRIVERS = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+  s3: s3Driver
+};
+
+class StorageService {
+  static getDriverName() {
+    return storageConfig.driver;
+  }
+
+  static getDriver() {
+    const driver = DRIVERS[storageConfig.driver];
+    if (!driver) {
+      throw storageError(`Unknown STORAGE_DRIVER "${storageConfig.driver}" (use ${Object.keys(DRIVERS).join(', ')})`, 500);
+    }
+    return driver;
+  }
+
+  static getMimeType(filePath) {
+    return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  }
+
+  // Images are served and transformed as images; everything else is a document
+  static getKind(mime) {
+    return String(mime).startsWith('image/') ? 'image' : 'document';
+  }
+
+  // Moves a local (temporary) file into storage and returns its { url, key, size, mime }.
+  // folder groups the keys of the local and S3 drivers (products, pdfs, ...).
+  static async store(filePath, { folder, mime } = {}) {
+    const fileMime = mime || StorageService.getMimeType(filePath);
+    const kind = StorageService.getKind(fileMime);
+
+    try {
+      const { size } = fs.statSync(filePath);
+      const { url, key } = await StorageService.getDriver().put(filePath, {
+        key: generateKey(folder || (kind === 'image' ? 'images' : 'documents'), filePath),
+        kind,
+        mime: fileMime
+      });
+      return { url, key, size, mime: fileMime };
+    } finally {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+  }
+
+  // Deletes a stored file by its key; mime tells images from documents
+  static async remove(key, mime = 'image/*') {
+    if (!key) return;
+    await StorageService.getDriver().remove(key, StorageService.getKind(mime));
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,148 @@
+// Size x color variant matrix. Each variant:
+//   { sku, color, size, barcode, stock, reserved, available, price }
+// stock/reserved/available are counters kept by the inventory ledger (see inventory.service).
+// `price` is an optional override of the product's base price; tiers still apply on top.
+
+const variantError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const skuPart = (value) => String(value).trim().toUpperCase().replace(/[^A-Z0-9]+/g, '');
+
+const variantKey = (color, size) => `${color || ''}|${size || ''}`;
+
+class VariantService {
+  static buildSku(productCode, color, size) {
+    return [productCode, color, size]
+      .filter(part => part !== null && part !== undefined && part !== '')
+      .map(skuPart)
+      .join('-');
+  }
+
+  // GTIN-8/12/13/14 (EAN-13, UPC-A, ...) mod-10 check digit
+  static isValidGtin(code) {
+    const value = String(code || '');
+    if (!/^(\d{8}|\d{12,14})$/.test(value)) return false;
+
+    const digits = value.split('').map(Number);
+    const checkDigit = digits.pop();
+    const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+
+    return (10 - (sum % 10)) % 10 === checkDigit;
+  }
+
+  static findVariant(product, color, size) {
+    return (product.variants || []).find(variant =>
+      variantKey(variant.color, variant.size) === variantKey(color, size)
+    ) || null;
+  }
+
+  // Rebuilds the matrix from sizes x colors, keeping stock/barcode/price of combinations that still exist
+  static syncVariants(product, existingVariants = []) {
+    const colors = product.colors?.length ? product.colors : [null];
+    const sizes = product.sizes?.length ? product.sizes : [null];
+    if (!product.colors?.length && !product.sizes?.length) return [];
+
+    const existing = new Map(existingVariants.map(variant => [variantKey(variant.color, variant.size), variant]));
+
+    return colors.flatMap(color => sizes.map(size => {
+      const current = existing.get(variantKey(color, size));
+      return {
+        sku: current?.sku || VariantService.buildSku(product.productCode, color, size),
+        color,
+        size,
+        barcode: current?.barcode || null,
+        stock: current?.stock || 0,
+        price: current?.price ?? null
+      };
+    }));
+  }
+
+  // Applies per-variant edits ([{ sku } or { color, size }, barcode, stock, price]) from a request body
+  static applyVariantInput(variants, input) {
+    let edits = input;
+    if (typeof edits === 'string') {
+      try {
+        edits = JSON.parse(edits);
+      } catch (error) {
+        throw variantError('variants must be valid JSON');
+      }
+    }
+    if (!Array.isArray(edits)) {
+      throw variantError('variants must be an array');
+    }
+
+    const updated = variants.map(variant => ({ ...variant }));
+
+    edits.forEach((edit, index) => {
+      const variant = edit.sku
+        ? updated.find(v => v.sku === edit.sku)
+        : updated.find(v => variantKey(v.color, v.size) === variantKey(edit.color, edit.size));
+
+      if (!variant) {
+        throw variantError(`variants[${index}] does not match any size/color combination`);
+      }
+
+      if (edit.barcode !== undefined) {
+        if (edit.barcode && !VariantService.isValidGtin(edit.barcode)) {
+          throw variantError(`variants[${index}].barcode ${edit.barcode} is not a valid EAN/GTIN`);
+        }
+        variant.barcode = edit.barcode ? String(edit.barcode) : null;
+      }
+
+      if (edit.stock !== undefined) {
+        const stock = Number(edit.stock);
+        if (!Number.isInteger(stock) || stock < 0) {
+          throw variantError(`variants[${index}].stock must be a whole number of 0 or more`);
+        }
+        variant.stock = stock;
+      }
+
+      if (edit.price !== undefined) {
+        const price = edit.price === null || edit.price === '' ? null : Number(edit.price);
+        if (price !== null && (!Number.isFinite(price) || price <= 0)) {
+          throw variantError(`variants[${index}].price must be greater than 0`);
+        }
+        variant.price = price;
+      }
+    });
+
+    const barcodes = updated.map(variant => variant.barcode).filter(Boolean);
+    const duplicate = barcodes.find((barcode, index) => barcodes.indexOf(barcode) !== index);
+    if (duplicate) {
+      throw variantError(`Barcode ${duplicate} is used by more than one variant`);
+    }
+
+    return updated;
+  }
+
+  // Barcodes already used by another product
+  static async findBarcodeConflicts(productsCollection, variants, excludeProductId = null) {
+    const barcodes = variants.map(variant => variant.barcode).filter(Boolean);
+    if (barcodes.length === 0) return [];
+
+    const query = { 'variants.barcode': { $in: barcodes } };
+    if (excludeProductId) query._id = { $ne: excludeProductId };
+
+    const products = await productsCollection
+      .find(query, { projection: { 'variants.barcode': 1 } })
+      .toArray();
+
+    const taken = new Set(products.flatMap(product => product.variants.map(variant => variant.barcode)));
+    return barcodes.filter(barcode => taken.has(barcode));
+  }
+
+  static getTotalStock(variants) {
+    return variants.reduce((total, variant) => total + (variant.stock || 0), 0);
+  }
+
+  // Stock per color or per size, e.g. { Navy: 120, White: 40 }
+  static sumStockBy(variants, field) {
+    return variants.reduce((totals, variant) => {
+      if (variant[field]) {
+        totals[variant[field]] = (totals[variant[field]] || 0) + (variant.stock || 0);
+      }
+      return totals;
+    }, {});
+  }
+}
+
+module.exports = VariantService;
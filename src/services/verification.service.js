@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const UserModel = require('../models/user.model');
+const EmailService = require('../utils/email');
+const { AUTH } = require('../config/constants');
+
+const PURPOSES = {
+  EMAIL_VERIFICATION: 'email_verification',
+  PASSWORD_RESET: 'password_reset',
+  TWO_FACTOR_CHALLENGE: 'two_factor_challenge'
+};
+
+const EXPIRY = {
+  [PURPOSES.EMAIL_VERIFICATION]: AUTH.EMAIL_VERIFICATION_EXPIRY,
+  [PURPOSES.PASSWORD_RESET]: AUTH.PASSWORD_RESET_EXPIRY,
+  [PURPOSES.TWO_FACTOR_CHALLENGE]: AUTH.TWO_FACTOR_CHALLENGE_EXPIRY
+};
+
+// Short digest of the stored password hash; a reset token stops working once the password changes
+const passwordFingerprint = (user) =>
+  crypto.createHash('sha256').update(user.password || 'no-password').digest('hex').slice(0, 16);
+
+class VerificationService {
+  static createToken(user, purpose) {
+    const payload = {
+      userId: user._id.toString(),
+      email: user.email,
+      purpose
+    };
+
+    if (purpose === PURPOSES.PASSWORD_RESET) {
+      payload.pwd = passwordFingerprint(user);
+    }
+
+    return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: EXPIRY[purpose] });
+  }
+
+  // Returns the user a token was issued for, or null if it is invalid, expired or already used
+  static async resolveToken(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.purpose !== purpose) return null;
+
+    const user = await UserModel.findById(decoded.userId);
+    if (!user || !user.isActive || user.email !== decoded.email) return null;
+
+    if (purpose === PURPOSES.PASSWORD_RESET && decoded.pwd !== passwordFingerprint(user)) {
+      return null;
+    }
+
+    return user;
+  }
+
+  static async sendVerificationEmail(user) {
+    const token = VerificationService.createToken(user, PURPOSES.EMAIL_VERIFICATION);
+    return await EmailService.sendVerificationEmail(user.email, user.name, token);
+  }
+
+  static async sendPasswordResetEmail(user) {
+    const token = VerificationService.createToken(user, PURPOSES.PASSWORD_RESET);
+    return await EmailService.sendPasswordResetEmail(user.email, user.name, token);
+  }
+}
+
+VerificationService.PURPOSES = PURPOSES;
+
+module.exports = VerificationService;
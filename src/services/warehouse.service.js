@@ -0,0 +1,131 @@
+const WarehouseModel = require('../models/warehouse.model');
+const StockLevelModel = require('../models/stock-level.model');
+
+// Errors carry an HTTP status the controllers pass straight through
+const warehouseError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const toBoolean = (value) => value === true || value === 'true';
+
+class WarehouseService {
+  // Fields a request may set; allocatable=false keeps a location (e.g. a showroom) out of order allocation
+  static normalize(data) {
+    const warehouse = {};
+
+    if (data.name !== undefined) warehouse.name = String(data.name).trim();
+    if (data.code !== undefined) warehouse.code = String(data.code).trim().toUpperCase();
+    if (data.type !== undefined) warehouse.type = data.type;
+    if (data.address !== undefined) warehouse.address = data.address || null;
+    if (data.priority !== undefined) warehouse.priority = parseInt(data.priority);
+    if (data.allocatable !== undefined) warehouse.allocatable = toBoolean(data.allocatable);
+    if (data.isActive !== undefined) warehouse.isActive = toBoolean(data.isActive);
+    if (data.isDefault !== undefined) warehouse.isDefault = toBoolean(data.isDefault);
+
+    return warehouse;
+  }
+
+  static async getAllWarehouses(filters = {}) {
+    return await WarehouseModel.findAll(filters);
+  }
+
+  static async getWarehouseById(id) {
+    const warehouse = await WarehouseModel.findById(id);
+    if (!warehouse) {
+      throw warehouseError('Warehouse not found', 404);
+    }
+    return warehouse;
+  }
+
+  static async createWarehouse(data) {
+    const warehouseData = {
+      type: 'warehouse',
+      address: null,
+      priority: 100,
+      allocatable: true,
+      isActive: true,
+      isDefault: false,
+      ...WarehouseService.normalize(data)
+    };
+
+    if (await WarehouseModel.findByCode(warehouseData.code)) {
+      throw warehouseError(`Warehouse code ${warehouseData.code} is already in use`, 409);
+    }
+
+    const result = await WarehouseModel.create(warehouseData);
+    if (warehouseData.isDefault) {
+      await WarehouseModel.clearDefault(result.insertedId);
+    }
+
+    return { _id: result.insertedId, ...warehouseData };
+  }
+
+  static async updateWarehouse(id, data) {
+    const existing = await WarehouseService.getWarehouseById(id);
+    const updateData = WarehouseService.normalize(data);
+
+    if (updateData.code && updateData.code !== existing.code && await WarehouseModel.findByCode(updateData.code)) {
+      throw warehouseError(`Warehouse code ${updateData.code} is already in use`, 409);
+    }
+    if (existing.isDefault && (updateData.isDefault === false || updateData.isActive === false)) {
+      throw warehouseError('Make another warehouse the default first', 409);
+    }
+
+    await WarehouseModel.update(id, updateData);
+    if (updateData.isDefault) {
+      await WarehouseModel.clearDefault(id);
+    }
+
+    return await WarehouseModel.findById(id);
+  }
+
+  // Only empty, non-default warehouses can be removed
+  static async deleteWarehouse(id) {
+    const warehouse = await WarehouseService.getWarehouseById(id);
+    if (warehouse.isDefault) {
+      throw warehouseError('The default warehouse cannot be deleted', 409);
+    }
+
+    const stocked = await StockLevelModel.collection().countDocuments({
+      warehouseId: id,
+      $or: [{ onHand: { $ne: 0 } }, { allocated: { $ne: 0 } }]
+    });
+    if (stocked > 0) {
+      throw warehouseError('Warehouse still holds stock; transfer it out first', 409);
+    }
+
+    return await WarehouseModel.deleteById(id);
+  }
+
+  // Stock recorded without a location belongs here. A MAIN warehouse is created on first use.
+  static async getDefaultWarehouse() {
+    const warehouse = await WarehouseModel.findDefault();
+    if (warehouse) return warehouse;
+
+    await WarehouseModel.collection().updateOne(
+      { code: 'MAIN' },
+      {
+        $setOnInsert: {
+          name: 'Main warehouse',
+          code: 'MAIN',
+          type: 'warehouse',
+          address: null,
+          priority: 1,
+          allocatable: true,
+          isActive: true,
+          isDefault: true,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    return await WarehouseModel.findByCode('MAIN');
+  }
+
+  // Active, allocatable locations in priority order
+  static async getAllocatableWarehouses() {
+    return await WarehouseModel.findAll({ isActive: true, allocatable: { $ne: false } });
+  }
+}
+
+module.exports = WarehouseService;
@@ -0,0 +1,63 @@
+// utils/csv.js - RFC 4180 CSV (quoted fields, "" escapes, CRLF or LF line endings)
+
+// Rows as arrays of strings; a leading byte order mark is dropped
+const parse = (text) => {
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const escapeValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with CRLF) from an array of values
+const formatRow = (values) => `${values.map(escapeValue).join(',')}\r\n`;
+
+const stringify = (rows) => rows.map(formatRow).join('');
+
+module.exports = {
+  parse,
+  escapeValue,
+  formatRow,
+  stringify
+};
@@ -1,12 +1,27 @@
 const nodemailer = require('nodemailer');
+const { AUTH } = require('../config/constants');
 
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_APP_PASSWORD,
-  },
-});
+// Use a plain SMTP server when SMTP_HOST is set (e.g. MailHog on localhost:1025), Gmail otherwise
+const transporter = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASSWORD,
+    } : undefined,
+  })
+  : nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.GMAIL_USER,
+      pass: process.env.GMAIL_APP_PASSWORD,
+    },
+  });
+
+const senderAddress = process.env.MAIL_FROM || process.env.GMAIL_USER;
+const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
 
 class EmailService {
   static async sendOrderEmails(orderData) {
@@ -14,7 +29,7 @@ class EmailService {
     const adminEmail = process.env.ADMIN_EMAIL_RECEIVER;
 
     const adminMailOptions = {
-      from: `Aaryan Sourcing Order <${process.env.GMAIL_USER}>`,
+      from: `Aaryan Sourcing Order <${senderAddress}>`,
       to: adminEmail,
       subject: `New Order Alert! - Style: ${orderInfo.styleNumber}`,
       html: `
@@ -33,7 +48,7 @@ class EmailService {
     };
 
     const userMailOptions = {
-      from: `Aaryan Sourcing <${process.env.GMAIL_USER}>`,
+      from: `Aaryan Sourcing <${senderAddress}>`,
       to: userEmail,
       subject: `Your Order is Confirmed (Style: ${orderInfo.styleNumber})`,
       html: `
@@ -64,9 +79,238 @@ class EmailService {
     }
   }
 
+  static async sendOrderStatusEmail(order, note) {
+    const mailOptions = {
+      from: `Aaryan Sourcing Order <${senderAddress}>`,
+      to: order.email,
+      subject: `Order ${order.orderNumber} is now ${order.status}`,
+      html: `
+        <h1>Hello ${order.name || 'there'},</h1>
+        <p>The status of your order <strong>${order.orderNumber}</strong> has changed to <strong>${order.status}</strong>.</p>
+        ${note ? `<p><strong>Note:</strong> ${note}</p>` : ''}
+        <p><a href="${clientUrl}/orders/${order._id}">View your order</a></p>
+        <br>
+        <p>Best Regards,</p>
+        <p><strong>Aaryan Sourcing Ltd.</strong></p>
+      `,
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      return { success: true };
+    } catch (error) {
+      console.error('Order status email error:', error);
+      throw new Error('Failed to send order status email');
+    }
+  }
+
+  static async sendQuoteStatusEmails(quote, note) {
+    const adminEmail = process.env.ADMIN_EMAIL_RECEIVER;
+    const total = quote.totals ? `<li><strong>Quoted Total:</strong> ${quote.totals.total}</li>` : '';
+    const validUntil = quote.validUntil
+      ? `<li><strong>Valid Until:</strong> ${new Date(quote.validUntil).toDateString()}</li>`
+      : '';
+    const summary = `
+        <ul>
+          <li><strong>Quote Number:</strong> ${quote.quoteNumber}</li>
+          <li><strong>Status:</strong> ${quote.status}</li>
+          <li><strong>Styles:</strong> ${[...new Set(quote.items.map(item => item.productCode))].join(', ')}</li>
+          ${total}
+          ${validUntil}
+        </ul>
+        ${note ? `<p><strong>Note:</strong> ${note}</p>` : ''}
+    `;
+
+    const adminMailOptions = {
+      from: `Aaryan Sourcing Quotes <${senderAddress}>`,
+      to: adminEmail,
+      subject: `Quote ${quote.quoteNumber} is ${quote.status} - ${quote.company || quote.name}`,
+      html: `
+        <h1>Quote Update</h1>
+        <p>${quote.name} (${quote.email}) has a quote that is now <strong>${quote.status}</strong>.</p>
+        <hr>
+        ${summary}
+        <p>Please log in to the admin dashboard for full details.</p>
+      `,
+    };
+
+    const userMailOptions = {
+      from: `Aaryan Sourcing <${senderAddress}>`,
+      to: quote.email,
+      subject: `Your quote ${quote.quoteNumber} is ${quote.status}`,
+      html: `
+        <h1>Hello ${quote.name || 'there'},</h1>
+        <p>Your request for quote has been updated.</p>
+        <hr>
+        ${summary}
+        <p><a href="${clientUrl}/quotes/${quote._id}">View your quote</a></p>
+        <br>
+        <p>Best Regards,</p>
+        <p><strong>Aaryan Sourcing Ltd.</strong></p>
+      `,
+    };
+
+    try {
+      await Promise.all([
+        transporter.sendMail(adminMailOptions),
+        transporter.sendMail(userMailOptions),
+      ]);
+
+      return { success: true };
+    } catch (error) {
+      console.error('Quote email error:', error);
+      throw new Error('Failed to send quote emails');
+    }
+  }
+
+  // One digest per recipient: [{ productCode, title, available, reorderThreshold, level }]
+  static async sendStockAlertEmail(to, items, recipientName) {
+    const rows = items.map(item => `
+          <tr>
+            <td>${item.productCode}</td>
+            <td>${item.title}</td>
+            <td>${item.available}</td>
+            <td>${item.reorderThreshold ?? '-'}</td>
+            <td>${item.level === 'out_of_stock' ? '<strong>Out of stock</strong>' : 'Low stock'}</td>
+          </tr>`).join('');
+
+    const mailOptions = {
+      from: `Aaryan Sourcing Inventory <${senderAddress}>`,
+      to,
+      subject: `Stock alert: ${items.length} product(s) need restocking`,
+      html: `
+        <h1>Hello ${recipientName || 'there'},</h1>
+        <p>The following products are at or below their reorder threshold.</p>
+        <table border="1" cellpadding="6" cellspacing="0">
+          <tr><th>Style</th><th>Title</th><th>Available</th><th>Reorder at</th><th>Status</th></tr>
+          ${rows}
+        </table>
+        <p>Please log in to the admin dashboard to record receipts or transfers.</p>
+      `,
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      return { success: true };
+    } catch (error) {
+      console.error('Stock alert email error:', error);
+      throw new Error('Failed to send stock alert email');
+    }
+  }
+
+  // Moderation decision on a seller listing (approved, rejected or changes_requested)
+  static async sendProductModerationEmail(seller, product, comment) {
+    const headlines = {
+      approved: 'has been approved and is now visible in the catalogue',
+      rejected: 'has been rejected',
+      changes_requested: 'needs changes before it can be published'
+    };
+
+    const mailOptions = {
+      from: `Aaryan Sourcing Catalogue <${senderAddress}>`,
+      to: seller.email,
+      subject: `Your product ${product.productCode} ${product.moderationStatus === 'approved' ? 'is live' : 'needs attention'}`,
+      html: `
+        <h1>Hello ${seller.name || 'there'},</h1>
+        <p>Your product <strong>${product.title}</strong> (${product.productCode}) ${headlines[product.moderationStatus] || `is now ${product.moderationStatus}`}.</p>
+        ${comment ? `<p><strong>Moderator comments:</strong> ${comment}</p>` : ''}
+        <p><a href="${clientUrl}/seller/products/${product._id}">View your product</a></p>
+        <br>
+        <p>Best Regards,</p>
+        <p><strong>Aaryan Sourcing Ltd.</strong></p>
+      `,
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      return { success: true };
+    } catch (error) {
+      console.error('Product moderation email error:', error);
+      throw new Error('Failed to send product moderation email');
+    }
+  }
+
+  static async sendLoginCode(email, userName, code) {
+    const mailOptions = {
+      from: `Aaryan Sourcing <${senderAddress}>`,
+      to: email,
+      subject: 'Your Aaryan Sourcing login code',
+      html: `
+        <h1>Hello ${userName || 'there'},</h1>
+        <p>Use the code below to sign in. It expires in ${AUTH.OTP_EXPIRY / 60000} minutes.</p>
+        <h2 style="letter-spacing: 4px;">${code}</h2>
+        <p>If you did not try to sign in, you can ignore this email.</p>
+        <br>
+        <p>Best Regards,</p>
+        <p><strong>Aaryan Sourcing Ltd.</strong></p>
+      `,
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      return { success: true };
+    } catch (error) {
+      console.error('Login code email error:', error);
+      throw new Error('Failed to send login code');
+    }
+  }
+
+  static async sendVerificationEmail(email, userName, token) {
+    const link = `${clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    const mailOptions = {
+      from: `Aaryan Sourcing <${senderAddress}>`,
+      to: email,
+      subject: 'Verify your email address',
+      html: `
+        <h1>Welcome, ${userName || 'there'}!</h1>
+        <p>Please confirm your email address by clicking the link below. The link expires in ${AUTH.EMAIL_VERIFICATION_EXPIRY}.</p>
+        <p><a href="${link}">Verify my email</a></p>
+        <p>If the button does not work, use this verification token: <code>${token}</code></p>
+        <br>
+        <p>Best Regards,</p>
+        <p><strong>Aaryan Sourcing Ltd.</strong></p>
+      `,
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      return { success: true };
+    } catch (error) {
+      console.error('Verification email error:', error);
+      throw new Error('Failed to send verification email');
+    }
+  }
+
+  static async sendPasswordResetEmail(email, userName, token) {
+    const link = `${clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+    const mailOptions = {
+      from: `Aaryan Sourcing <${senderAddress}>`,
+      to: email,
+      subject: 'Reset your password',
+      html: `
+        <h1>Hello ${userName || 'there'},</h1>
+        <p>We received a request to reset your password. The link below expires in ${AUTH.PASSWORD_RESET_EXPIRY}.</p>
+        <p><a href="${link}">Reset my password</a></p>
+        <p>Reset token: <code>${token}</code></p>
+        <p>If you did not request a reset, you can ignore this email.</p>
+        <br>
+        <p>Best Regards,</p>
+        <p><strong>Aaryan Sourcing Ltd.</strong></p>
+      `,
+    };
+
+    try {
+      await transporter.sendMail(mailOptions);
+      return { success: true };
+    } catch (error) {
+      console.error('Password reset email error:', error);
+      throw new Error('Failed to send password reset email');
+    }
+  }
+
   static async sendNewsletter(email, subject, content) {
     const mailOptions = {
-      from: `Aaryan Sourcing <${process.env.GMAIL_USER}>`,
+      from: `Aaryan Sourcing <${senderAddress}>`,
       to: email,
       subject: subject,
       html: content,
@@ -8,6 +8,12 @@ class Helpers {
     return `ORD-${timestamp}-${random}`;
   }
 
+  static generateQuoteNumber() {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substr(2, 9).toUpperCase();
+    return `RFQ-${timestamp}-${random}`;
+  }
+
   static validateObjectId(id) {
     return ObjectId.isValid(id);
   }
@@ -15,8 +21,11 @@ class Helpers {
   static sanitizeUser(user) {
     if (!user) return null;
     
-    const { password, ...sanitizedUser } = user;
-    return sanitizedUser;
+    const { password, loginOtp, twoFactor, ...sanitizedUser } = user;
+    return {
+      ...sanitizedUser,
+      twoFactorEnabled: Boolean(twoFactor && twoFactor.enabled)
+    };
   }
 
   static buildSearchQuery(searchTerm, searchFields) {
@@ -29,6 +38,11 @@ class Helpers {
     return { $or: searchConditions };
   }
 
+  // User input matched literally inside a RegExp
+  static escapeRegex(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   static parseJSONFields(data, fields) {
     const result = { ...data };
     
@@ -78,15 +92,35 @@ class Helpers {
   static canManageProduct(user, product) {
     if (!user || !product) return false;
     
-    // Admin and moderators can manage all products
-    if (user.role === ROLES.ADMIN || user.role === ROLES.MODERATOR) return true;
+    // manage_products covers every product
+    if (this.checkPermission(user, 'manage_products')) return true;
     
-    // Sellers can only manage their own products
-    if (user.role === ROLES.SELLER && product.sellerId === user._id.toString()) return true;
+    // manage_own_products only covers the user's own listings
+    if (this.checkPermission(user, 'manage_own_products') && product.sellerId === user._id.toString()) return true;
     
     return false;
   }
 
+  static canManageInventory(user, product) {
+    if (!user || !product) return false;
+
+    if (this.checkPermission(user, 'manage_products')) return true;
+
+    // manage_own_inventory only covers the user's own listings
+    if (this.checkPermission(user, 'manage_own_inventory') && product.sellerId === user._id.toString()) return true;
+
+    return false;
+  }
+
+  static canViewOrder(user, order) {
+    if (!user || !order) return false;
+    
+    // manage_orders covers every order; buyers only see their own
+    if (this.checkPermission(user, 'manage_orders')) return true;
+    
+    return order.userId === user._id.toString();
+  }
+
   static getRoleHierarchy(role) {
     const hierarchy = {
       [ROLES.USER]: 1,
@@ -104,8 +138,23 @@ class Helpers {
     const requesterLevel = this.getRoleHierarchy(requester.role);
     const targetLevel = this.getRoleHierarchy(targetUser.role);
     
-    // Can only modify users with lower or equal role level
-    return requesterLevel >= targetLevel;
+    // Admins can modify anyone; everyone else only users below their own level
+    if (requester.role === ROLES.ADMIN) return true;
+
+    // Custom roles have no level of their own: they rank below the requester only when
+    // they hold no permission the requester lacks
+    if (targetLevel === 0) {
+      return (targetUser.permissions || []).every(permission => this.checkPermission(requester, permission));
+    }
+    return requesterLevel > targetLevel;
+  }
+
+  static canAssignRole(requester, role) {
+    if (!requester) return false;
+    
+    // Admins can assign any role; everyone else only roles below their own level
+    if (requester.role === ROLES.ADMIN) return true;
+    return this.getRoleHierarchy(role) < this.getRoleHierarchy(requester.role);
   }
 }
 
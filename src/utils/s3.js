@@ -0,0 +1,99 @@
+// utils/s3.js - minimal client for S3-compatible object storage (AWS S3, MinIO, R2, Spaces):
+// PUT and DELETE of single objects signed with AWS Signature Version 4
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const SERVICE = 's3';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding of each path segment; the slashes between segments stay
+const encodeKey = (key) => key
+  .split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+// Authorization header for a request whose headers include host, x-amz-date and
+// x-amz-content-sha256 (every header passed is signed)
+const sign = (method, path, headers, { region, accessKeyId, secretAccessKey }) => {
+  const amzDate = headers['x-amz-date'];
+  const date = amzDate.slice(0, 8);
+  const headerNames = Object.keys(headers).sort();
+  const signedHeaders = headerNames.join(';');
+
+  const canonicalRequest = [
+    method,
+    path,
+    '',
+    ...headerNames.map(name => `${name}:${String(headers[name]).trim()}`),
+    '',
+    signedHeaders,
+    headers['x-amz-content-sha256']
+  ].join('\n');
+
+  const scope = `${date}/${region}/${SERVICE}/aws4_request`;
+  const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [date, region, SERVICE, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${ALGORITHM} Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+};
+
+const s3Error = (message, status) => Object.assign(new Error(message), { status });
+
+// { putObject(key, body, { contentType }), deleteObject(key), getObjectUrl(key) }
+const createClient = ({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = false }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, an access key ID and a secret access key');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  // Path-style URLs (https://host/bucket/key) for MinIO and other self-hosted endpoints,
+  // virtual-hosted (https://bucket.host/key) for AWS
+  const getObjectUrl = (key) => (forcePathStyle
+    ? `${base.origin}/${bucket}/${encodeKey(key)}`
+    : `${base.protocol}//${bucket}.${base.host}/${encodeKey(key)}`);
+
+  const signedRequest = async (method, key, { body, contentType } = {}) => {
+    const url = new URL(getObjectUrl(key));
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': sha256(body || ''),
+      'x-amz-date': new Date().toISOString().replace(/[:-]|\.\d{3}/g, '')
+    };
+    if (contentType) headers['content-type'] = contentType;
+
+    const authorization = sign(method, url.pathname, headers, { region, accessKeyId, secretAccessKey });
+    const { host, ...requestHeaders } = headers;
+    const response = await fetch(url, {
+      method,
+      body,
+      headers: {
+        ...requestHeaders,
+        authorization
+      }
+    });
+
+    if (!response.ok) {
+      const detail = (await response.text()).match(/<Message>([^<]*)<\/Message>/);
+      throw s3Error(`S3 ${method} ${key} failed with status ${response.status}${detail ? `: ${detail[1]}` : ''}`, 502);
+    }
+    return response;
+  };
+
+  return {
+    getObjectUrl,
+    putObject: async (key, body, { contentType } = {}) => {
+      await signedRequest('PUT', key, { body, contentType });
+      return { url: getObjectUrl(key), key };
+    },
+    // S3 answers 204 whether or not the object existed
+    deleteObject: async (key) => {
+      await signedRequest('DELETE', key);
+    }
+  };
+};
+
+module.exports = { createClient };
@@ -0,0 +1,130 @@
+// utils/zip.js - reads ZIP archives from disk one entry at a time (stored and deflated
+// entries; ZIP64 and encrypted archives are rejected)
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+const zipError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const readAt = (fd, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+// The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+const findEndOfCentralDirectory = (fd, fileSize) => {
+  const length = Math.min(fileSize, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+  const tail = readAt(fd, fileSize - length, length);
+
+  for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+      return {
+        entryCount: tail.readUInt16LE(i + 10),
+        size: tail.readUInt32LE(i + 12),
+        offset: tail.readUInt32LE(i + 16)
+      };
+    }
+  }
+  throw zipError('File is not a valid ZIP archive');
+};
+
+// Sizes and offsets come from the archive itself, so each one is checked against the
+// file size before a buffer is allocated for it
+const readCentralDirectory = (fd, fileSize, { entryCount, size, offset }) => {
+  if (entryCount === 0xFFFF || size === 0xFFFFFFFF || offset === 0xFFFFFFFF) {
+    throw zipError('ZIP64 archives are not supported');
+  }
+  if (offset + size > fileSize) {
+    throw zipError('ZIP archive is corrupt');
+  }
+
+  const directory = readAt(fd, offset, size);
+  const entries = [];
+  let position = 0;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > directory.length || directory.readUInt32LE(position) !== CENTRAL_SIGNATURE) {
+      throw zipError('ZIP archive is corrupt');
+    }
+
+    const flags = directory.readUInt16LE(position + 8);
+    const nameLength = directory.readUInt16LE(position + 28);
+    const extraLength = directory.readUInt16LE(position + 30);
+    const commentLength = directory.readUInt16LE(position + 32);
+    const nameBuffer = directory.subarray(position + 46, position + 46 + nameLength);
+    // Bit 11 marks UTF-8 names; older tools write CP437, read as latin1 here
+    const name = nameBuffer.toString(flags & 0x800 ? 'utf8' : 'latin1');
+
+    entries.push({
+      name,
+      isDirectory: name.endsWith('/'),
+      encrypted: Boolean(flags & 0x1),
+      method: directory.readUInt16LE(position + 10),
+      compressedSize: directory.readUInt32LE(position + 20),
+      size: directory.readUInt32LE(position + 24),
+      localHeaderOffset: directory.readUInt32LE(position + 42)
+    });
+
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+// { entries, read(entry, { maxSize }), close() } for an archive on disk
+const open = (filePath) => {
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const { size: fileSize } = fs.fstatSync(fd);
+    const entries = readCentralDirectory(fd, fileSize, findEndOfCentralDirectory(fd, fileSize));
+
+    const read = (entry, { maxSize = Infinity } = {}) => {
+      if (entry.encrypted) throw zipError(`${entry.name} is encrypted`);
+      if (entry.size > maxSize || entry.compressedSize > maxSize) {
+        throw zipError(`${entry.name} is larger than allowed`);
+      }
+
+      const header = readAt(fd, entry.localHeaderOffset, 30);
+      if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+        throw zipError(`${entry.name} is corrupt`);
+      }
+      const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+      if (dataOffset + entry.compressedSize > fileSize) {
+        throw zipError(`${entry.name} is corrupt`);
+      }
+      const data = readAt(fd, dataOffset, entry.compressedSize);
+
+      if (entry.method === METHOD_STORED) return data;
+      if (entry.method === METHOD_DEFLATE) {
+        // The size limit also guards against entries that lie about their size
+        try {
+          return zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+        } catch (error) {
+          throw zipError(`${entry.name} could not be decompressed`);
+        }
+      }
+      throw zipError(`${entry.name} uses an unsupported compression method`);
+    };
+
+    return {
+      entries,
+      read,
+      close: () => fs.closeSync(fd)
+    };
+  } catch (error) {
+    fs.closeSync(fd);
+    throw error;
+  }
+};
+
+module.exports = { open };